@@ -10,9 +10,339 @@
  * When you need to add/modify CADI features, update this file only.
  */
 
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Template file discovery
+ */
+
+/**
+ * Parse the YAML frontmatter block at the top of a markdown file
+ * Supports the flat key: value pairs used by agents and commands, plus
+ * lists written inline ([a, b]), comma-separated or as "- item" lines.
+ */
+function parseFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return {};
+
+  const data = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(item[1].trim().replace(/^['"]|['"]$/g, ''));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, rawValue] = pair;
+    const value = rawValue.trim().replace(/^['"]|['"]$/g, '');
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = value;
+      listKey = null;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Normalize a tools frontmatter value into an array of tool names
+ */
+function parseToolList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return value.replace(/^\[|\]$/g, '').split(',').map(tool => tool.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a glob (`*`, `**`, `?`) to a RegExp over '/'-separated paths
+ * `*` stays within a directory, `**` spans directories and a trailing '/'
+ * matches everything below that directory.
+ */
+function globToRegExp(glob) {
+  const source = glob.endsWith('/') ? `${glob}**` : glob;
+  let pattern = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '*' && source[i + 1] === '*') {
+      // '**/' matches zero or more directories, any other '**' matches anything
+      if (source[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Find the first glob a relative path matches (null if none)
+ */
+function findMatchingGlob(relativePath, patterns) {
+  const normalized = relativePath.replace(/\\/g, '/');
+  return (patterns || []).find(pattern => globToRegExp(pattern).test(normalized)) || null;
+}
+
+/**
+ * Scan a template directory for markdown files and describe each one
+ * Returns { category: [{ file, name, description, model, tools, ... }] } where
+ * category is the file's directory relative to the scanned directory and
+ * path is relative to the template root.
+ */
+function scanTemplateFiles(templateRoot, subdir) {
+  const rootDir = path.join(templateRoot, subdir);
+  const groups = {};
+  if (!fs.existsSync(rootDir)) return groups;
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith('.md')) {
+        const category = path.relative(rootDir, dir).split(path.sep).join('/') || 'uncategorized';
+        const frontmatter = parseFrontmatter(fs.readFileSync(fullPath, 'utf8'));
+
+        (groups[category] = groups[category] || []).push({
+          file: entry.name,
+          name: frontmatter.name || path.basename(entry.name, '.md'),
+          description: frontmatter.description || null,
+          model: frontmatter.model || null,
+          tools: parseToolList(frontmatter.tools || frontmatter['allowed-tools']),
+          color: frontmatter.color || null,
+          argumentHint: frontmatter['argument-hint'] || null,
+          version: frontmatter.version || null,
+          path: path.relative(templateRoot, fullPath).split(path.sep).join('/')
+        });
+      }
+    }
+  };
+
+  walk(rootDir);
+  return groups;
+}
+
+/**
+ * Migration helpers
+ *
+ * SQLite can't ALTER a column's type or CHECK constraint, so those changes
+ * need a table rebuild. These helpers are used by the migrations below.
+ */
+
+/**
+ * Rebuild a table through create-copy-swap
+ *
+ * Creates `<table>__rebuild` with the new definition, copies every column the
+ * old and new tables share, drops the old table and renames the new one into
+ * place. Indexes and triggers on the table, views that reference it and its
+ * AUTOINCREMENT counter are recreated afterwards.
+ *
+ * Must run with foreign key enforcement off (SchemaManager.migrateTo does
+ * this), otherwise dropping the old table cascades into child tables.
+ *
+ * @param {Database} db
+ * @param {string} tableName
+ * @param {string[]} columns - New column definitions, as in schema.tables
+ * @param {Object} options
+ * @param {Object} options.transform - Column name -> SQL expression used when copying
+ */
+function rebuildTable(db, tableName, columns, options = {}) {
+  const { transform = {} } = options;
+
+  if (db.pragma('foreign_keys', { simple: true })) {
+    throw new Error(`Cannot rebuild ${tableName} while foreign keys are enforced`);
+  }
+
+  const tempName = `${tableName}__rebuild`;
+  const referencesTable = new RegExp(`\\b${tableName}\\b`, 'i');
+
+  // Objects that are dropped with the table (or break the rename) and must be recreated
+  const dependents = db.prepare(`
+    SELECT type, name, tbl_name, sql FROM sqlite_master
+    WHERE sql IS NOT NULL AND type IN ('index', 'trigger', 'view')
+  `).all().filter(object =>
+    object.tbl_name === tableName || (object.type === 'view' && referencesTable.test(object.sql))
+  );
+
+  const oldColumns = db.prepare(`PRAGMA table_info("${tableName}")`).all().map(col => col.name);
+  const rowCount = db.prepare(`SELECT COUNT(*) as count FROM "${tableName}"`).get().count;
+  const sequence = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sqlite_sequence'").get()
+    ? db.prepare('SELECT seq FROM sqlite_sequence WHERE name = ?').get(tableName)
+    : null;
+
+  for (const view of dependents.filter(object => object.type === 'view')) {
+    db.exec(`DROP VIEW IF EXISTS "${view.name}"`);
+  }
+
+  db.exec(`CREATE TABLE "${tempName}" (\n  ${columns.join(',\n  ')}\n)`);
+
+  const newColumns = db.prepare(`PRAGMA table_info("${tempName}")`).all().map(col => col.name);
+  const copied = newColumns.filter(name => oldColumns.includes(name) || transform[name]);
+  db.exec(`
+    INSERT INTO "${tempName}" (${copied.map(name => `"${name}"`).join(', ')})
+    SELECT ${copied.map(name => transform[name] || `"${name}"`).join(', ')} FROM "${tableName}"
+  `);
+
+  db.exec(`DROP TABLE "${tableName}"`);
+  db.exec(`ALTER TABLE "${tempName}" RENAME TO "${tableName}"`);
+
+  // Indexes and triggers first, views last since they may depend on both
+  const order = { index: 0, trigger: 1, view: 2 };
+  for (const object of dependents.sort((a, b) => order[a.type] - order[b.type])) {
+    db.exec(object.sql);
+  }
+
+  if (sequence) {
+    db.prepare('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?').run(sequence.seq, tableName);
+  }
+
+  const copiedCount = db.prepare(`SELECT COUNT(*) as count FROM "${tableName}"`).get().count;
+  if (copiedCount !== rowCount) {
+    throw new Error(`Rebuilding ${tableName} copied ${copiedCount} of ${rowCount} rows`);
+  }
+
+  const violations = db.prepare(`PRAGMA foreign_key_check("${tableName}")`).all();
+  if (violations.length > 0) {
+    throw new Error(`Rebuilding ${tableName} left ${violations.length} foreign key violation(s)`);
+  }
+}
+
+/**
+ * Replace the values of a column's CHECK(column IN (...)) constraint
+ * The rest of the table definition is kept exactly as it is in the database.
+ *
+ * @param {Object} map - Old value -> new value for rows whose value is being removed
+ */
+function setCheckValues(db, tableName, columnName, values, map = {}) {
+  const table = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name = ?").get(tableName);
+  if (!table) {
+    throw new Error(`Table ${tableName} does not exist`);
+  }
+
+  const checkPattern = new RegExp(`(CHECK\\s*\\(\\s*"?${columnName}"?\\s+IN\\s*\\()([^)]*)(\\))`, 'i');
+  const match = table.sql.match(checkPattern);
+  if (!match) {
+    throw new Error(`${tableName}.${columnName} has no CHECK(${columnName} IN (...)) constraint`);
+  }
+
+  const currentValues = match[2].split(',').map(value => value.trim().replace(/^'|'$/g, ''));
+  if (currentValues.join(',') === values.join(',')) {
+    return; // Already in the requested state
+  }
+
+  const newSQL = table.sql.replace(checkPattern, `$1${values.map(value => `'${value}'`).join(', ')}$3`);
+  const body = newSQL.slice(newSQL.indexOf('(') + 1, newSQL.lastIndexOf(')')).trim();
+
+  const mapped = Object.entries(map);
+  const transform = mapped.length === 0 ? {} : {
+    [columnName]: `CASE "${columnName}" ${mapped.map(([from, to]) => `WHEN '${from}' THEN '${to}'`).join(' ')} ELSE "${columnName}" END`
+  };
+
+  rebuildTable(db, tableName, [body], { transform });
+}
+
+/**
+ * Declarative enum change - returns the up/down pair for a migration
+ *
+ * @example
+ *   { version: 8, description: '...', ...changeEnum({ table, column, from, to, downMap }) }
+ *
+ * @param {string[]} from - Allowed values before the migration
+ * @param {string[]} to - Allowed values after the migration
+ * @param {Object} upMap - Remaps rows holding values removed by up
+ * @param {Object} downMap - Remaps rows holding values removed by down
+ */
+function changeEnum({ table, column, from, to, upMap = {}, downMap = {} }) {
+  return {
+    up: (db) => setCheckValues(db, table, column, to, upMap),
+    down: (db) => setCheckValues(db, table, column, from, downMap)
+  };
+}
+
+/**
+ * Change journal
+ *
+ * Triggers record every insert, update and delete on the tracked tables in
+ * change_log. cadi-monitor reads the journal to emit row-level events
+ * (sectionCompleted, errorLogged, ...) instead of diffing whole-table stats.
+ * Each tracked table maps to the status recorded before and after a change -
+ * error_log rows are 'open' or 'resolved' - or null for tables without one.
+ * The journal keeps the latest CHANGE_LOG_LIMIT entries.
+ */
+const CHANGE_LOG_LIMIT = 10000;
+
+const changeLogColumns = [
+  'id INTEGER PRIMARY KEY AUTOINCREMENT',
+  'table_name TEXT NOT NULL',
+  'row_id INTEGER NOT NULL',
+  'operation TEXT NOT NULL CHECK(operation IN (\'insert\', \'update\', \'delete\'))',
+  'old_status TEXT',
+  'new_status TEXT',
+  'changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+];
+
+const trackedTables = {
+  features: row => `${row}.status`,
+  sections: row => `${row}.status`,
+  error_log: row => `CASE WHEN ${row}.resolved THEN 'resolved' ELSE 'open' END`,
+  context_loads: null,
+  agent_invocations: null
+};
+
+/**
+ * Trigger definitions for the journal - name -> everything after "CREATE TRIGGER <name>"
+ */
+function changeLogTriggers() {
+  const triggers = {};
+
+  for (const [table, status] of Object.entries(trackedTables)) {
+    const statusOf = row => status ? status(row) : 'NULL';
+    const operations = {
+      insert: { row: 'NEW', oldStatus: 'NULL', newStatus: statusOf('NEW') },
+      update: { row: 'NEW', oldStatus: statusOf('OLD'), newStatus: statusOf('NEW') },
+      delete: { row: 'OLD', oldStatus: statusOf('OLD'), newStatus: 'NULL' }
+    };
+
+    for (const [operation, { row, oldStatus, newStatus }] of Object.entries(operations)) {
+      triggers[`${table}_log_${operation}`] = `AFTER ${operation.toUpperCase()} ON ${table}
+        BEGIN
+          INSERT INTO change_log (table_name, row_id, operation, old_status, new_status)
+          VALUES ('${table}', ${row}.id, '${operation}', ${oldStatus}, ${newStatus});
+        END`;
+    }
+  }
+
+  triggers.change_log_prune = `AFTER INSERT ON change_log
+    BEGIN
+      DELETE FROM change_log WHERE id <= NEW.id - ${CHANGE_LOG_LIMIT};
+    END`;
+
+  return triggers;
+}
+
 module.exports = {
   // Current schema version
-  schemaVersion: 5,
+  schemaVersion: 8,
 
   // Database schema definition
   schema: {
@@ -23,7 +353,7 @@ module.exports = {
           'name TEXT NOT NULL UNIQUE',
           'planning_doc_path TEXT NOT NULL',
           'summary TEXT',
-          'status TEXT CHECK(status IN (\'planning\', \'ready\', \'in_progress\', \'completed\')) DEFAULT \'planning\'',
+          'status TEXT CHECK(status IN (\'planning\', \'ready\', \'in_progress\', \'testing\', \'completed\')) DEFAULT \'planning\'',
           'priority INTEGER DEFAULT 0',
           'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
           'started_at TIMESTAMP',
@@ -129,17 +459,129 @@ module.exports = {
           'applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
         ],
         indexes: []
+      },
+      agent_invocations: {
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          'agent_type TEXT NOT NULL',
+          'agent_prompt TEXT NOT NULL',
+          'agent_description TEXT',
+          'session_id TEXT NOT NULL',
+          'parent_agent TEXT',
+          'feature_id INTEGER',
+          'section_id INTEGER',
+          'tool_name TEXT DEFAULT \'Task\'',
+          'tool_input TEXT',
+          'invoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP',
+          'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE',
+          'FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE'
+        ],
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_invocations_session ON agent_invocations(session_id)',
+          'CREATE INDEX IF NOT EXISTS idx_agent_invocations_type ON agent_invocations(agent_type)',
+          'CREATE INDEX IF NOT EXISTS idx_agent_invocations_invoked_at ON agent_invocations(invoked_at DESC)',
+          'CREATE INDEX IF NOT EXISTS idx_agent_invocations_feature ON agent_invocations(feature_id)'
+        ]
+      },
+      agent_completions: {
+        columns: [
+          'id INTEGER PRIMARY KEY AUTOINCREMENT',
+          'invocation_id INTEGER NOT NULL',
+          'session_id TEXT NOT NULL',
+          'completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP',
+          'duration_ms INTEGER',
+          'tool_response TEXT',
+          'success BOOLEAN DEFAULT 1',
+          'error_message TEXT',
+          'FOREIGN KEY (invocation_id) REFERENCES agent_invocations(id) ON DELETE CASCADE'
+        ],
+        indexes: [
+          'CREATE INDEX IF NOT EXISTS idx_agent_completions_invocation ON agent_completions(invocation_id)',
+          'CREATE INDEX IF NOT EXISTS idx_agent_completions_session ON agent_completions(session_id)',
+          'CREATE INDEX IF NOT EXISTS idx_agent_completions_completed_at ON agent_completions(completed_at DESC)'
+        ]
+      },
+      change_log: {
+        columns: changeLogColumns,
+        indexes: []
       }
-    }
+    },
+
+    // Views (created after all tables exist)
+    views: {
+      agent_activity: `
+        SELECT
+          i.id as invocation_id,
+          i.agent_type,
+          i.agent_description,
+          i.parent_agent,
+          i.session_id,
+          i.invoked_at,
+          c.completed_at,
+          c.duration_ms,
+          c.success,
+          c.error_message,
+          f.name as feature_name,
+          s.name as section_name
+        FROM agent_invocations i
+        LEFT JOIN agent_completions c ON i.id = c.invocation_id
+        LEFT JOIN features f ON i.feature_id = f.id
+        LEFT JOIN sections s ON i.section_id = s.id
+        ORDER BY i.invoked_at DESC`
+    },
+
+    // Triggers (created last - the change journal triggers write to change_log)
+    triggers: changeLogTriggers()
   },
 
   // Database migrations
+  // Each migration has an up(db) and, where it can be reversed, a down(db).
+  // Migrations run inside a transaction with foreign key enforcement off,
+  // so table rebuilds don't cascade deletes into child tables.
+  // Use changeEnum() for CHECK(... IN (...)) changes and rebuildTable() for
+  // other column changes instead of hand-written create-copy-swap SQL.
   migrations: [
     {
       version: 1,
       description: 'Initial schema with features and sections',
       up: (db) => {
-        // Base tables - assumed to already exist
+        // Existing databases already have these tables; creating them here
+        // lets the full migration chain be replayed from an empty database
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS features (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            planning_doc_path TEXT NOT NULL,
+            summary TEXT,
+            status TEXT CHECK(status IN ('planning', 'ready', 'in_progress', 'completed')) DEFAULT 'planning',
+            priority INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            started_at TIMESTAMP,
+            completed_at TIMESTAMP
+          );
+
+          CREATE TABLE IF NOT EXISTS sections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            feature_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            objectives TEXT,
+            verification_criteria TEXT,
+            order_index INTEGER NOT NULL,
+            status TEXT CHECK(status IN ('pending', 'in_progress', 'completed')) DEFAULT 'pending',
+            depends_on INTEGER,
+            estimated_hours REAL,
+            actual_hours REAL,
+            started_at TIMESTAMP,
+            completed_at TIMESTAMP,
+            notes TEXT,
+            FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
+            FOREIGN KEY (depends_on) REFERENCES sections(id)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_sections_feature_status ON sections(feature_id, status);
+          CREATE INDEX IF NOT EXISTS idx_sections_order ON sections(feature_id, order_index);
+        `);
       }
     },
     {
@@ -164,6 +606,9 @@ module.exports = {
           CREATE INDEX IF NOT EXISTS idx_docs_category ON context_documents(category);
           CREATE INDEX IF NOT EXISTS idx_docs_feature ON context_documents(feature_id);
         `);
+      },
+      down: (db) => {
+        db.exec('DROP TABLE IF EXISTS context_documents;');
       }
     },
     {
@@ -212,6 +657,9 @@ module.exports = {
           CREATE INDEX IF NOT EXISTS idx_error_log_severity ON error_log(severity);
           CREATE INDEX IF NOT EXISTS idx_error_log_resolved ON error_log(resolved);
         `);
+      },
+      down: (db) => {
+        db.exec('DROP TABLE IF EXISTS error_log;');
       }
     },
     {
@@ -226,6 +674,9 @@ module.exports = {
           // Add missing column
           db.exec('ALTER TABLE error_log ADD COLUMN resolved_at TIMESTAMP;');
         }
+      },
+      down: (db) => {
+        // resolved_at belongs to error_log since migration 3 - nothing to undo
       }
     },
     {
@@ -255,6 +706,110 @@ module.exports = {
           CREATE INDEX IF NOT EXISTS idx_context_loads_feature ON context_loads(feature_id);
           CREATE INDEX IF NOT EXISTS idx_context_loads_section ON context_loads(section_id);
         `);
+      },
+      down: (db) => {
+        db.exec('DROP TABLE IF EXISTS context_loads;');
+      }
+    },
+    {
+      version: 6,
+      description: 'Add agent invocation and completion tracking',
+      up: (db) => {
+        db.exec(`
+          -- Table to track agent invocations (when Task tool is called)
+          CREATE TABLE IF NOT EXISTS agent_invocations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_type TEXT NOT NULL,
+            agent_prompt TEXT NOT NULL,
+            agent_description TEXT,
+            session_id TEXT NOT NULL,
+            parent_agent TEXT,
+            feature_id INTEGER,
+            section_id INTEGER,
+            tool_name TEXT DEFAULT 'Task',
+            tool_input TEXT,
+            invoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
+            FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE
+          );
+
+          -- Table to track agent completions
+          CREATE TABLE IF NOT EXISTS agent_completions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invocation_id INTEGER NOT NULL,
+            session_id TEXT NOT NULL,
+            completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            duration_ms INTEGER,
+            tool_response TEXT,
+            success BOOLEAN DEFAULT 1,
+            error_message TEXT,
+            FOREIGN KEY (invocation_id) REFERENCES agent_invocations(id) ON DELETE CASCADE
+          );
+
+          -- Indexes for performance
+          CREATE INDEX IF NOT EXISTS idx_agent_invocations_session ON agent_invocations(session_id);
+          CREATE INDEX IF NOT EXISTS idx_agent_invocations_type ON agent_invocations(agent_type);
+          CREATE INDEX IF NOT EXISTS idx_agent_invocations_invoked_at ON agent_invocations(invoked_at DESC);
+          CREATE INDEX IF NOT EXISTS idx_agent_invocations_feature ON agent_invocations(feature_id);
+          CREATE INDEX IF NOT EXISTS idx_agent_completions_invocation ON agent_completions(invocation_id);
+          CREATE INDEX IF NOT EXISTS idx_agent_completions_session ON agent_completions(session_id);
+          CREATE INDEX IF NOT EXISTS idx_agent_completions_completed_at ON agent_completions(completed_at DESC);
+
+          -- View for easy querying of agent activity with timing
+          CREATE VIEW IF NOT EXISTS agent_activity AS
+          SELECT
+            i.id as invocation_id,
+            i.agent_type,
+            i.agent_description,
+            i.parent_agent,
+            i.session_id,
+            i.invoked_at,
+            c.completed_at,
+            c.duration_ms,
+            c.success,
+            c.error_message,
+            f.name as feature_name,
+            s.name as section_name
+          FROM agent_invocations i
+          LEFT JOIN agent_completions c ON i.id = c.invocation_id
+          LEFT JOIN features f ON i.feature_id = f.id
+          LEFT JOIN sections s ON i.section_id = s.id
+          ORDER BY i.invoked_at DESC;
+        `);
+      },
+      down: (db) => {
+        db.exec(`
+          DROP VIEW IF EXISTS agent_activity;
+          DROP TABLE IF EXISTS agent_completions;
+          DROP TABLE IF EXISTS agent_invocations;
+        `);
+      }
+    },
+    {
+      version: 7,
+      description: 'Add testing status to features',
+      ...changeEnum({
+        table: 'features',
+        column: 'status',
+        from: ['planning', 'ready', 'in_progress', 'completed'],
+        to: ['planning', 'ready', 'in_progress', 'testing', 'completed'],
+        downMap: { testing: 'in_progress' }
+      })
+    },
+    {
+      version: 8,
+      description: 'Add change_log journal for row-level change events',
+      up: (db) => {
+        db.exec(`CREATE TABLE IF NOT EXISTS change_log (\n  ${changeLogColumns.join(',\n  ')}\n)`);
+        for (const [name, definition] of Object.entries(changeLogTriggers())) {
+          db.exec(`CREATE TRIGGER IF NOT EXISTS ${name} ${definition}`);
+        }
+      },
+      down: (db) => {
+        for (const name of Object.keys(changeLogTriggers())) {
+          db.exec(`DROP TRIGGER IF EXISTS ${name}`);
+        }
+        db.exec('DROP TABLE IF EXISTS change_log');
       }
     }
   ],
@@ -276,37 +831,72 @@ module.exports = {
       include: [
         'agents/**/*.md',
         'commands/**/*.md',
-        '.claude/settings.json'
+        'settings.json'
       ]
     },
 
-    // Scripts from root scripts/ get copied to .claude/scripts/
+    // Scripts from base-claude/scripts/ get copied to .claude/scripts/
     scripts: {
-      source: 'scripts',
+      source: 'base-claude/scripts',
       destination: '.claude/scripts',
       include: [
         '*.js',
         '*.sh',
-        '*.py'
+        '*.py',
+        'README.md'
+      ]
+    }
+  },
+
+  // Stack overlays - optional agent/command sets layered on top of base-claude
+  // Installed by init-claude-project.sh --laravel / --next. cadi-monitor records a
+  // project's overlays in its config, or detects them from the installed files.
+  // When base and an overlay (or two overlays) ship the same path, the earlier
+  // layer wins: base first, then overlays in the order the project lists them.
+  overlays: {
+    laravel: {
+      name: 'Laravel',
+      description: 'Laravel architecture, API and artisan agents and commands',
+      source: 'laravel-claude',
+      destination: '.claude',
+      include: [
+        'agents/**/*.md',
+        'commands/**/*.md'
+      ]
+    },
+
+    next: {
+      name: 'Next.js',
+      description: 'Next.js app router, server component and build agents and commands',
+      source: 'next-claude',
+      destination: '.claude',
+      include: [
+        'agents/**/*.md',
+        'commands/**/*.md'
       ]
     }
   },
 
   // File categorization rules
-  // Used to determine if a file is CADI-managed or custom
+  // Used to decide what an update may do with a project file that isn't in the
+  // template: leave it (custom), delete it (managed) or not look at it (ignored).
+  // Files the template ships are always updated unless the project marks them as
+  // locally owned in .claude/cadi.json. Patterns are globs relative to .claude/ -
+  // `*` stays within a directory, `**` spans directories, a trailing '/' matches
+  // everything below it. Precedence: ignored, then custom, then managed.
   categorization: {
     // Extensions to track for changes
     trackedExtensions: ['.md', '.js', '.sh', '.py', '.json'],
 
-    // Paths that are always CADI-managed
+    // Paths owned by CADI - files here that leave the template are removed
     cadiManagedPaths: [
-      'agents/cadi/',
-      'commands/cadi/',
-      'scripts/',
+      'agents/cadi/**',
+      'commands/cadi/**',
+      'scripts/**',
       'settings.json'
     ],
 
-    // Files that should be treated as custom (even if they match patterns)
+    // Files that are always custom, even inside a managed path
     // These are preserved during updates
     customFilePaths: [
       // Top-level agents/commands (not in cadi/ subdirs)
@@ -314,20 +904,35 @@ module.exports = {
       'commands/*.md'
     ],
 
-    // Check if a path is CADI-managed
-    isCadiManaged: function(relativePath) {
-      // Normalize path separators
-      const normalized = relativePath.replace(/\\/g, '/');
+    // Files updates never look at
+    ignoredPaths: [
+      '**/*:Zone.Identifier',
+      '**/node_modules/**',
+      'settings.local.json'
+    ],
 
-      return this.cadiManagedPaths.some(pattern => {
-        if (pattern.endsWith('/')) {
-          // Directory pattern - check if path starts with it
-          return normalized.startsWith(pattern) || normalized.includes('/' + pattern);
-        } else {
-          // File pattern - check for exact match or in subdirectory
-          return normalized === pattern || normalized.endsWith('/' + pattern);
+    // Classify a path: { category: 'ignored' | 'custom' | 'managed', pattern, rule }
+    // pattern/rule name the glob and list that matched (null for unmatched custom files)
+    categorize: function(relativePath) {
+      const rules = [
+        ['ignored', 'ignoredPaths'],
+        ['custom', 'customFilePaths'],
+        ['managed', 'cadiManagedPaths']
+      ];
+
+      for (const [category, rule] of rules) {
+        const pattern = findMatchingGlob(relativePath, this[rule]);
+        if (pattern) {
+          return { category, pattern, rule };
         }
-      });
+      }
+
+      return { category: 'custom', pattern: null, rule: null };
+    },
+
+    // Check if a path is CADI-managed
+    isCadiManaged: function(relativePath) {
+      return this.categorize(relativePath).category === 'managed';
     },
 
     // Check if a file should be tracked
@@ -336,15 +941,24 @@ module.exports = {
     }
   },
 
-  // Hooks configuration (for future expansion)
+  // Hooks configuration
+  // Each hook is a JS module or a shell command, with an optional timeout (ms):
+  //   { name: 'format', module: 'hooks/format.js', timeout: 10000 }
+  //   { name: 'notify', command: 'echo "CADI updated to v$CADI_NEW_VERSION"' }
+  // Module paths are relative to this file; a module exports a (possibly async)
+  // function receiving the context. Commands run in the project directory with
+  // the context as JSON on stdin and in $CADI_CONTEXT.
+  // Context: { hook, projectPath, projectName, templatePath, oldVersion, newVersion, changes }
+  // A failing hook (throws, non-zero exit, or times out) aborts the operation.
   hooks: {
-    // Pre-commit hooks
+    // Run by UpdateManager after the backup, before any file is written
     preCommit: [],
 
-    // Post-update hooks
+    // Run by UpdateManager after files and migrations are applied -
+    // a failure rolls the update back
     postUpdate: [],
 
-    // Pre-init hooks
+    // Run by init-claude-project.sh before anything is copied
     preInit: []
   },
 
@@ -366,65 +980,42 @@ module.exports = {
       sql.push('');
     }
 
+    // Generate CREATE VIEW statements
+    for (const [viewName, viewSQL] of Object.entries(this.schema.views || {})) {
+      sql.push(`CREATE VIEW IF NOT EXISTS ${viewName} AS ${viewSQL.trim()};`);
+      sql.push('');
+    }
+
+    // Generate CREATE TRIGGER statements
+    for (const [triggerName, triggerSQL] of Object.entries(this.schema.triggers || {})) {
+      sql.push(`CREATE TRIGGER IF NOT EXISTS ${triggerName} ${triggerSQL.trim()};`);
+      sql.push('');
+    }
+
     // Add initial schema version
     sql.push(`INSERT INTO schema_version (version) VALUES (${this.schemaVersion});`);
 
     return sql.join('\n');
   },
 
-  // Get list of all CADI agents
-  getAgents: function() {
-    // This would scan base-claude/agents/cadi/**/*.md
-    // For now, return the structure
-    return {
-      planning: [
-        'plan-section-builder.md',
-        'agent-builder.md'
-      ],
-      development: [
-        'quick-feature-builder.md'
-      ],
-      'code-quality': [
-        'test-builder.md',
-        'refactor-advisor.md',
-        'code-reviewer.md'
-      ],
-      context: [
-        'context-loader.md'
-      ],
-      git: [
-        'git-helper.md'
-      ]
-    };
+  // Find the first of a list of globs that a relative path matches (null if none)
+  matchGlob: function(relativePath, patterns) {
+    return findMatchingGlob(relativePath, patterns);
   },
 
-  // Get list of all CADI commands
-  getCommands: function() {
-    return {
-      setup: [
-        'init-agent-logging.md'
-      ],
-      planning: [
-        'plan.md',
-        'plan-status.md',
-        'plan-edit.md'
-      ],
-      development: [
-        'test.md',
-        'quick-feature.md',
-        'lint.md',
-        'commit.md'
-      ],
-      context: [
-        'prime-frontend.md',
-        'prime-backend.md',
-        'load-context.md',
-        'index-docs.md'
-      ],
-      monitoring: [
-        'errors.md',
-        'context-monitor.md'
-      ]
-    };
+  // Parse the frontmatter of an agent or command (version and changelog feed update changelogs)
+  parseFrontmatter: function(content) {
+    return parseFrontmatter(content);
+  },
+
+  // Get all CADI agents, grouped by category (directory under agents/cadi)
+  // templatesRoot defaults to this manifest's directory
+  getAgents: function(templatesRoot = __dirname) {
+    return scanTemplateFiles(path.join(templatesRoot, this.files.baseClaude.source), 'agents/cadi');
+  },
+
+  // Get all CADI commands, grouped by category (directory under commands/cadi)
+  getCommands: function(templatesRoot = __dirname) {
+    return scanTemplateFiles(path.join(templatesRoot, this.files.baseClaude.source), 'commands/cadi');
   }
 };
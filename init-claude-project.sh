@@ -24,6 +24,7 @@ NEXT_CLAUDE_DIR="$SCRIPT_DIR/next-claude"
 # Parse flags
 USE_LARAVEL=false
 USE_NEXT=false
+INSTALLED_BASE=false
 TARGET_DIR=""
 
 while [[ $# -gt 0 ]]; do
@@ -56,6 +57,14 @@ if [ ! -d "$BASE_CLAUDE_DIR" ]; then
     exit 1
 fi
 
+# Run preInit hooks from the manifest - a failing hook aborts initialization
+if command -v node &> /dev/null; then
+    if ! node "$SCRIPT_DIR/manifest-helper.js" run-hooks preInit "$TARGET_DIR"; then
+        echo "Error: preInit hook failed - nothing was changed"
+        exit 1
+    fi
+fi
+
 # Check if .claude directory already exists
 if [ -d "$TARGET_DIR/.claude" ]; then
     echo -e "${YELLOW}Warning: .claude directory already exists${NC}"
@@ -104,6 +113,7 @@ if [ -d "$TARGET_DIR/.claude" ]; then
             mkdir -p "$TARGET_DIR/.claude/commands"
             mkdir -p "$TARGET_DIR/.claude/scripts"
             cp -r "$BASE_CLAUDE_DIR/"* "$TARGET_DIR/.claude/"
+            INSTALLED_BASE=true
             echo -e "${GREEN}✓ Installed documentation scripts${NC}"
 
             # Restore custom files to root of agents/commands (not in cadi/)
@@ -176,6 +186,7 @@ if [ -d "$TARGET_DIR/.claude" ]; then
             mkdir -p "$TARGET_DIR/.claude/commands"
             mkdir -p "$TARGET_DIR/.claude/scripts"
             cp -r "$BASE_CLAUDE_DIR/"* "$TARGET_DIR/.claude/"
+            INSTALLED_BASE=true
             echo -e "${GREEN}✓ Installed documentation scripts${NC}"
 
             find "$TARGET_DIR/.claude" -name "*:Zone.Identifier" -delete 2>/dev/null || true
@@ -189,6 +200,7 @@ else
     echo -e "${BLUE}Copying Claude configuration...${NC}"
     mkdir -p "$TARGET_DIR/.claude"
     cp -r "$BASE_CLAUDE_DIR/"* "$TARGET_DIR/.claude/"
+    INSTALLED_BASE=true
     echo -e "${GREEN}✓ Installed documentation scripts${NC}"
 
     # Remove Windows Zone.Identifier files if they exist
@@ -209,7 +221,7 @@ if [ "$USE_LARAVEL" = true ]; then
         # Copy Laravel agents (will overwrite if exists)
         if [ -d "$LARAVEL_CLAUDE_DIR/agents" ]; then
             if [ "$(ls -A $LARAVEL_CLAUDE_DIR/agents 2>/dev/null)" ]; then
-                cp -n "$LARAVEL_CLAUDE_DIR/agents/"* "$TARGET_DIR/.claude/agents/" 2>/dev/null || true
+                cp -rn "$LARAVEL_CLAUDE_DIR/agents/"* "$TARGET_DIR/.claude/agents/" 2>/dev/null || true
                 echo -e "${GREEN}✓ Added Laravel agents${NC}"
             fi
         fi
@@ -217,7 +229,7 @@ if [ "$USE_LARAVEL" = true ]; then
         # Copy Laravel commands (will overwrite if exists)
         if [ -d "$LARAVEL_CLAUDE_DIR/commands" ]; then
             if [ "$(ls -A $LARAVEL_CLAUDE_DIR/commands 2>/dev/null)" ]; then
-                cp -n "$LARAVEL_CLAUDE_DIR/commands/"* "$TARGET_DIR/.claude/commands/" 2>/dev/null || true
+                cp -rn "$LARAVEL_CLAUDE_DIR/commands/"* "$TARGET_DIR/.claude/commands/" 2>/dev/null || true
                 echo -e "${GREEN}✓ Added Laravel commands${NC}"
             fi
         fi
@@ -241,7 +253,7 @@ if [ "$USE_NEXT" = true ]; then
         # Copy Next.js agents (will not overwrite if exists)
         if [ -d "$NEXT_CLAUDE_DIR/agents" ]; then
             if [ "$(ls -A $NEXT_CLAUDE_DIR/agents 2>/dev/null)" ]; then
-                cp -n "$NEXT_CLAUDE_DIR/agents/"* "$TARGET_DIR/.claude/agents/" 2>/dev/null || true
+                cp -rn "$NEXT_CLAUDE_DIR/agents/"* "$TARGET_DIR/.claude/agents/" 2>/dev/null || true
                 echo -e "${GREEN}✓ Added Next.js agents${NC}"
             fi
         fi
@@ -249,7 +261,7 @@ if [ "$USE_NEXT" = true ]; then
         # Copy Next.js commands (will not overwrite if exists)
         if [ -d "$NEXT_CLAUDE_DIR/commands" ]; then
             if [ "$(ls -A $NEXT_CLAUDE_DIR/commands 2>/dev/null)" ]; then
-                cp -n "$NEXT_CLAUDE_DIR/commands/"* "$TARGET_DIR/.claude/commands/" 2>/dev/null || true
+                cp -rn "$NEXT_CLAUDE_DIR/commands/"* "$TARGET_DIR/.claude/commands/" 2>/dev/null || true
                 echo -e "${GREEN}✓ Added Next.js commands${NC}"
             fi
         fi
@@ -261,6 +273,22 @@ if [ "$USE_NEXT" = true ]; then
     fi
 fi
 
+# Record the template version of each installed file in .claude/.cadi-base so
+# cadi-monitor updates can three-way merge local edits instead of overwriting them
+if [ "$INSTALLED_BASE" = true ]; then
+    BASE_STORE="$TARGET_DIR/.claude/.cadi-base"
+    rm -rf "$BASE_STORE"
+    mkdir -p "$BASE_STORE"
+    cp -r "$BASE_CLAUDE_DIR/"* "$BASE_STORE/"
+    if [ "$USE_LARAVEL" = true ] && [ -d "$LARAVEL_CLAUDE_DIR" ]; then
+        cp -rn "$LARAVEL_CLAUDE_DIR/"* "$BASE_STORE/" 2>/dev/null || true
+    fi
+    if [ "$USE_NEXT" = true ] && [ -d "$NEXT_CLAUDE_DIR" ]; then
+        cp -rn "$NEXT_CLAUDE_DIR/"* "$BASE_STORE/" 2>/dev/null || true
+    fi
+    find "$BASE_STORE" -name "*:Zone.Identifier" -delete 2>/dev/null || true
+fi
+
 # Create project directories (from manifest)
 echo -e "${BLUE}Creating project directories...${NC}"
 
@@ -300,6 +328,24 @@ else
     fi
 fi
 
+# Record what was installed in .claude/cadi-lock.json so updates can tell
+# upstream template changes apart from local edits
+if [ "$INSTALLED_BASE" = true ] && command -v node &> /dev/null; then
+    LOCK_OVERLAYS=()
+    if [ "$USE_LARAVEL" = true ] && [ -d "$LARAVEL_CLAUDE_DIR" ]; then
+        LOCK_OVERLAYS+=(laravel)
+    fi
+    if [ "$USE_NEXT" = true ] && [ -d "$NEXT_CLAUDE_DIR" ]; then
+        LOCK_OVERLAYS+=(next)
+    fi
+
+    if LOCK_SUMMARY=$(node "$SCRIPT_DIR/manifest-helper.js" write-lock "$TARGET_DIR" "${LOCK_OVERLAYS[@]}"); then
+        echo -e "${GREEN}✓ Wrote .claude/cadi-lock.json ($LOCK_SUMMARY)${NC}"
+    else
+        echo -e "${YELLOW}Warning: Failed to write .claude/cadi-lock.json${NC}"
+    fi
+fi
+
 echo ""
 echo -e "${GREEN}Project initialization complete!${NC}"
 echo ""
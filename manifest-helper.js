@@ -11,10 +11,15 @@
  *   directories   - Output directories to create (one per line)
  *   schema-version - Output current schema version
  *   summary       - Output manifest summary as JSON
+ *   validate      - Check migrations, schema and file lists are consistent
+ *   diff <old>    - Summarize changes since an older cadi-manifest.js
+ *   run-hooks <stage> <project-path> - Run manifest hooks (e.g. preInit)
+ *   write-lock <project-path> [overlays...] - Write .claude/cadi-lock.json after init
  */
 
 const path = require('path');
 const fs = require('fs');
+const Module = require('module');
 
 // Load manifest
 const manifestPath = path.join(__dirname, 'cadi-manifest.js');
@@ -25,6 +30,333 @@ if (!fs.existsSync(manifestPath)) {
 
 const manifest = require(manifestPath);
 
+/**
+ * Flatten getAgents()/getCommands() output into "category/file" entries
+ * (older manifests list plain file names, newer ones describe each file)
+ */
+function flattenFileList(groups) {
+  return Object.entries(groups).flatMap(([category, files]) =>
+    files.map(file => `${category}/${typeof file === 'string' ? file : file.file}`)
+  );
+}
+
+/**
+ * Validate the manifest:
+ * 1. Replay every migration on an in-memory database and compare the result
+ *    with the database generated from schema.tables
+ * 2. Check every agent and command in the template describes itself
+ */
+function validateManifest() {
+  // Loaded lazily so the other commands don't need cadi-monitor's dependencies
+  const monitorSrc = path.join(__dirname, 'packages/cadi-monitor/src');
+  const Database = require(path.join(__dirname, 'packages/cadi-monitor/node_modules/better-sqlite3'));
+  const ManifestReader = require(path.join(monitorSrc, 'ManifestReader'));
+  const SchemaManager = require(path.join(monitorSrc, 'SchemaManager'));
+
+  const errors = [];
+  const warnings = [];
+  const report = (ok, message) => console.log(`${ok ? '✓' : '✗'} ${message}`);
+
+  // Manifest consistency (versions, migration order)
+  let schemaManager;
+  try {
+    schemaManager = new SchemaManager(new ManifestReader(manifestPath));
+    report(true, `Manifest is consistent (schema version ${manifest.schemaVersion}, ${manifest.migrations.length} migrations)`);
+  } catch (error) {
+    errors.push(error.message);
+    report(false, error.message);
+  }
+
+  // Replay migrations from an empty database
+  if (schemaManager) {
+    const migrated = new Database(':memory:');
+    const expected = new Database(':memory:');
+
+    try {
+      migrated.pragma('foreign_keys = OFF');
+      migrated.exec('CREATE TABLE schema_version (version INTEGER NOT NULL, applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)');
+
+      for (const migration of manifest.migrations) {
+        try {
+          migration.up(migrated);
+          migrated.prepare('INSERT INTO schema_version (version) VALUES (?)').run(migration.version);
+        } catch (error) {
+          throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+        }
+      }
+      report(true, `Applied migrations 1-${manifest.schemaVersion} to an empty database`);
+
+      expected.exec(manifest.generateInitSQL());
+      const differences = schemaManager.diffSchemas(
+        schemaManager.inspectDatabase(expected),
+        schemaManager.inspectDatabase(migrated)
+      );
+
+      if (differences.length === 0) {
+        report(true, 'Migrated schema matches schema.tables');
+      } else {
+        report(false, `Migrated schema differs from schema.tables (${differences.length} difference(s)):`);
+        differences.forEach(d => {
+          const where = d.table && d.table !== d.name ? `${d.table}.${d.name}` : d.name;
+          const message = `${d.status} ${d.kind} ${where}` +
+            (d.status === 'changed' ? `: manifest "${d.expected}", migrations "${d.actual}"` : '');
+          errors.push(message);
+          console.log(`    ${message}`);
+        });
+      }
+    } catch (error) {
+      errors.push(error.message);
+      report(false, error.message);
+    } finally {
+      migrated.close();
+      expected.close();
+    }
+  }
+
+  // Agents and commands are discovered from the template - check their frontmatter.
+  // Claude Code ignores agents without a description; commands still work without one.
+  const fileLists = [
+    { label: 'agent', groups: manifest.getAgents(), required: true },
+    { label: 'command', groups: manifest.getCommands(), required: false }
+  ];
+
+  for (const { label, groups, required } of fileLists) {
+    const files = Object.values(groups).flat();
+    const undescribed = files.filter(file => !file.description);
+
+    if (files.length === 0) {
+      errors.push(`no ${label}s found in the template`);
+      report(false, `No ${label}s found in the template`);
+    } else if (!required || undescribed.length === 0) {
+      report(true, `Found ${files.length} ${label}s in ${Object.keys(groups).length} categories`);
+    } else {
+      report(false, `${undescribed.length} ${label}(s) have no frontmatter description:`);
+      undescribed.forEach(file => {
+        errors.push(`${label} ${file.path} has no description`);
+        console.log(`    ${file.path}`);
+      });
+    }
+
+    if (!required) {
+      warnings.push(...undescribed.map(file => `${label} ${file.path} has no frontmatter description`));
+    }
+  }
+
+  // Overlay sources must exist next to the manifest
+  for (const [id, overlay] of Object.entries(manifest.overlays || {})) {
+    const sourceDir = path.join(__dirname, overlay.source);
+    if (fs.existsSync(sourceDir)) {
+      report(true, `Overlay ${id} found at ${overlay.source}/`);
+    } else {
+      errors.push(`overlay ${id} source ${overlay.source}/ does not exist`);
+      report(false, `Overlay ${id} source ${overlay.source}/ does not exist`);
+    }
+  }
+
+  if (warnings.length > 0) {
+    console.log('');
+    warnings.forEach(warning => console.log(`⚠ ${warning}`));
+  }
+
+  console.log('');
+  if (errors.length > 0) {
+    console.log(`Manifest is invalid: ${errors.length} error(s)`);
+    process.exit(1);
+  }
+  console.log('Manifest is valid');
+}
+
+/**
+ * Summarize schema and file-list changes between an older manifest and this one
+ */
+function diffManifests(oldManifestPath) {
+  if (!oldManifestPath) {
+    console.error('Usage: node manifest-helper.js diff <old-manifest>');
+    process.exit(1);
+  }
+
+  const resolvedPath = path.resolve(oldManifestPath);
+  if (!fs.existsSync(resolvedPath)) {
+    console.error(`Error: ${oldManifestPath} not found`);
+    process.exit(1);
+  }
+
+  // Loaded as if it sat next to this manifest - an older copy in /tmp would
+  // otherwise scan /tmp for its agents and commands
+  const oldModule = new Module(manifestPath, module);
+  oldModule.filename = manifestPath;
+  oldModule.paths = Module._nodeModulePaths(__dirname);
+  oldModule._compile(fs.readFileSync(resolvedPath, 'utf8'), manifestPath);
+  const oldManifest = oldModule.exports;
+  const lines = [];
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(title);
+    entries.forEach(entry => lines.push(`  ${entry}`));
+    lines.push('');
+  };
+  const setDiff = (before, after) => ({
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item))
+  });
+  const listChanges = (before, after) => {
+    const { added, removed } = setDiff(before, after);
+    return [...added.map(item => `+ ${item}`), ...removed.map(item => `- ${item}`)];
+  };
+
+  // Schema version and migrations
+  if (oldManifest.schemaVersion !== manifest.schemaVersion) {
+    lines.push(`Schema version: ${oldManifest.schemaVersion} → ${manifest.schemaVersion}`);
+    lines.push('');
+  }
+  section('Migrations:', manifest.migrations
+    .filter(m => !oldManifest.migrations.some(old => old.version === m.version))
+    .map(m => `+ ${m.version}: ${m.description}`));
+
+  // Tables, columns and indexes
+  const oldTables = oldManifest.schema.tables;
+  const newTables = manifest.schema.tables;
+  const tableChanges = listChanges(Object.keys(oldTables), Object.keys(newTables));
+
+  for (const tableName of Object.keys(newTables).filter(name => oldTables[name])) {
+    // Table constraints have no column name - compare them as a whole
+    const columnName = def => /^(FOREIGN|PRIMARY|CHECK|UNIQUE|CONSTRAINT)\b/i.test(def) ? def : def.split(' ')[0];
+    const oldColumns = oldTables[tableName].columns;
+    const newColumns = newTables[tableName].columns;
+    const changes = [];
+
+    for (const def of newColumns) {
+      const previous = oldColumns.find(old => columnName(old) === columnName(def));
+      if (!previous) {
+        changes.push(`+ ${def}`);
+      } else if (previous !== def) {
+        changes.push(`~ ${previous}`, `  → ${def}`);
+      }
+    }
+    oldColumns
+      .filter(old => !newColumns.some(def => columnName(def) === columnName(old)))
+      .forEach(old => changes.push(`- ${old}`));
+    changes.push(...listChanges(oldTables[tableName].indexes, newTables[tableName].indexes));
+
+    if (changes.length > 0) {
+      tableChanges.push(`~ ${tableName}`, ...changes.map(change => `    ${change}`));
+    }
+  }
+  section('Tables:', tableChanges);
+
+  const oldViews = (oldManifest.schema.views) || {};
+  const newViews = manifest.schema.views || {};
+  section('Views:', [
+    ...listChanges(Object.keys(oldViews), Object.keys(newViews)),
+    ...Object.keys(newViews)
+      .filter(name => oldViews[name] && oldViews[name].trim() !== newViews[name].trim())
+      .map(name => `~ ${name}`)
+  ]);
+
+  const oldTriggers = oldManifest.schema.triggers || {};
+  const newTriggers = manifest.schema.triggers || {};
+  section('Triggers:', [
+    ...listChanges(Object.keys(oldTriggers), Object.keys(newTriggers)),
+    ...Object.keys(newTriggers)
+      .filter(name => oldTriggers[name] && oldTriggers[name].trim() !== newTriggers[name].trim())
+      .map(name => `~ ${name}`)
+  ]);
+
+  // File lists - both sides read the current templates (manifests that declare
+  // their lists instead of scanning ignore the root)
+  section('Agents:', listChanges(
+    flattenFileList(oldManifest.getAgents(__dirname)),
+    flattenFileList(manifest.getAgents(__dirname))
+  ));
+  section('Commands:', listChanges(
+    flattenFileList(oldManifest.getCommands(__dirname)),
+    flattenFileList(manifest.getCommands(__dirname))
+  ));
+  section('Overlays:', listChanges(Object.keys(oldManifest.overlays || {}), Object.keys(manifest.overlays || {})));
+  section('Directories:', listChanges(oldManifest.directories, manifest.directories));
+  section('CADI-managed paths:', listChanges(
+    oldManifest.categorization.cadiManagedPaths,
+    manifest.categorization.cadiManagedPaths
+  ));
+  section('Tracked extensions:', listChanges(
+    oldManifest.categorization.trackedExtensions,
+    manifest.categorization.trackedExtensions
+  ));
+
+  console.log(lines.length > 0 ? lines.join('\n').trimEnd() : 'No differences');
+}
+
+/**
+ * Run the manifest hooks for a stage against a project directory
+ * Exits non-zero if a hook fails so bash callers can abort.
+ */
+async function runHooks(stage, projectPath) {
+  if (!stage || !projectPath) {
+    console.error('Usage: node manifest-helper.js run-hooks <stage> <project-path>');
+    process.exit(1);
+  }
+
+  const HookRunner = require(path.join(__dirname, 'packages/cadi-monitor/src/HookRunner'));
+  const runner = new HookRunner(manifest.hooks, __dirname);
+  const resolvedPath = path.resolve(projectPath);
+
+  const { success, results } = await runner.run(stage, {
+    projectPath: resolvedPath,
+    projectName: path.basename(resolvedPath),
+    templatePath: path.join(__dirname, manifest.files.baseClaude.source),
+    oldVersion: null,
+    newVersion: manifest.schemaVersion,
+    changes: { added: [], modified: [], removed: [] }
+  });
+
+  for (const result of results) {
+    console.log(`${result.success ? '✓' : '✗'} ${stage} hook ${result.name} (${result.durationMs}ms)`);
+    if (result.output) {
+      console.log(result.output.trimEnd().split('\n').map(line => `    ${line}`).join('\n'));
+    }
+    if (result.error) {
+      console.error(`    ${result.error}`);
+    }
+  }
+
+  if (!success) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Write .claude/cadi-lock.json for a freshly initialized project
+ * Hashes every managed template file for base-claude plus the given overlays.
+ */
+function writeLock(projectPath, overlays) {
+  if (!projectPath) {
+    console.error('Usage: node manifest-helper.js write-lock <project-path> [overlays...]');
+    process.exit(1);
+  }
+
+  const ManifestReader = require(path.join(__dirname, 'packages/cadi-monitor/src/ManifestReader'));
+  const LockFile = require(path.join(__dirname, 'packages/cadi-monitor/src/LockFile'));
+  const reader = new ManifestReader(manifestPath);
+  const resolvedPath = path.resolve(projectPath);
+
+  const files = {};
+  for (const [relPath, { layer, source }] of reader.collectTemplateFiles(__dirname, overlays)) {
+    if (reader.categorize(relPath).category !== 'ignored') {
+      files[relPath] = { hash: LockFile.hashFile(source), source: layer };
+    }
+  }
+
+  const hasDatabase = fs.existsSync(path.join(resolvedPath, '.claude', 'project.db'));
+  const lock = new LockFile(resolvedPath).write({
+    template: LockFile.templateVersion(__dirname),
+    schemaVersion: hasDatabase ? manifest.schemaVersion : null,
+    overlays,
+    files
+  });
+
+  console.log(`${Object.keys(lock.files).length} files at ${lock.template.describe || 'unknown template version'}`);
+}
+
 // Parse command
 const command = process.argv[2];
 
@@ -41,6 +373,13 @@ switch (command) {
     });
     break;
 
+  case 'overlays':
+    // Output overlay ids and their source directories, tab-separated
+    Object.entries(manifest.overlays || {}).forEach(([id, overlay]) => {
+      console.log(`${id}\t${overlay.source}`);
+    });
+    break;
+
   case 'schema-version':
     // Output schema version
     console.log(manifest.schemaVersion);
@@ -59,15 +398,31 @@ switch (command) {
     break;
 
   case 'agents':
-    // Output agent structure as JSON
+    // Output agents discovered in the template (with frontmatter) as JSON
     console.log(JSON.stringify(manifest.getAgents(), null, 2));
     break;
 
   case 'commands':
-    // Output command structure as JSON
+    // Output commands discovered in the template (with frontmatter) as JSON
     console.log(JSON.stringify(manifest.getCommands(), null, 2));
     break;
 
+  case 'validate':
+    validateManifest();
+    break;
+
+  case 'diff':
+    diffManifests(process.argv[3]);
+    break;
+
+  case 'run-hooks':
+    runHooks(process.argv[3], process.argv[4]);
+    break;
+
+  case 'write-lock':
+    writeLock(process.argv[3], process.argv.slice(4));
+    break;
+
   case 'help':
   default:
     console.log(`
@@ -78,10 +433,21 @@ Usage: node manifest-helper.js <command>
 Commands:
   sql             Generate SQL for database initialization
   directories     List directories to create (one per line)
+  overlays        List stack overlays (id and source directory, tab-separated)
   schema-version  Output current schema version
   summary         Output manifest summary as JSON
   agents          List all CADI agents as JSON
   commands        List all CADI commands as JSON
+  validate        Replay migrations and check them against schema.tables,
+                  and check agent/command frontmatter in the template
+  diff <old>      Summarize schema and file-list changes since an older
+                  manifest (e.g. git show HEAD~1:cadi-manifest.js > /tmp/old.js)
+  run-hooks <stage> <project-path>
+                  Run the manifest's hooks for a stage (preInit, preCommit,
+                  postUpdate); exits non-zero if one fails
+  write-lock <project-path> [overlays...]
+                  Write .claude/cadi-lock.json (template version, schema
+                  version, overlays and file hashes) for a new project
   help            Show this help message
 `);
     if (command && command !== 'help') {
@@ -7,10 +7,203 @@ const fs = require('fs');
 const { spawn } = require('child_process');
 const ConfigManager = require('../src/ConfigManager');
 const MonitorServer = require('../src/server');
+const SchemaManager = require('../src/SchemaManager');
+const UpdateManager = require('../src/UpdateManager');
+const LockFile = require('../src/LockFile');
 
 const program = new Command();
 const config = new ConfigManager();
 
+/**
+ * Find base-claude in the repository this package lives in
+ */
+function findTemplatePath() {
+  const repoRoot = path.join(__dirname, '..', '..', '..');
+  const baseClaude = path.join(repoRoot, 'base-claude');
+  return fs.existsSync(baseClaude) ? baseClaude : null;
+}
+
+/**
+ * Print a project's cadi-lock.json and how far the project has drifted from it
+ */
+function printLockStatus(projectPath, updateManager) {
+  let lock;
+  try {
+    lock = new LockFile(projectPath).read();
+  } catch (error) {
+    console.log(`    ${chalk.red(error.message)}`);
+    return;
+  }
+
+  if (!lock) {
+    console.log(`    ${chalk.yellow('No cadi-lock.json')} ${chalk.dim('(written by init and the next update)')}`);
+    return;
+  }
+
+  const installed = lock.template || {};
+  let templateLine = chalk.cyan(installed.describe || installed.commit || 'unknown');
+  if (updateManager) {
+    const { summary } = updateManager.readLock(projectPath);
+    if (summary.behind) {
+      const commits = summary.commitsBehind ? `, ${summary.commitsBehind} commit(s) behind` : '';
+      templateLine += chalk.yellow(` (template is now ${summary.currentTemplate.describe}${commits})`);
+    }
+  }
+  console.log(`    Template: ${templateLine}`);
+  if (lock.partial) {
+    const partial = lock.partial.template || {};
+    console.log(`    Partly updated to: ${chalk.yellow(`${partial.describe || partial.commit || 'unknown'} (${lock.partial.deferred.length} change(s) left out)`)}`);
+  }
+
+  let schemaLine = chalk.cyan(lock.schemaVersion === null ? 'none' : `v${lock.schemaVersion}`);
+  if (updateManager && lock.schemaVersion !== null &&
+      lock.schemaVersion !== updateManager.schemaManager.schemaVersion) {
+    schemaLine += chalk.yellow(` (manifest is v${updateManager.schemaManager.schemaVersion})`);
+  }
+  console.log(`    Schema: ${schemaLine}`);
+
+  if (lock.overlays && lock.overlays.length > 0) {
+    console.log(`    Overlays: ${chalk.cyan(lock.overlays.join(', '))}`);
+  }
+
+  const drift = new LockFile(projectPath).drift(lock);
+  if (drift.modified.length === 0 && drift.missing.length === 0) {
+    console.log(`    Files: ${chalk.green(`${drift.unchanged} match the lock`)}`);
+  } else {
+    console.log(`    Files: ${chalk.yellow(`${drift.modified.length} edited locally, ${drift.missing.length} missing`)}` +
+      chalk.dim(` (${drift.unchanged} match the lock)`));
+    drift.modified.forEach(file => console.log(`      ${chalk.yellow('~')} ${file}`));
+    drift.missing.forEach(file => console.log(`      ${chalk.red('-')} ${file}`));
+  }
+}
+
+/**
+ * Print what a failed update reverted
+ */
+function printReverted(result, indent = '  ') {
+  const reverted = result.reverted;
+  if (!reverted) {
+    if (result.rolledBack) console.log(chalk.yellow(`${indent}All changes were rolled back`));
+    return;
+  }
+
+  console.log(chalk.yellow(`${indent}Reverted automatically:`));
+  if (reverted.files.length === 0) {
+    console.log(chalk.dim(`${indent}  No files had been changed yet`));
+  }
+  reverted.files.forEach(file => {
+    const icon = file.action === 'deleted' ? chalk.red('-') : chalk.green('↩');
+    console.log(`${indent}  ${icon} ${file.path}${file.action === 'deleted' ? chalk.dim(' (new in this update, removed)') : ''}`);
+  });
+
+  if (reverted.backupPath) {
+    console.log(`${indent}  ${chalk.dim('Restored from backup:')} ${reverted.backupPath}`);
+  }
+
+  const database = reverted.database;
+  if (database) {
+    console.log(database.restored
+      ? `${indent}  ${chalk.green('↩')} Database restored to schema v${database.version} from ${database.snapshot}`
+      : `${indent}  ${chalk.dim(`Database left at schema v${database.version} (migration rolled back)`)}`);
+  }
+}
+
+/**
+ * Print an update's changelog - migrations, then per file version, notes and template commits
+ */
+function printChangelog(changelog, indent = '  ') {
+  if (!changelog || (changelog.migrations.length === 0 && changelog.files.length === 0)) return;
+
+  const version = template => (template && (template.describe || template.commit)) || 'unknown';
+  const commits = changelog.commitCount > 0 ? chalk.dim(` (${changelog.commitCount} template commit(s))`) : '';
+
+  console.log();
+  console.log(chalk.blue(`${indent}Changelog:`), `${version(changelog.from)} → ${version(changelog.to)}${commits}`);
+
+  if (changelog.migrations.length > 0) {
+    console.log(`${indent}  Database:`);
+    changelog.migrations.forEach(migration => {
+      console.log(`${indent}    ${chalk.cyan(`v${migration.version}`)} ${migration.description || ''}`);
+    });
+  }
+
+  const icons = { added: chalk.green('+'), modified: chalk.yellow('~'), removed: chalk.red('-') };
+  changelog.files.forEach(file => {
+    const fileVersion = file.version ? chalk.cyan(` ${file.version.from || '?'} → ${file.version.to || '?'}`) : '';
+    console.log(`${indent}  ${icons[file.status]} ${file.path}${fileVersion}`);
+    file.notes.forEach(note => console.log(`${indent}      • ${note}`));
+    file.commits.forEach(commit => {
+      console.log(`${indent}      ${chalk.dim(commit.commit.slice(0, 7))} ${commit.subject} ${chalk.dim(commit.date)}`);
+    });
+  });
+}
+
+/**
+ * Update manager for this repository's templates, with the configured channels
+ */
+function getTemplateUpdateManager() {
+  const templatePath = findTemplatePath();
+  if (!templatePath) {
+    throw new Error('base-claude template not found');
+  }
+
+  const updateManager = new UpdateManager(templatePath);
+  updateManager.setChannels(config.get().channels);
+  return updateManager;
+}
+
+/**
+ * Set the channel and/or pin a project follows
+ * A running server is asked to make the change, so its next update check or
+ * apply uses the new target (and its copy of the config doesn't overwrite it).
+ * Without a server, config.json is edited directly.
+ */
+async function setTemplateTarget(projectId, changes) {
+  const cfg = config.get();
+  const serverUrl = `http://${cfg.host || 'localhost'}:${cfg.port || 3030}`;
+  const fetch = (await import('node-fetch')).default;
+
+  let response;
+  try {
+    response = await fetch(`${serverUrl}/api/config/projects/${encodeURIComponent(projectId)}/template`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+  } catch (error) {
+    // Server not running
+    config.updateProject(projectId, changes);
+    return;
+  }
+
+  const result = await response.json().catch(() => ({ error: `Server responded with ${response.status}` }));
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+
+  // Pick up what the server saved
+  config.load();
+}
+
+/**
+ * Print the template version a project follows
+ */
+function printTemplateTarget(project, updateManager) {
+  const target = updateManager.templateRepository.resolveTarget({ pin: project.pin, channel: project.channel });
+
+  console.log();
+  if (target.kind === 'workingTree') {
+    console.log(chalk.blue(`${project.id} follows the templates' working tree`));
+    return;
+  }
+
+  const label = target.kind === 'pin' ? 'is pinned to' : 'follows channel';
+  console.log(chalk.blue(`${project.id} ${label} ${target.name}`), chalk.dim(`(${target.describe})`));
+  if (target.kind === 'pin' && project.channel) {
+    console.log(chalk.dim(`  Channel ${project.channel} applies again once unpinned`));
+  }
+}
+
 program
   .name('cadi-monitor')
   .description('CADI Monitor - Multi-project dashboard for CADI-powered development')
@@ -38,13 +231,9 @@ program
       // Auto-detect template path if not specified
       let templatePath = options.template;
       if (!templatePath) {
-        // Try to find base-claude in parent directories
-        const packageDir = path.join(__dirname, '..');
-        const repoRoot = path.join(packageDir, '..', '..');
-        const baseClaude = path.join(repoRoot, 'base-claude');
+        templatePath = findTemplatePath();
 
-        if (fs.existsSync(baseClaude)) {
-          templatePath = baseClaude;
+        if (templatePath) {
           console.log(chalk.dim('Auto-detected template path:'), chalk.cyan(templatePath));
         }
       }
@@ -123,6 +312,7 @@ program
   .argument('[name]', 'Project name (defaults to directory name)')
   .option('-i, --id <id>', 'Project ID (defaults to directory name)')
   .option('-c, --color <color>', 'Project color (hex code)')
+  .option('--overlay <overlays...>', 'Stack overlays the project uses (e.g. laravel next)')
   .action((projectPath, projectName, options) => {
     try {
       config.init();
@@ -149,13 +339,21 @@ program
       const id = options.id || dirName.toLowerCase().replace(/[^a-z0-9-]/g, '-');
       const name = projectName || dirName;
 
+      // Reject unknown overlay ids before saving
+      const templatePath = findTemplatePath();
+      if (options.overlay && templatePath) {
+        const updateManager = new UpdateManager(templatePath);
+        updateManager.manifestReader.getSourceLayers(updateManager.templatesRoot, options.overlay);
+      }
+
       // Add project
       config.addProject({
         id,
         name,
         path: resolvedPath,
         color: options.color,
-        enabled: true
+        enabled: true,
+        overlays: options.overlay
       });
 
       console.log(chalk.green('✓ Project added'));
@@ -163,6 +361,9 @@ program
       console.log('  ID:', chalk.cyan(id));
       console.log('  Name:', chalk.cyan(name));
       console.log('  Path:', chalk.dim(resolvedPath));
+      if (options.overlay) {
+        console.log('  Overlays:', chalk.cyan(options.overlay.join(', ')));
+      }
       console.log();
       console.log(chalk.blue('Start monitoring:'), chalk.cyan('cadi-monitor start'));
     } catch (error) {
@@ -274,6 +475,141 @@ program
     }
   });
 
+/**
+ * Show or set a project's stack overlays
+ */
+program
+  .command('overlays')
+  .description('Show or set the stack overlays a project uses')
+  .argument('<id>', 'Project ID')
+  .argument('[overlays...]', 'Overlay ids to record (e.g. laravel next)')
+  .option('--detect', 'Clear recorded overlays and detect them from the project files')
+  .action((projectId, overlays, options) => {
+    try {
+      config.init();
+      const project = config.getProject(projectId);
+      if (!project) {
+        console.error(chalk.red('Error:'), `Project '${projectId}' not found`);
+        process.exit(1);
+      }
+
+      const templatePath = findTemplatePath();
+      if (!templatePath) {
+        console.error(chalk.red('Error:'), 'base-claude template not found');
+        process.exit(1);
+      }
+
+      const updateManager = new UpdateManager(templatePath);
+      const available = updateManager.manifestReader.getOverlays();
+
+      if (options.detect) {
+        config.updateProject(projectId, { overlays: null });
+        console.log(chalk.green('✓ Overlays will be detected from project files'));
+      } else if (overlays.length > 0) {
+        updateManager.manifestReader.getSourceLayers(updateManager.templatesRoot, overlays);
+        config.updateProject(projectId, { overlays });
+        console.log(chalk.green('✓ Overlays set:'), overlays.join(', '));
+      }
+
+      const recorded = config.getProject(projectId).overlays;
+      const active = recorded || updateManager.detectOverlays(project.path);
+
+      console.log();
+      console.log(chalk.blue(`Overlays for ${projectId}`), chalk.dim(recorded ? '(recorded)' : '(detected)'));
+      for (const [id, overlay] of Object.entries(available)) {
+        const icon = active.includes(id) ? chalk.green('●') : chalk.gray('○');
+        console.log(`  ${icon} ${chalk.cyan(id)} - ${overlay.name}`);
+        console.log(`    ${chalk.dim(overlay.description)}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to update overlays:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Show or set the template version a project follows
+ */
+program
+  .command('channel')
+  .description('Show or set the update channel a project follows')
+  .argument('<id>', 'Project ID')
+  .argument('[channel]', 'Channel name (e.g. stable, next)')
+  .option('--none', 'Stop following a channel and use the templates\' working tree')
+  .action(async (projectId, channel, options) => {
+    try {
+      config.init();
+      const project = config.getProject(projectId);
+      if (!project) {
+        console.error(chalk.red('Error:'), `Project '${projectId}' not found`);
+        process.exit(1);
+      }
+
+      const updateManager = getTemplateUpdateManager();
+      const repository = updateManager.templateRepository;
+
+      if (options.none) {
+        await setTemplateTarget(projectId, { channel: null });
+        console.log(chalk.green('✓ Channel cleared'));
+      } else if (channel) {
+        const target = repository.resolveTarget({ channel });
+        await setTemplateTarget(projectId, { channel });
+        console.log(chalk.green('✓ Channel set:'), channel, chalk.dim(`(${target.describe})`));
+      }
+
+      printTemplateTarget(config.getProject(projectId), updateManager);
+
+      console.log();
+      console.log(chalk.blue('Channels:'));
+      for (const name of Object.keys(repository.channels)) {
+        let version;
+        try {
+          version = chalk.dim(repository.resolveTarget({ channel: name }).describe);
+        } catch (error) {
+          version = chalk.yellow(error.message);
+        }
+        const icon = config.getProject(projectId).channel === name ? chalk.green('●') : chalk.gray('○');
+        console.log(`  ${icon} ${chalk.cyan(name)} ${chalk.dim(repository.channels[name])} ${version}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to update channel:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('pin')
+  .description('Pin a project to a template tag or commit')
+  .argument('<id>', 'Project ID')
+  .argument('[ref]', 'Tag, branch or commit of the templates repository')
+  .option('--unpin', 'Remove the pin - the project follows its channel again')
+  .action(async (projectId, ref, options) => {
+    try {
+      config.init();
+      const project = config.getProject(projectId);
+      if (!project) {
+        console.error(chalk.red('Error:'), `Project '${projectId}' not found`);
+        process.exit(1);
+      }
+
+      const updateManager = getTemplateUpdateManager();
+
+      if (options.unpin) {
+        await setTemplateTarget(projectId, { pin: null });
+        console.log(chalk.green('✓ Pin removed'));
+      } else if (ref) {
+        const target = updateManager.templateRepository.resolveTarget({ pin: ref });
+        await setTemplateTarget(projectId, { pin: ref });
+        console.log(chalk.green('✓ Pinned to'), ref, chalk.dim(`(${target.commit.slice(0, 12)})`));
+      }
+
+      printTemplateTarget(config.getProject(projectId), updateManager);
+    } catch (error) {
+      console.error(chalk.red('Failed to pin template:'), error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Open the web UI
  */
@@ -316,6 +652,20 @@ program
       console.log('  Projects:', chalk.cyan(cfg.projects.length));
       console.log('  Enabled:', chalk.cyan(cfg.projects.filter(p => p.enabled !== false).length));
       console.log();
+      console.log('  Update backups (per project):');
+      console.log('    Keep:', chalk.cyan(cfg.backups.keep || 'unlimited'));
+      console.log('    Max age:', chalk.cyan(cfg.backups.maxAgeDays ? `${cfg.backups.maxAgeDays} days` : 'unlimited'));
+      console.log('    Max size:', chalk.cyan(cfg.backups.maxSizeMB ? `${cfg.backups.maxSizeMB} MB` : 'unlimited'));
+      console.log();
+      console.log('  Background update checks:', cfg.updateChecks.enabled === false
+        ? chalk.dim('off')
+        : chalk.cyan(`${cfg.updateChecks.intervalMinutes ? `every ${cfg.updateChecks.intervalMinutes} min` : 'not scheduled'}${cfg.updateChecks.watchTemplates ? ', on template changes' : ''}`));
+      console.log();
+      console.log('  Update channels:');
+      for (const [name, spec] of Object.entries(cfg.channels)) {
+        console.log(`    ${name}:`, chalk.cyan(spec));
+      }
+      console.log();
       console.log('  Config file:', chalk.dim(path.join(config.configDir, 'config.json')));
     } catch (error) {
       console.error(chalk.red('Failed to read config:'), error.message);
@@ -445,6 +795,12 @@ program
         console.log(chalk.blue('Project Health:'));
         console.log();
 
+        const templatePath = findTemplatePath();
+        const updateManager = templatePath ? new UpdateManager(templatePath) : null;
+        if (updateManager) {
+          updateManager.setChannels(cfg.channels);
+        }
+
         enabledProjects.forEach(project => {
           const dbPath = path.join(project.path, '.claude/project.db');
           const exists = fs.existsSync(dbPath);
@@ -455,6 +811,21 @@ program
           if (!exists) {
             console.log(`    ${chalk.red('Database not found')}`);
           }
+
+          // Compare against the version the project follows, not the working tree
+          let projectManager = updateManager;
+          if (updateManager && (project.pin || project.channel)) {
+            try {
+              const { manager, target } = updateManager.forProject(project);
+              projectManager = manager;
+              console.log(`    Follows: ${chalk.cyan(`${target.kind} ${target.name}`)} ${chalk.dim(`(${target.describe})`)}`);
+            } catch (error) {
+              console.log(`    ${chalk.red(error.message)}`);
+              projectManager = null;
+            }
+          }
+
+          printLockStatus(project.path, projectManager);
         });
       }
     } catch (error) {
@@ -474,7 +845,8 @@ const updateCmd = program
 updateCmd
   .command('check [id]')
   .description('Check what would be updated in project(s)')
-  .action(async (projectId) => {
+  .option('-v, --verbose', 'Show why each file was classified the way it was')
+  .action(async (projectId, options) => {
     try {
       config.init();
       const cfg = config.get();
@@ -495,6 +867,26 @@ updateCmd
         console.log(chalk.blue(`Update analysis for ${projectId}:`));
         console.log();
         console.log('  Status:', analysis.safe ? chalk.green('Safe') : chalk.red('Unsafe'));
+        console.log('  Overlays:', analysis.overlays.length > 0 ? chalk.cyan(analysis.overlays.join(', ')) : chalk.dim('none'));
+
+        if (!analysis.lock) {
+          console.log('  Lock:', chalk.dim('none (changes can\'t be told apart from local edits)'));
+        } else if (analysis.lock.error) {
+          console.log('  Lock:', chalk.red(analysis.lock.error));
+        } else {
+          const installed = analysis.lock.template.describe || analysis.lock.template.commit || 'unknown';
+          const behind = analysis.lock.behind ? chalk.yellow(` → ${analysis.lock.currentTemplate.describe}`) : '';
+          const commits = analysis.lock.commitsBehind ? chalk.yellow(` (${analysis.lock.commitsBehind} commit(s) behind)`) : '';
+          console.log('  Lock:', chalk.cyan(installed) + behind + commits);
+          if (analysis.lock.partial) {
+            console.log('  Partly updated to:', chalk.yellow(`${analysis.lock.partial.template.describe || 'unknown'} (${analysis.lock.partial.deferred.length} change(s) left out)`));
+          }
+        }
+
+        if (analysis.target && analysis.target.kind !== 'workingTree') {
+          const label = analysis.target.kind === 'pin' ? 'pinned to' : 'channel';
+          console.log('  Template:', `${label} ${chalk.cyan(analysis.target.name)}`, chalk.dim(`(${analysis.target.describe})`));
+        }
 
         if (analysis.errors.length > 0) {
           console.log('  Errors:');
@@ -507,24 +899,58 @@ updateCmd
         console.log(`  ${chalk.red('Removed:')}`, analysis.changes.removed.length);
         console.log(`  ${chalk.dim('Unchanged:')}`, analysis.changes.unchanged.length);
         console.log(`  ${chalk.cyan('Custom:')}`, analysis.changes.custom.length);
+        console.log(`  ${chalk.magenta('Locally owned:')}`, analysis.changes.owned.length);
+
+        const changeLabels = { upstream: 'upstream', local: 'local edit', both: 'upstream + local edit' };
+        const sourceLabel = f => (f.source && f.source !== 'base' ? chalk.dim(` [${f.source}]`) : '') +
+          (changeLabels[f.change] ? chalk.dim(` (${changeLabels[f.change]})`) : '') +
+          (options.verbose && f.reason ? chalk.dim(` - ${f.reason}`) : '');
 
         if (analysis.changes.added.length > 0) {
           console.log();
           console.log(chalk.green('  New files:'));
-          analysis.changes.added.forEach(f => console.log(`    + ${f.path}`));
+          analysis.changes.added.forEach(f => console.log(`    + ${f.path}${sourceLabel(f)}`));
         }
 
         if (analysis.changes.modified.length > 0) {
           console.log();
           console.log(chalk.yellow('  Modified files:'));
-          analysis.changes.modified.forEach(f => console.log(`    ~ ${f.path}`));
+          analysis.changes.modified.forEach(f => {
+            console.log(`    ~ ${f.path}${sourceLabel(f)}`);
+            (f.jsonConflicts || []).forEach(c => {
+              console.log(chalk.yellow(`        ! ${c.key}: keeps ${JSON.stringify(c.local)}, template has ${JSON.stringify(c.template)}`));
+            });
+          });
+        }
+
+        if (analysis.conflicts.length > 0) {
+          console.log();
+          console.log(chalk.magenta('  Overlay conflicts:'));
+          analysis.conflicts.forEach(c => {
+            const note = c.identical ? 'identical' : `using ${c.winner}`;
+            console.log(`    ! ${c.path} (${c.layers.join(' vs ')}, ${note})`);
+          });
         }
 
         if (analysis.changes.removed.length > 0) {
           console.log();
           console.log(chalk.red('  Removed files (deprecated):'));
-          analysis.changes.removed.forEach(f => console.log(`    - ${f.path}`));
+          analysis.changes.removed.forEach(f => console.log(`    - ${f.path}${sourceLabel(f)}`));
+        }
+
+        if (analysis.changes.owned.length > 0) {
+          console.log();
+          console.log(chalk.magenta('  Locally owned (skipped):'));
+          analysis.changes.owned.forEach(f => console.log(`    = ${f.path} (template ${f.upstream})${sourceLabel(f)}`));
         }
+
+        if (options.verbose && analysis.changes.custom.length > 0) {
+          console.log();
+          console.log(chalk.cyan('  Custom files (preserved):'));
+          analysis.changes.custom.forEach(f => console.log(`    · ${f.path}${sourceLabel(f)}`));
+        }
+
+        printChangelog(analysis.changelog);
       } else {
         // Check all projects
         const projects = cfg.projects.filter(p => p.enabled !== false);
@@ -538,15 +964,42 @@ updateCmd
 
         const results = await response.json();
 
+        if (!response.ok) {
+          console.error(chalk.red('Error:'), results.error);
+          process.exit(1);
+        }
+
         console.log(chalk.blue('Update analysis for all projects:'));
-        console.log();
 
-        for (const [id, analysis] of Object.entries(results)) {
-          const project = projects.find(p => p.id === id);
-          const statusIcon = analysis.safe ? chalk.green('✓') : chalk.red('✗');
-          const updateCount = analysis.changes.added.length + analysis.changes.modified.length;
+        // One section per template version the projects follow
+        for (const group of results.groups) {
+          const version = group.template.describe || (group.key === 'working-tree' ? 'working tree' : group.key.slice(0, 12));
+          const behindHead = group.commitsBehindHead ? chalk.yellow(` - ${group.commitsBehindHead} commit(s) behind HEAD`) : '';
 
-          console.log(`${statusIcon} ${chalk.cyan(project.name)} - ${updateCount} update(s)`);
+          console.log();
+          console.log(`${chalk.bold(version)} ${chalk.dim(`(${group.follows.join(', ')})`)}${behindHead}`);
+
+          for (const entry of group.projects) {
+            const analysis = results.projects[entry.id];
+            const project = projects.find(p => p.id === entry.id);
+            const statusIcon = analysis.safe ? chalk.green('✓') : chalk.red('✗');
+            const updateCount = analysis.changes.added.length + analysis.changes.modified.length;
+
+            let installed = chalk.dim('no lock');
+            if (entry.installed) {
+              installed = chalk.dim(entry.installed.describe || entry.installed.commit || 'unknown');
+              if (entry.commitsBehind) {
+                installed += chalk.yellow(` (${entry.commitsBehind} behind)`);
+              }
+            }
+
+            console.log(`  ${statusIcon} ${chalk.cyan(project.name)} - ${updateCount} update(s) ${installed}`);
+          }
+        }
+
+        for (const [id, error] of Object.entries(results.failed)) {
+          console.log();
+          console.log(`${chalk.red('✗')} ${chalk.cyan(id)} - ${error}`);
         }
       }
     } catch (error) {
@@ -562,6 +1015,10 @@ updateCmd
   .description('Apply updates to project(s)')
   .option('--dry-run', 'Show what would be done without applying')
   .option('--no-backup', 'Skip backup creation')
+  .option('--rej', 'Leave conflicting files untouched and write <file>.rej instead of conflict markers')
+  .option('--only <globs...>', 'Only apply changes to matching files (relative to .claude, e.g. "commands/cadi/**")')
+  .option('--exclude <globs...>', 'Leave changes to matching files for a later update')
+  .option('--skip-schema', 'Don\'t migrate the database schema')
   .action(async (projectId, options) => {
     try {
       config.init();
@@ -573,7 +1030,11 @@ updateCmd
       const updateOptions = {
         dryRun: options.dryRun || false,
         skipBackup: !options.backup,
-        preserveCustom: true
+        preserveCustom: true,
+        conflictStyle: options.rej ? 'rej' : 'markers',
+        include: options.only,
+        exclude: options.exclude,
+        skipSchema: options.skipSchema || false
       };
 
       if (projectId) {
@@ -588,9 +1049,20 @@ updateCmd
 
         const result = await response.json();
 
+        if (!response.ok) {
+          console.error(chalk.red('Error:'), result.error);
+          process.exit(1);
+        }
+
+        if (result.recovered) {
+          console.log(chalk.yellow(`  Undid an interrupted earlier update (${result.recovered.files.length} file(s) restored)`));
+        }
+
         if (!result.success) {
           console.error(chalk.red('Update failed:'));
           result.errors.forEach(err => console.log(`  ${chalk.red('✗')} ${err}`));
+          console.log();
+          printReverted(result);
           process.exit(1);
         }
 
@@ -600,6 +1072,29 @@ updateCmd
         console.log('  Modified:', result.applied.modified.length);
         console.log('  Removed:', result.applied.removed.length);
         console.log('  Skipped (custom):', result.applied.skipped.length);
+        console.log('  Merged with local edits:', result.applied.merged.length);
+
+        if (result.applied.excluded.length > 0) {
+          console.log();
+          console.log(chalk.dim(`  Left for a later update (${result.applied.excluded.length}):`));
+          result.applied.excluded.forEach(file => console.log(`    ${chalk.dim('·')} ${file}`));
+        }
+
+        if (result.schemaMigration && result.schemaMigration.skipped) {
+          console.log();
+          console.log(chalk.yellow(`  Schema migration skipped (v${result.schemaMigration.currentVersion} → v${result.schemaMigration.targetVersion} still pending)`));
+        }
+
+        if (result.applied.conflicted.length > 0) {
+          console.log();
+          console.log(chalk.yellow(`  ${result.applied.conflicted.length} file(s) need manual merging:`));
+          result.applied.conflicted.forEach(c => {
+            const where = c.style === 'rej'
+              ? `see ${c.rejPath}`
+              : c.style === 'json' ? `kept your values, see ${c.rejPath}` : 'conflict markers in file';
+            console.log(`    ${chalk.yellow('!')} ${c.path} - ${c.conflicts} conflict(s), ${where}`);
+          });
+        }
 
         if (result.backupPath) {
           console.log();
@@ -621,6 +1116,11 @@ updateCmd
 
         const results = await response.json();
 
+        if (!response.ok) {
+          console.error(chalk.red('Error:'), results.error);
+          process.exit(1);
+        }
+
         for (const [id, result] of Object.entries(results)) {
           const project = projects.find(p => p.id === id);
           const statusIcon = result.success ? chalk.green('✓') : chalk.red('✗');
@@ -628,9 +1128,17 @@ updateCmd
           console.log(`${statusIcon} ${chalk.cyan(project.name)}`);
 
           if (result.success) {
-            console.log(`  Added: ${result.applied.added.length}, Modified: ${result.applied.modified.length}, Removed: ${result.applied.removed.length}`);
+            console.log(`  Added: ${result.applied.added.length}, Modified: ${result.applied.modified.length}, Removed: ${result.applied.removed.length}` +
+              (result.applied.excluded.length > 0 ? chalk.dim(`, Left for later: ${result.applied.excluded.length}`) : ''));
+            if (result.applied.conflicted.length > 0) {
+              console.log(chalk.yellow(`  ${result.applied.conflicted.length} file(s) need manual merging`));
+            }
           } else {
             result.errors.forEach(err => console.log(`  ${chalk.red(err)}`));
+            if (result.reverted) {
+              console.log(chalk.yellow(`  Reverted ${result.reverted.files.length} file(s)`) +
+                (result.reverted.database && result.reverted.database.restored ? chalk.yellow(' and the database') : ''));
+            }
           }
         }
       }
@@ -641,11 +1149,12 @@ updateCmd
     }
   });
 
-// List backups
+// List backups, or the files in one
 updateCmd
-  .command('backups <id>')
-  .description('List backups for a project')
-  .action(async (projectId) => {
+  .command('backups <id> [backup]')
+  .description('List backups for a project, or the files in one backup')
+  .option('--path <dir>', 'Only list backup files under this path (relative to .claude)')
+  .action(async (projectId, backupName, options) => {
     try {
       config.init();
       const cfg = config.get();
@@ -653,6 +1162,32 @@ updateCmd
 
       const fetch = (await import('node-fetch')).default;
 
+      if (backupName) {
+        const response = await fetch(`${serverUrl}/api/updates/${projectId}/backups/${encodeURIComponent(backupName)}/files`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          console.error(chalk.red('Error:'), data.error);
+          process.exit(1);
+        }
+
+        const prefix = options.path ? options.path.replace(/\/+$/, '') : null;
+        const files = prefix
+          ? data.files.filter(file => file.path === prefix || file.path.startsWith(`${prefix}/`))
+          : data.files;
+        const icons = { unchanged: chalk.dim('='), modified: chalk.yellow('~'), missing: chalk.red('-') };
+
+        console.log(chalk.blue(`${data.backup.name} (${files.length} file(s)):`));
+        console.log();
+        files.forEach(file => {
+          const note = file.status === 'unchanged' ? '' : chalk.dim(` (${file.status === 'modified' ? 'differs from the project' : 'not in the project'})`);
+          console.log(`  ${icons[file.status]} ${file.path} ${chalk.dim(`${(file.size / 1024).toFixed(2)} KB`)}${note}`);
+        });
+        console.log();
+        console.log(chalk.dim('Restore with:'), chalk.cyan(`cadi-monitor update restore ${projectId} ${data.backup.name} <path>`));
+        return;
+      }
+
       const response = await fetch(`${serverUrl}/api/updates/${projectId}/backups`);
       const data = await response.json();
 
@@ -671,24 +1206,62 @@ updateCmd
 
       data.backups.forEach((backup, index) => {
         const size = (backup.size / 1024).toFixed(2);
+        const added = (backup.addedSize / 1024).toFixed(2);
         const date = new Date(backup.timestamp).toLocaleString();
 
-        console.log(`${index + 1}. ${backup.name}`);
+        console.log(`${index + 1}. ${backup.name}${backup.type === 'directory' ? chalk.dim(' (full copy)') : ''}`);
         console.log(`   Date: ${date}`);
-        console.log(`   Size: ${size} KB`);
+        console.log(`   Files: ${backup.files} (${size} KB, ${added} KB new)`);
         console.log(`   Path: ${chalk.dim(backup.path)}`);
         console.log();
       });
+
+      const { keep, maxAgeDays, maxSizeMB } = data.retention;
+      console.log(chalk.dim(`Keeping up to ${keep || 'unlimited'} backups` +
+        `${maxAgeDays ? `, ${maxAgeDays} days` : ''}${maxSizeMB ? `, ${maxSizeMB} MB` : ''} per project`));
     } catch (error) {
       console.error(chalk.red('Failed to list backups:'), error.message);
       process.exit(1);
     }
   });
 
+// Restore part of a backup
+updateCmd
+  .command('restore <id> <backup> <path>')
+  .description('Restore one file or directory (relative to .claude) from a backup')
+  .action(async (projectId, backupName, relPath) => {
+    try {
+      config.init();
+      const cfg = config.get();
+      const serverUrl = `http://${cfg.host || 'localhost'}:${cfg.port || 3030}`;
+
+      const fetch = (await import('node-fetch')).default;
+
+      const response = await fetch(`${serverUrl}/api/updates/${projectId}/backups/${encodeURIComponent(backupName)}/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: relPath })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        console.error(chalk.red('Restore failed:'), result.error);
+        process.exit(1);
+      }
+
+      console.log(chalk.green(`✓ Restored ${result.restored.length} file(s) from ${path.basename(result.backupPath)}`));
+      result.restored.forEach(file => console.log(`  ${chalk.green('↩')} ${file}`));
+    } catch (error) {
+      console.error(chalk.red('Failed to restore:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Rollback
 updateCmd
   .command('rollback <id> [backup]')
-  .description('Rollback a project to a previous backup')
+  .description('Rollback a project to a previous backup (name or path, latest by default)')
   .action(async (projectId, backupPath) => {
     try {
       config.init();
@@ -720,5 +1293,80 @@ updateCmd
     }
   });
 
+/**
+ * Database commands
+ */
+const dbCmd = program
+  .command('db')
+  .description('Manage project databases');
+
+// Migrate a project database to a schema version
+dbCmd
+  .command('migrate <id>')
+  .description('Migrate a project database up or down to a schema version')
+  .option('--to <version>', 'Target schema version (defaults to the latest)')
+  .action(async (projectId, options) => {
+    try {
+      config.init();
+      const project = config.getProject(projectId);
+
+      if (!project) {
+        console.error(chalk.red(`Project not found: ${projectId}`));
+        process.exit(1);
+      }
+
+      const schemaManager = new SchemaManager();
+      const targetVersion = options.to === undefined ? schemaManager.schemaVersion : parseInt(options.to, 10);
+      const dbPath = path.join(project.path, '.claude/project.db');
+
+      console.log(chalk.blue(`Migrating ${projectId} to schema version ${targetVersion}...`));
+      console.log();
+
+      const result = await schemaManager.migrateTo(dbPath, targetVersion, {
+        onStep: (step) => {
+          const arrow = step.direction === 'up' ? '↑' : '↓';
+
+          if (step.status === 'applied') {
+            console.log(`  ${chalk.green('✓')} ${arrow} ${step.version}: ${step.description} ${chalk.dim(`(${step.durationMs}ms)`)}`);
+          } else if (step.status === 'failed') {
+            console.log(`  ${chalk.red('✗')} ${arrow} ${step.version}: ${step.description}`);
+            console.log(`    ${chalk.red(step.error)}`);
+          }
+        }
+      });
+
+      console.log();
+
+      if (result.snapshot) {
+        console.log(chalk.dim('  Snapshot:'), result.snapshot.path);
+      }
+      if (result.verification) {
+        const icon = result.verification.passed ? chalk.green('✓') : chalk.red('✗');
+        console.log(`  ${icon} integrity_check and foreign_key_check`);
+      }
+      console.log();
+
+      if (!result.success) {
+        result.errors.forEach(err => console.error(chalk.red('Error:'), err.error));
+        if (result.rolledBack) {
+          console.log(chalk.yellow(`All steps rolled back - database left at version ${result.fromVersion}`));
+        }
+        if (result.restored) {
+          console.log(chalk.yellow(`Snapshot restored - database left at version ${result.fromVersion}`));
+        }
+        process.exit(1);
+      }
+
+      if (result.steps.length === 0) {
+        console.log(chalk.green(`✓ Already at schema version ${targetVersion}`));
+      } else {
+        console.log(chalk.green(`✓ Migrated from version ${result.fromVersion} to ${result.toVersion}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Failed to migrate database:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Parse arguments
 program.parse();
@@ -2,13 +2,22 @@
 class CADIMonitor {
   constructor() {
     this.ws = null;
+    this.eventSource = null;
+    this.transport = null; // 'websocket', falling back to 'sse' then 'poll' when the socket can't connect
     this.projects = [];
     this.selectedProject = null;
     this.currentView = 'overview';
-    this.activityLog = [];
+    this.activityLog = []; // [{ id, message, projectName, timestamp, entityType }] - id is set for logged activity
+    this.activityFilter = { project: '', entity: '' };
+    this.activityHasMore = false;
     this.pendingFeatures = new Map(); // Map<projectId:featureName, tempFeatureData>
     this.featureOutputs = new Map(); // Map<projectId:featureName, outputText>
     this.currentlyViewingFeature = null; // { projectId, featureName }
+    this.rowChangeRefresh = null; // Timer batching view refreshes for database row changes
+    this.eventEpoch = null; // Server run the event cursors belong to
+    this.eventCursors = {}; // Last seq seen per event stream (project id, or '*' for server events)
+    this.resuming = false; // Waiting for missed events after a reconnect
+    this.resumeQueue = []; // Live events received while resuming
 
     this.init();
   }
@@ -17,7 +26,7 @@ class CADIMonitor {
    * Initialize the application
    */
   init() {
-    this.setupWebSocket();
+    this.connect('websocket');
     this.setupEventListeners();
     this.loadProjects();
 
@@ -32,17 +41,58 @@ class CADIMonitor {
     }
   }
 
+  /**
+   * Follow the server's events over a transport - 'websocket', 'sse' or 'poll'
+   */
+  connect(transport) {
+    this.transport = transport;
+
+    if (transport === 'websocket') {
+      this.setupWebSocket();
+    } else if (transport === 'sse') {
+      this.setupEventSource();
+    } else {
+      this.pollEvents();
+    }
+  }
+
+  /**
+   * A transport couldn't connect - if the server is up, something in between
+   * blocks it, so move on to the next one. Otherwise try again later.
+   */
+  async fallBackFrom(transport) {
+    const transports = ['websocket', 'sse', 'poll'];
+    let serverUp = false;
+
+    try {
+      const response = await fetch('/api/health');
+      serverUp = response.ok;
+    } catch (error) {
+      serverUp = false;
+    }
+
+    const next = transports[transports.indexOf(transport) + 1];
+    if (serverUp && next) {
+      console.log(`Live events: ${transport} unavailable, falling back to ${next}`);
+      this.connect(next);
+    } else {
+      setTimeout(() => this.connect(transport), 5000);
+    }
+  }
+
   /**
    * Setup WebSocket connection
    */
   setupWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsUrl = `${protocol}//${window.location.host}`;
+    let opened = false;
 
     this.ws = new WebSocket(wsUrl);
 
     this.ws.addEventListener('open', () => {
       console.log('WebSocket connected');
+      opened = true;
       this.updateConnectionStatus(true);
     });
 
@@ -50,14 +100,19 @@ class CADIMonitor {
       console.log('WebSocket disconnected');
       this.updateConnectionStatus(false);
 
+      if (!opened) {
+        this.fallBackFrom('websocket');
+        return;
+      }
+
       // Attempt to reconnect after 5 seconds
-      setTimeout(() => this.setupWebSocket(), 5000);
+      setTimeout(() => this.connect('websocket'), 5000);
     });
 
     this.ws.addEventListener('message', (event) => {
       try {
         const data = JSON.parse(event.data);
-        this.handleWebSocketMessage(data);
+        this.receiveEvent(data);
       } catch (error) {
         console.error('Failed to parse WebSocket message:', error);
       }
@@ -69,6 +124,148 @@ class CADIMonitor {
     });
   }
 
+  /**
+   * Follow events over Server-Sent Events
+   * Opened with the cursors seen so far, so events missed since the socket
+   * dropped are replayed. After that the browser reconnects on its own and
+   * resumes from the last event id.
+   */
+  setupEventSource() {
+    let url = '/api/events';
+    if (this.eventEpoch) {
+      url += `?epoch=${encodeURIComponent(this.eventEpoch)}&cursors=${encodeURIComponent(JSON.stringify(this.eventCursors))}`;
+    }
+    let opened = false;
+
+    this.eventSource = new EventSource(url);
+
+    this.eventSource.addEventListener('open', () => {
+      console.log('Event stream connected');
+      opened = true;
+      this.updateConnectionStatus(true);
+    });
+
+    this.eventSource.addEventListener('message', (event) => {
+      try {
+        this.receiveEvent(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to parse event stream message:', error);
+      }
+    });
+
+    this.eventSource.addEventListener('error', () => {
+      this.updateConnectionStatus(false);
+
+      if (!opened) {
+        this.eventSource.close();
+        this.fallBackFrom('sse');
+      } else if (this.eventSource.readyState === EventSource.CLOSED) {
+        // The browser gave up reconnecting (e.g. an error response)
+        setTimeout(() => this.connect('sse'), 5000);
+      }
+    });
+  }
+
+  /**
+   * Follow events by long polling - each request returns as soon as there is
+   * something after our cursors, or empty after 25 seconds
+   */
+  async pollEvents() {
+    const params = new URLSearchParams({ timeout: 25 });
+    if (this.eventEpoch) {
+      params.set('epoch', this.eventEpoch);
+      params.set('cursors', JSON.stringify(this.eventCursors));
+    }
+
+    try {
+      const response = await fetch(`/api/events/poll?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.updateConnectionStatus(true);
+      data.messages.forEach(message => this.receiveEvent(message));
+    } catch (error) {
+      console.error('Event poll failed:', error);
+      this.updateConnectionStatus(false);
+      setTimeout(() => this.pollEvents(), 5000);
+      return;
+    }
+
+    this.pollEvents();
+  }
+
+  /**
+   * Take a message from the server, in sequence
+   * Events are numbered per stream and ones already seen are dropped. While a
+   * resume is in flight, live events wait until the missed ones are replayed.
+   */
+  receiveEvent(data) {
+    if (this.resuming && data.seq && !data.replayed) {
+      this.resumeQueue.push(data);
+      return;
+    }
+
+    if (data.seq) {
+      if (data.seq <= (this.eventCursors[data.stream] || 0)) {
+        return;
+      }
+      this.eventCursors[data.stream] = data.seq;
+    }
+
+    this.handleWebSocketMessage(data);
+  }
+
+  /**
+   * Start following the server's events, or ask for the ones missed while disconnected
+   */
+  resumeEvents(data) {
+    if (!this.eventEpoch) {
+      this.eventEpoch = data.epoch;
+      this.eventCursors = Object.assign({}, data.cursors);
+      return;
+    }
+
+    this.resuming = true;
+    this.resumeQueue = [];
+
+    // An event stream opened with our cursors is replayed without asking
+    if (data.resuming) return;
+
+    this.ws.send(JSON.stringify({
+      type: 'resume',
+      epoch: this.eventEpoch,
+      cursors: this.eventCursors
+    }));
+  }
+
+  /**
+   * Missed events have been replayed - catch up on the queued live ones
+   * If the server restarted or dropped some of the missed events, reload instead.
+   */
+  handleResumed(data) {
+    const queued = this.resumeQueue;
+    this.resuming = false;
+    this.resumeQueue = [];
+
+    const stale = data.reset || data.gaps.length > 0;
+    if (data.reset) {
+      this.eventEpoch = data.epoch;
+      this.eventCursors = Object.assign({}, data.cursors);
+    }
+
+    queued.forEach(event => this.receiveEvent(event));
+
+    console.log(`Resumed after reconnect: ${data.replayed} missed event(s) replayed${stale ? ', reloading' : ''}`);
+    if (stale) {
+      this.loadProjects();
+      if (this.selectedProject) {
+        this.loadProjectDetails(this.selectedProject);
+      }
+    }
+  }
+
   /**
    * Handle WebSocket messages
    */
@@ -78,10 +275,15 @@ class CADIMonitor {
     switch (data.type) {
       case 'connected':
         console.log('Server acknowledged connection');
+        this.resumeEvents(data);
+        break;
+
+      case 'resumed':
+        this.handleResumed(data);
         break;
 
       case 'fileChange':
-        this.addActivityItem(`File ${data.eventType}: ${data.file}`, data.projectName, data.timestamp);
+        this.addActivityItem(`File ${data.eventType}: ${data.file}`, data.projectName, data.timestamp, data.activity);
         break;
 
       case 'statsChanged':
@@ -109,6 +311,13 @@ class CADIMonitor {
         }
         break;
 
+      case 'updatesAvailable':
+        // Background update check finished
+        if (this.updatesManager) {
+          this.updatesManager.handleUpdatesAvailable(data);
+        }
+        break;
+
       case 'featureCreated':
         console.log(`Feature created: ${data.featureName}`);
         this.handleFeatureCreated(data);
@@ -144,6 +353,22 @@ class CADIMonitor {
         this.handleFeatureStatusChanged(data);
         break;
 
+      // Row-level changes from the project database's change journal
+      case 'featureAdded':
+      case 'featureRemoved':
+      case 'sectionAdded':
+      case 'sectionRemoved':
+      case 'sectionStarted':
+      case 'sectionCompleted':
+      case 'sectionStatusChanged':
+      case 'errorLogged':
+      case 'errorResolved':
+      case 'contextLoaded':
+      case 'agentInvoked':
+      case 'rowChanged':
+        this.handleRowChange(data);
+        break;
+
       default:
         console.log('Unknown message type:', data.type);
     }
@@ -271,6 +496,21 @@ class CADIMonitor {
       }
     });
 
+    // Activity filters
+    document.getElementById('activityProjectFilter').addEventListener('change', (e) => {
+      this.activityFilter.project = e.target.value;
+      this.loadActivity();
+    });
+
+    document.getElementById('activityEntityFilter').addEventListener('change', (e) => {
+      this.activityFilter.entity = e.target.value;
+      this.loadActivity();
+    });
+
+    document.getElementById('activityLoadMoreBtn').addEventListener('click', () => {
+      this.loadActivity(true);
+    });
+
     // Error filters
     document.getElementById('severityFilter').addEventListener('change', () => {
       if (this.selectedProject && this.currentView === 'errors') {
@@ -830,6 +1070,11 @@ class CADIMonitor {
       document.getElementById('databaseTables').classList.add('active');
     } else if (subview === 'query') {
       document.getElementById('databaseQuery').classList.add('active');
+    } else if (subview === 'drift') {
+      document.getElementById('databaseDrift').classList.add('active');
+      if (typeof loadSchemaDrift !== 'undefined' && this.selectedProject) {
+        loadSchemaDrift(this.selectedProject);
+      }
     }
   }
 
@@ -1110,7 +1355,7 @@ class CADIMonitor {
       case 'system':
         this.loadSystemConfig();
         break;
-      // 'updates' view doesn't auto-refresh - user must click "Check for Updates"
+      // 'updates' view refreshes when a background update check finishes
     }
   }
 
@@ -1146,10 +1391,12 @@ class CADIMonitor {
       this.loadFeatures(this.selectedProject);
     } else if (viewName === 'context' && this.selectedProject) {
       this.loadContext(this.selectedProject);
-    } else if (viewName === 'updates') {
-      // Updates view doesn't load automatically - user clicks "Check for Updates"
+    } else if (viewName === 'updates' && this.updatesManager) {
+      // Show the latest background check - "Check for Updates" runs a fresh one
+      this.updatesManager.loadCachedUpdates();
     } else if (viewName === 'activity') {
-      this.renderActivityFeed();
+      this.renderActivityProjectFilter();
+      this.loadActivity();
     } else if (viewName === 'errors' && this.selectedProject) {
       this.loadErrors(this.selectedProject);
     } else if (viewName === 'agents' && this.selectedProject && this.agentActivityManager) {
@@ -1280,17 +1527,25 @@ class CADIMonitor {
 
   /**
    * Add activity item
+   * activity is the activity log entry a server event carries, if it was logged.
    */
-  addActivityItem(message, projectName, timestamp) {
+  addActivityItem(message, projectName, timestamp, activity = null) {
+    // With a filter set, only logged activity that matches it is shown live
+    if (this.hasActivityFilter() && !(activity && this.matchesActivityFilter(activity))) {
+      return;
+    }
+
     this.activityLog.unshift({
+      id: activity ? activity.id : null,
       message,
       projectName,
-      timestamp
+      timestamp,
+      entityType: activity ? activity.entityType : null
     });
 
-    // Keep only last 100 items
-    if (this.activityLog.length > 100) {
-      this.activityLog = this.activityLog.slice(0, 100);
+    // Keep only last 500 items
+    if (this.activityLog.length > 500) {
+      this.activityLog = this.activityLog.slice(0, 500);
     }
 
     // Update activity feed if visible
@@ -1299,11 +1554,89 @@ class CADIMonitor {
     }
   }
 
+  hasActivityFilter() {
+    return Boolean(this.activityFilter.project || this.activityFilter.entity);
+  }
+
+  matchesActivityFilter(activity) {
+    return (!this.activityFilter.project || activity.projectId === this.activityFilter.project) &&
+      (!this.activityFilter.entity || activity.entityType === this.activityFilter.entity);
+  }
+
+  /**
+   * Fill the activity project filter with the monitored projects
+   */
+  renderActivityProjectFilter() {
+    const select = document.getElementById('activityProjectFilter');
+
+    select.innerHTML = `
+      <option value="">All Projects</option>
+      ${this.projects.map(project => `
+        <option value="${this.escapeHtml(project.id)}">${this.escapeHtml(project.name)}</option>
+      `).join('')}
+    `;
+    select.value = this.activityFilter.project;
+  }
+
+  /**
+   * Load activity history from the activity log, newest first
+   * more appends the page before the oldest entry shown. Otherwise the first
+   * page replaces the feed, keeping live items newer than it.
+   */
+  async loadActivity(more = false) {
+    const params = new URLSearchParams({ limit: 50 });
+    if (this.activityFilter.project) params.set('project', this.activityFilter.project);
+    if (this.activityFilter.entity) params.set('entity', this.activityFilter.entity);
+
+    if (more) {
+      const logged = this.activityLog.filter(item => item.id);
+      if (logged.length > 0) {
+        params.set('before', logged[logged.length - 1].id);
+      }
+    }
+
+    try {
+      const response = await fetch(`/api/activity?${params}`);
+      if (!response.ok) {
+        throw new Error('Failed to load activity');
+      }
+
+      const data = await response.json();
+      const items = data.activity.map(entry => ({
+        id: entry.id,
+        message: entry.message,
+        projectName: this.getProjectName(entry.projectId),
+        timestamp: entry.timestamp,
+        entityType: entry.entityType
+      }));
+
+      if (more) {
+        this.activityLog = this.activityLog.concat(items);
+      } else {
+        // Live items that arrived while loading, and unlogged ones (e.g. planning output)
+        const newestId = items.length > 0 ? items[0].id : 0;
+        const oldest = items.length > 0 ? new Date(items[items.length - 1].timestamp) : null;
+        const live = this.activityLog.filter(item =>
+          (item.id ? item.id > newestId : !this.hasActivityFilter()) &&
+          (!oldest || new Date(item.timestamp) >= oldest)
+        );
+
+        this.activityLog = live.concat(items).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      }
+
+      this.activityHasMore = data.pagination.hasMore;
+      this.renderActivityFeed();
+    } catch (error) {
+      console.error('Failed to load activity:', error);
+    }
+  }
+
   /**
    * Render activity feed
    */
   renderActivityFeed() {
     const container = document.getElementById('activityFeed');
+    document.getElementById('activityLoadMoreBtn').style.display = this.activityHasMore ? 'block' : 'none';
 
     if (this.activityLog.length === 0) {
       container.innerHTML = `
@@ -1316,14 +1649,24 @@ class CADIMonitor {
       return;
     }
 
+    const icons = {
+      feature: '🧩',
+      section: '✅',
+      error: '⚠️',
+      context_load: '📚',
+      agent_invocation: '🤖'
+    };
+    const today = new Date().toDateString();
+
     container.innerHTML = this.activityLog.map(item => {
       const time = new Date(item.timestamp);
-      const timeStr = time.toLocaleTimeString();
+      // History spans days - older items show their date too
+      const timeStr = time.toDateString() === today ? time.toLocaleTimeString() : time.toLocaleString();
 
       return `
         <div class="activity-item">
           <div class="activity-icon" style="background-color: rgba(59, 130, 246, 0.1)">
-            <span>📝</span>
+            <span>${icons[item.entityType] || '📝'}</span>
           </div>
           <div class="activity-content">
             <div class="activity-message">
@@ -1404,7 +1747,8 @@ class CADIMonitor {
   handleFeatureCreationError(data) {
     this.addActivityItem(`Feature creation error: ${data.featureName}`,
                          this.getProjectName(data.projectId),
-                         new Date().toISOString());
+                         new Date().toISOString(),
+                         data.activity);
 
     const outputElement = document.getElementById('featureCreationOutput');
     if (outputElement) {
@@ -1425,7 +1769,7 @@ class CADIMonitor {
       ? `Feature '${data.featureName}' created successfully`
       : `Feature '${data.featureName}' creation failed (exit code: ${data.exitCode})`;
 
-    this.addActivityItem(message, this.getProjectName(data.projectId), new Date().toISOString());
+    this.addActivityItem(message, this.getProjectName(data.projectId), new Date().toISOString(), data.activity);
 
     // Close modal if open
     const modal = document.getElementById('createFeatureModal');
@@ -1557,7 +1901,32 @@ class CADIMonitor {
     // Add activity log
     this.addActivityItem(`Feature ${data.featureName} moved to ${data.newStatus}`,
                          this.getProjectName(data.projectId),
-                         new Date().toISOString());
+                         new Date().toISOString(),
+                         data.activity);
+  }
+
+  /**
+   * Handle a row change in a project's database
+   * Logs it to the activity feed and refreshes the view showing its table -
+   * once per burst, since a single command often writes many rows.
+   */
+  handleRowChange(data) {
+    if (data.activity) {
+      this.addActivityItem(data.activity.message, data.projectName, data.timestamp, data.activity);
+    }
+
+    const tableViews = {
+      features: 'features',
+      sections: 'features',
+      error_log: 'errors',
+      context_loads: 'context',
+      agent_invocations: 'agents'
+    };
+
+    if (this.selectedProject === data.projectId && this.currentView === tableViews[data.table]) {
+      clearTimeout(this.rowChangeRefresh);
+      this.rowChangeRefresh = setTimeout(() => this.refreshCurrentView(), 500);
+    }
   }
 
   /**
@@ -1612,6 +1981,32 @@ class CADIMonitor {
             <div class="stat-label">Directories</div>
             <div class="stat-value">${manifest.summary.directoryCount}</div>
           </div>
+          <div class="stat-card">
+            <div class="stat-label">Agents</div>
+            <div class="stat-value">${manifest.summary.agentCount}</div>
+          </div>
+          <div class="stat-card">
+            <div class="stat-label">Commands</div>
+            <div class="stat-value">${manifest.summary.commandCount}</div>
+          </div>
+        </div>
+
+        <!-- Agents -->
+        <div class="system-section">
+          <h3>Agents</h3>
+          <p class="help-text">Discovered from the template's agents/cadi directory</p>
+          <div class="system-cards">
+            ${this.renderTemplateFileGroups(manifest.agents)}
+          </div>
+        </div>
+
+        <!-- Commands -->
+        <div class="system-section">
+          <h3>Commands</h3>
+          <p class="help-text">Discovered from the template's commands/cadi directory</p>
+          <div class="system-cards">
+            ${this.renderTemplateFileGroups(manifest.commands)}
+          </div>
         </div>
 
         <!-- File Structure -->
@@ -1657,7 +2052,7 @@ class CADIMonitor {
             </div>
             <div class="system-card">
               <h4>CADI-Managed Paths</h4>
-              <p class="help-text">These paths are always updated from the template</p>
+              <p class="help-text">Files here that leave the template are removed during updates</p>
               <ul>
                 ${manifest.categorization.cadiManagedPaths.map(path =>
                   `<li><code>${this.escapeHtml(path)}</code></li>`
@@ -1673,6 +2068,15 @@ class CADIMonitor {
                 ).join('')}
               </ul>
             </div>
+            <div class="system-card">
+              <h4>Ignored Paths</h4>
+              <p class="help-text">Updates never look at these files</p>
+              <ul>
+                ${(manifest.categorization.ignoredPaths || []).map(path =>
+                  `<li><code>${this.escapeHtml(path)}</code></li>`
+                ).join('')}
+              </ul>
+            </div>
           </div>
         </div>
 
@@ -1718,6 +2122,33 @@ class CADIMonitor {
     `;
   }
 
+  /**
+   * Render agents or commands grouped by category as system cards
+   */
+  renderTemplateFileGroups(groups) {
+    return Object.entries(groups || {}).map(([category, files]) => `
+      <div class="system-card">
+        <h4>${this.escapeHtml(category)}</h4>
+        <ul>
+          ${files.map(file => `
+            <li style="margin-bottom: 0.75rem;">
+              <code>${this.escapeHtml(file.name)}</code>
+              ${file.model ? `<span class="badge badge-info" style="margin-left: 0.5rem;">${this.escapeHtml(file.model)}</span>` : ''}
+              <div style="font-size: 0.8125rem; color: var(--text-secondary); margin-top: 0.25rem;">
+                ${file.description ? this.escapeHtml(file.description) : '<em>No description</em>'}
+              </div>
+              ${file.tools.length > 0 ? `
+                <div style="font-size: 0.75rem; color: var(--text-muted); margin-top: 0.25rem;">
+                  Tools: ${file.tools.map(tool => this.escapeHtml(tool)).join(', ')}
+                </div>
+              ` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
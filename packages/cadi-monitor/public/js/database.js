@@ -304,6 +304,116 @@ function clearQuery() {
   document.getElementById('queryRowCount').textContent = '0';
 }
 
+/**
+ * Load the schema drift report for the selected project
+ */
+async function loadSchemaDrift(projectId) {
+  const container = document.getElementById('schemaDriftContent');
+  container.innerHTML = '<div class="loading">Comparing database with manifest...</div>';
+
+  try {
+    const response = await fetch(`/api/projects/${projectId}/schema/drift`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to check schema drift');
+    }
+
+    renderSchemaDrift(data);
+  } catch (error) {
+    console.error('Error loading schema drift:', error);
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>Error checking schema drift: ${escapeHtml(error.message)}</p>
+      </div>
+    `;
+  }
+}
+
+/**
+ * Render schema drift differences grouped by status
+ */
+function renderSchemaDrift(data) {
+  const container = document.getElementById('schemaDriftContent');
+
+  const versionNote = data.currentVersion === data.expectedVersion
+    ? `Schema version v${data.currentVersion}`
+    : `Database is at v${data.currentVersion}, manifest expects v${data.expectedVersion} - run migrations before fixing drift`;
+
+  if (data.inSync) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>✓ Database matches cadi-manifest.js</p>
+        <p style="color: var(--text-secondary);">${versionNote}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const groups = [
+    { status: 'missing', title: 'Missing', hint: 'Defined in the manifest but not in the database' },
+    { status: 'changed', title: 'Changed', hint: 'Present in both but defined differently' },
+    { status: 'extra', title: 'Extra', hint: 'Present in the database but not in the manifest' }
+  ];
+
+  const formatValue = (value) => value === null
+    ? '<em style="color: var(--text-secondary);">none</em>'
+    : `<code>${escapeHtml(value)}</code>`;
+
+  container.innerHTML = `
+    <div class="card" style="margin-bottom: 1.5rem;">
+      <div style="display: flex; gap: 0.75rem; align-items: center; flex-wrap: wrap;">
+        <span class="badge badge-drift-missing">${data.summary.missing} missing</span>
+        <span class="badge badge-drift-changed">${data.summary.changed} changed</span>
+        <span class="badge badge-drift-extra">${data.summary.extra} extra</span>
+        <span style="color: var(--text-secondary); font-size: 0.875rem;">${versionNote}</span>
+      </div>
+    </div>
+
+    ${groups.map(group => {
+      const items = data.differences.filter(d => d.status === group.status);
+      if (items.length === 0) return '';
+
+      return `
+        <div class="card" style="margin-bottom: 1.5rem;">
+          <h4 style="margin-bottom: 0.25rem;">${group.title} (${items.length})</h4>
+          <p class="help-text">${group.hint}</p>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Kind</th>
+                <th>Table</th>
+                <th>Name</th>
+                <th>Manifest</th>
+                <th>Database</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${items.map(item => `
+                <tr>
+                  <td><span class="badge badge-drift-${item.status}">${escapeHtml(item.kind)}</span></td>
+                  <td>${item.table ? escapeHtml(item.table) : '-'}</td>
+                  <td>${escapeHtml(item.name)}</td>
+                  <td>${formatValue(item.expected)}</td>
+                  <td>
+                    ${formatValue(item.actual)}
+                    ${item.missingValues && item.missingValues.length > 0 ? `
+                      <div style="font-size: 0.75rem; color: var(--text-secondary);">Missing values: ${item.missingValues.map(escapeHtml).join(', ')}</div>
+                    ` : ''}
+                    ${item.extraValues && item.extraValues.length > 0 ? `
+                      <div style="font-size: 0.75rem; color: var(--text-secondary);">Extra values: ${item.extraValues.map(escapeHtml).join(', ')}</div>
+                    ` : ''}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }).join('')}
+  `;
+}
+
 /**
  * Helper function to escape HTML
  */
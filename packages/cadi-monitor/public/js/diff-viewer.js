@@ -0,0 +1,159 @@
+/**
+ * Diff Viewer
+ * Renders unified diffs from /api/updates/:id/diff inline or side by side,
+ * with line-level syntax highlighting for markdown, JavaScript and JSON
+ */
+
+class DiffViewer {
+  constructor(monitor) {
+    this.monitor = monitor;
+
+    // Token patterns per language - matched one line at a time, first pattern wins
+    this.rules = {
+      javascript: [
+        ['comment', /\/\/.*$|\/\*.*?\*\//],
+        ['string', /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`/],
+        ['keyword', /\b(?:const|let|var|function|return|if|else|for|while|switch|case|break|continue|class|extends|new|async|await|require|module|exports|this|try|catch|finally|throw|of|in|typeof|null|undefined|true|false)\b/],
+        ['number', /\b\d+(?:\.\d+)?\b/]
+      ],
+      json: [
+        ['key', /"(?:\\.|[^"\\])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\])*"/],
+        ['keyword', /\b(?:true|false|null)\b/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+      ],
+      markdown: [
+        ['heading', /^#{1,6}\s.*$/],
+        ['comment', /^---\s*$/],
+        ['key', /^[A-Za-z_-]+(?=:\s)/],
+        ['bullet', /^\s*(?:[-*+]|\d+\.)\s/],
+        ['code', /`[^`]+`/],
+        ['strong', /\*\*[^*]+\*\*/],
+        ['link', /\[[^\]]+\]\([^)]+\)/]
+      ]
+    };
+
+    this.patterns = {};
+    for (const [language, rules] of Object.entries(this.rules)) {
+      this.patterns[language] = new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join('|'), 'g');
+    }
+  }
+
+  /**
+   * Render a diff as HTML
+   * view is 'inline' or 'split'
+   */
+  render(diff, view = 'inline') {
+    if (diff.hunks.length === 0) {
+      return '<div class="diff-empty">No differences</div>';
+    }
+
+    const body = diff.hunks.map(hunk => `
+      <tr class="diff-hunk-header">
+        <td colspan="${view === 'split' ? 4 : 3}">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td>
+      </tr>
+      ${view === 'split' ? this.renderSplitHunk(hunk, diff.language) : this.renderInlineHunk(hunk, diff.language)}
+    `).join('');
+
+    return `
+      <table class="diff-table diff-${view}">
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * One row per line, old and new line numbers side by side
+   */
+  renderInlineHunk(hunk, language) {
+    const signs = { context: ' ', add: '+', del: '-' };
+
+    return hunk.lines.map(line => `
+      <tr class="diff-line diff-${line.type}">
+        <td class="diff-line-number">${line.oldLine || ''}</td>
+        <td class="diff-line-number">${line.newLine || ''}</td>
+        <td class="diff-code"><span class="diff-sign">${signs[line.type]}</span>${this.highlight(line.text, language)}${this.renderNoNewline(line)}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Old file on the left, new file on the right - runs of deleted lines are
+   * paired with the added lines that follow them
+   */
+  renderSplitHunk(hunk, language) {
+    const rows = [];
+    let deleted = [];
+    let added = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(deleted.length, added.length); i++) {
+        rows.push([deleted[i] || null, added[i] || null]);
+      }
+      deleted = [];
+      added = [];
+    };
+
+    for (const line of hunk.lines) {
+      if (line.type === 'del') {
+        if (added.length > 0) flush();
+        deleted.push(line);
+      } else if (line.type === 'add') {
+        added.push(line);
+      } else {
+        flush();
+        rows.push([line, line]);
+      }
+    }
+    flush();
+
+    const cell = (line, side) => {
+      if (!line) {
+        return '<td class="diff-line-number diff-blank"></td><td class="diff-code diff-blank"></td>';
+      }
+
+      const number = side === 'old' ? line.oldLine : line.newLine;
+      return `
+        <td class="diff-line-number diff-${line.type}">${number}</td>
+        <td class="diff-code diff-${line.type}">${this.highlight(line.text, language)}${this.renderNoNewline(line)}</td>
+      `;
+    };
+
+    return rows.map(([left, right]) => `
+      <tr class="diff-line">${cell(left, 'old')}${cell(right, 'new')}</tr>
+    `).join('');
+  }
+
+  /**
+   * Marker for a final line without a trailing newline
+   */
+  renderNoNewline(line) {
+    return line.noNewline ? '<span class="diff-no-newline">no newline at end of file</span>' : '';
+  }
+
+  /**
+   * Syntax highlight a single line, escaping everything else
+   */
+  highlight(text, language) {
+    const pattern = this.patterns[language];
+    if (!pattern || text === '') {
+      return this.monitor.escapeHtml(text);
+    }
+
+    const rules = this.rules[language];
+    let html = '';
+    let last = 0;
+
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      if (match[0] === '') continue;
+
+      const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+      html += this.monitor.escapeHtml(text.slice(last, match.index));
+      html += `<span class="tok-${rules[ruleIndex][0]}">${this.monitor.escapeHtml(match[0])}</span>`;
+      last = match.index + match[0].length;
+    }
+
+    return html + this.monitor.escapeHtml(text.slice(last));
+  }
+}
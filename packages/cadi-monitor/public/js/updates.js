@@ -7,7 +7,11 @@ class UpdatesManager {
   constructor(monitor) {
     this.monitor = monitor;
     this.updateAnalysis = new Map(); // projectId -> analysis
+    this.updateGroups = new Map(); // template commit (or 'working-tree') -> batch analyze group
     this.selectedProject = null;
+    this.diffViewer = new DiffViewer(monitor);
+    this.diffView = 'inline';  // 'inline' or 'split'
+    this.diffCache = new Map(); // path -> diff for the project being previewed
     this.setupEventListeners();
   }
 
@@ -77,30 +81,7 @@ class UpdatesManager {
       }
 
       const results = await response.json();
-
-      // Store analysis results
-      for (const [projectId, analysis] of Object.entries(results)) {
-        this.updateAnalysis.set(projectId, analysis);
-      }
-
-      // Render update cards
-      this.renderUpdateCards();
-
-      // Count projects with updates (including schema migrations)
-      const projectsWithUpdates = Object.values(results).filter(a =>
-        a.changes.added.length > 0 || a.changes.modified.length > 0 || (a.schema && a.schema.needsMigration)
-      ).length;
-
-      if (projectsWithUpdates > 0) {
-        this.showUpdateStatus(
-          `${projectsWithUpdates} project(s) have available updates`,
-          'success'
-        );
-        document.getElementById('updateAllBtn').style.display = 'block';
-      } else {
-        this.showUpdateStatus('All projects are up to date', 'success');
-        document.getElementById('updateAllBtn').style.display = 'none';
-      }
+      this.showAnalysisResults(results);
     } catch (error) {
       console.error('Failed to check updates:', error);
       this.showUpdateStatus(`Error: ${error.message}`, 'error');
@@ -115,6 +96,81 @@ class UpdatesManager {
     }
   }
 
+  /**
+   * Store and render batch analysis results (from a check or the background check)
+   */
+  showAnalysisResults(results, checkedAt = null) {
+    this.updateAnalysis.clear();
+    for (const [projectId, analysis] of Object.entries(results.projects)) {
+      this.updateAnalysis.set(projectId, analysis);
+    }
+    this.updateGroups = new Map(results.groups.map(group => [group.key, group]));
+
+    // Render update cards
+    this.renderUpdateCards();
+
+    const failed = Object.entries(results.failed || {});
+    if (failed.length > 0) {
+      this.showUpdateStatus(failed.map(([id, error]) => `${id}: ${error}`).join(' · '), 'error');
+      return;
+    }
+
+    // Count projects with updates (including schema migrations)
+    const projectsWithUpdates = Object.values(results.projects).filter(a =>
+      a.changes.added.length > 0 || a.changes.modified.length > 0 || (a.schema && a.schema.needsMigration)
+    ).length;
+    const checked = checkedAt ? ` (checked ${new Date(checkedAt).toLocaleTimeString()})` : '';
+
+    if (projectsWithUpdates > 0) {
+      this.showUpdateStatus(
+        `${projectsWithUpdates} project(s) have available updates${checked}`,
+        'success'
+      );
+      document.getElementById('updateAllBtn').style.display = 'block';
+    } else {
+      this.showUpdateStatus(`All projects are up to date${checked}`, 'success');
+      document.getElementById('updateAllBtn').style.display = 'none';
+    }
+  }
+
+  /**
+   * Show the results of the latest background update check, if there is one
+   */
+  async loadCachedUpdates() {
+    try {
+      const response = await fetch('/api/updates/status');
+      if (!response.ok) return;
+
+      const status = await response.json();
+      if (status.summary && status.projects) {
+        this.showAnalysisResults(status, status.checkedAt);
+      }
+    } catch (error) {
+      console.error('Failed to load update status:', error);
+    }
+  }
+
+  /**
+   * A background update check finished - badge the Updates tab with the outdated projects
+   */
+  handleUpdatesAvailable(data) {
+    const badge = document.getElementById('updatesBadge');
+    const failed = data.failed || [];
+
+    // Projects the check couldn't analyze are flagged too, not hidden
+    badge.textContent = data.count > 0 ? data.count : '!';
+    badge.style.display = data.count > 0 || failed.length > 0 ? 'inline-block' : 'none';
+    badge.title = data.projects.map(project => {
+      const name = this.monitor.getProjectName(project.id);
+      return `${name}: ${project.updates} file(s)${project.schemaMigration ? ' + DB' : ''}`;
+    }).concat(failed.map(id => `${this.monitor.getProjectName(id)}: check failed`)).join('\n');
+
+    // Refresh the open Updates tab unless an update is being previewed
+    if (this.monitor.currentView === 'updates' && !this.selectedProject) {
+      this.loadCachedUpdates();
+    }
+  }
+
   /**
    * Render update cards for all projects
    */
@@ -132,71 +188,18 @@ class UpdatesManager {
       return;
     }
 
-    container.innerHTML = Array.from(this.updateAnalysis.entries()).map(([projectId, analysis]) => {
-      const project = this.monitor.projects.find(p => p.id === projectId);
-      if (!project) return '';
-
-      const hasUpdates = analysis.changes.added.length > 0 || analysis.changes.modified.length > 0;
-      const hasSchemaUpdates = analysis.schema && analysis.schema.needsMigration;
-      const totalChanges = analysis.changes.added.length + analysis.changes.modified.length;
-
-      return `
-        <div class="update-card ${hasUpdates || hasSchemaUpdates ? 'has-updates' : 'up-to-date'}">
-          <div class="update-card-header">
-            <div>
-              <div class="update-card-title">${this.monitor.escapeHtml(project.name)}</div>
-              <div class="update-card-status">
-                <span class="update-badge ${hasUpdates || hasSchemaUpdates ? 'available' : 'up-to-date'}">
-                  ${hasUpdates || hasSchemaUpdates ? `${totalChanges} update(s)${hasSchemaUpdates ? ' + DB' : ''}` : 'Up to date'}
-                </span>
-              </div>
-            </div>
-          </div>
+    // Projects on the same template version are shown together
+    const groups = new Map();
+    for (const [projectId, analysis] of this.updateAnalysis.entries()) {
+      const key = analysis.target && analysis.target.commit ? analysis.target.commit : 'working-tree';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push([projectId, analysis]);
+    }
 
-          <div class="update-card-changes">
-            <div class="update-change-item">
-              <span class="update-change-label">New files</span>
-              <span class="update-change-value ${analysis.changes.added.length > 0 ? 'has-changes' : ''}">
-                ${analysis.changes.added.length}
-              </span>
-            </div>
-            <div class="update-change-item">
-              <span class="update-change-label">Modified</span>
-              <span class="update-change-value ${analysis.changes.modified.length > 0 ? 'has-changes' : ''}">
-                ${analysis.changes.modified.length}
-              </span>
-            </div>
-            <div class="update-change-item">
-              <span class="update-change-label">Custom files</span>
-              <span class="update-change-value">${analysis.changes.custom.length}</span>
-            </div>
-            ${hasSchemaUpdates ? `
-            <div class="update-change-item" style="border-top: 1px solid var(--border); margin-top: 0.5rem; padding-top: 0.5rem;">
-              <span class="update-change-label">DB Schema</span>
-              <span class="update-change-value has-changes">
-                v${analysis.schema.currentVersion} → v${analysis.schema.expectedVersion}
-              </span>
-            </div>
-            ` : ''}
-          </div>
-
-          <div class="update-card-actions">
-            ${hasUpdates || hasSchemaUpdates ? `
-              <button class="btn-primary btn-block" data-action="preview" data-project="${projectId}">
-                Preview & Update
-              </button>
-            ` : `
-              <button class="btn-secondary btn-block" disabled>
-                No Updates Available
-              </button>
-            `}
-            <button class="btn-secondary" data-action="backups" data-project="${projectId}" title="Manage Backups">
-              📁
-            </button>
-          </div>
-        </div>
-      `;
-    }).join('');
+    container.innerHTML = Array.from(groups.entries()).map(([key, entries]) => `
+      ${groups.size > 1 ? this.renderUpdateGroupHeader(key, entries) : ''}
+      ${entries.map(([projectId, analysis]) => this.renderUpdateCard(projectId, analysis)).join('')}
+    `).join('');
 
     // Add click listeners
     container.querySelectorAll('[data-action="preview"]').forEach(btn => {
@@ -214,6 +217,144 @@ class UpdatesManager {
     });
   }
 
+  /**
+   * Render the update card of one project
+   */
+  renderUpdateCard(projectId, analysis) {
+    const project = this.monitor.projects.find(p => p.id === projectId);
+    if (!project) return '';
+
+    const hasUpdates = analysis.changes.added.length > 0 || analysis.changes.modified.length > 0;
+    const hasSchemaUpdates = analysis.schema && analysis.schema.needsMigration;
+    const totalChanges = analysis.changes.added.length + analysis.changes.modified.length;
+    const target = analysis.target && analysis.target.kind !== 'workingTree' ? analysis.target : null;
+    const commitsBehind = analysis.lock && analysis.lock.commitsBehind
+      ? ` (${analysis.lock.commitsBehind} behind)`
+      : '';
+
+    return `
+      <div class="update-card ${hasUpdates || hasSchemaUpdates ? 'has-updates' : 'up-to-date'}">
+        <div class="update-card-header">
+          <div>
+            <div class="update-card-title">${this.monitor.escapeHtml(project.name)}</div>
+            <div class="update-card-status">
+              <span class="update-badge ${hasUpdates || hasSchemaUpdates ? 'available' : 'up-to-date'}">
+                ${hasUpdates || hasSchemaUpdates ? `${totalChanges} update(s)${hasSchemaUpdates ? ' + DB' : ''}` : 'Up to date'}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div class="update-card-changes">
+          <div class="update-change-item">
+            <span class="update-change-label">New files</span>
+            <span class="update-change-value ${analysis.changes.added.length > 0 ? 'has-changes' : ''}">
+              ${analysis.changes.added.length}
+            </span>
+          </div>
+          <div class="update-change-item">
+            <span class="update-change-label">Modified</span>
+            <span class="update-change-value ${analysis.changes.modified.length > 0 ? 'has-changes' : ''}">
+              ${analysis.changes.modified.length}
+            </span>
+          </div>
+          <div class="update-change-item">
+            <span class="update-change-label">Custom files</span>
+            <span class="update-change-value">${analysis.changes.custom.length}</span>
+          </div>
+          ${analysis.changes.owned && analysis.changes.owned.length > 0 ? `
+          <div class="update-change-item">
+            <span class="update-change-label">Locally owned</span>
+            <span class="update-change-value">${analysis.changes.owned.length}</span>
+          </div>
+          ` : ''}
+          ${analysis.lock && analysis.lock.template ? `
+          <div class="update-change-item">
+            <span class="update-change-label">Installed</span>
+            <span class="update-change-value${analysis.lock.behind ? ' has-changes' : ''}">
+              ${this.monitor.escapeHtml(analysis.lock.template.describe || 'unknown')}${analysis.lock.behind ? ` → ${this.monitor.escapeHtml(analysis.lock.currentTemplate.describe || 'latest')}${commitsBehind}` : ''}
+            </span>
+          </div>
+          ` : ''}
+          ${analysis.lock && analysis.lock.partial ? `
+          <div class="update-change-item">
+            <span class="update-change-label">Partly updated to</span>
+            <span class="update-change-value has-changes">
+              ${this.monitor.escapeHtml(analysis.lock.partial.template.describe || 'unknown')} (${analysis.lock.partial.deferred.length} deferred)
+            </span>
+          </div>
+          ` : ''}
+          ${target ? `
+          <div class="update-change-item">
+            <span class="update-change-label">Template</span>
+            <span class="update-change-value">
+              ${target.kind === 'pin' ? 'pinned to' : 'channel'} ${this.monitor.escapeHtml(target.name)}
+            </span>
+          </div>
+          ` : ''}
+          ${analysis.overlays && analysis.overlays.length > 0 ? `
+          <div class="update-change-item">
+            <span class="update-change-label">Overlays</span>
+            <span class="update-change-value">${this.monitor.escapeHtml(analysis.overlays.join(', '))}</span>
+          </div>
+          ` : ''}
+          ${hasSchemaUpdates ? `
+          <div class="update-change-item" style="border-top: 1px solid var(--border); margin-top: 0.5rem; padding-top: 0.5rem;">
+            <span class="update-change-label">DB Schema</span>
+            <span class="update-change-value has-changes">
+              v${analysis.schema.currentVersion} → v${analysis.schema.expectedVersion}
+            </span>
+          </div>
+          ` : ''}
+        </div>
+
+        <div class="update-card-actions">
+          ${hasUpdates || hasSchemaUpdates ? `
+            <button class="btn-primary btn-block" data-action="preview" data-project="${projectId}">
+              Preview & Update
+            </button>
+          ` : `
+            <button class="btn-secondary btn-block" disabled>
+              No Updates Available
+            </button>
+          `}
+          <button class="btn-secondary" data-action="backups" data-project="${projectId}" title="Manage Backups">
+            📁
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the heading above the projects that follow one template version
+   */
+  renderUpdateGroupHeader(key, entries) {
+    const group = this.updateGroups.get(key);
+    const target = entries[0][1].target;
+
+    let title = key === 'working-tree' ? 'Working tree' : key.slice(0, 12);
+    if (group && group.template.describe) {
+      title = group.template.describe;
+    } else if (target && target.describe) {
+      title = target.describe;
+    }
+
+    const follows = group ? group.follows.join(', ') : '';
+    const behindHead = group && group.commitsBehindHead
+      ? `${group.commitsBehindHead} commit(s) behind HEAD`
+      : '';
+
+    return `
+      <div class="update-group-header">
+        <span class="update-group-title">${this.monitor.escapeHtml(title)}</span>
+        ${follows ? `<span class="update-group-follows">${this.monitor.escapeHtml(follows)}</span>` : ''}
+        ${behindHead ? `<span class="update-group-behind">${behindHead}</span>` : ''}
+        <span class="update-group-count">${entries.length} project(s)</span>
+      </div>
+    `;
+  }
+
   /**
    * Show update preview modal
    */
@@ -224,6 +365,7 @@ class UpdatesManager {
     if (!analysis || !project) return;
 
     this.selectedProject = projectId;
+    this.diffCache.clear();
 
     const modal = document.getElementById('updatePreviewModal');
     const title = document.getElementById('updateModalTitle');
@@ -231,6 +373,11 @@ class UpdatesManager {
 
     title.textContent = `Update ${project.name}`;
 
+    // Locally edited files are merged instead of overwritten - list them separately
+    const replaced = analysis.changes.modified.filter(file => file.merge !== 'clean' && file.merge !== 'conflict');
+    const merged = analysis.changes.modified.filter(file => file.merge === 'clean');
+    const conflicted = analysis.changes.modified.filter(file => file.merge === 'conflict');
+
     // Render preview content
     content.innerHTML = `
       <div class="update-preview">
@@ -283,6 +430,23 @@ class UpdatesManager {
             <p style="margin: 0.75rem 0 0 0; font-size: 0.875rem; color: var(--text-secondary);">
               ℹ️ The database will be automatically migrated during the update process.
             </p>
+            <label style="display: flex; align-items: center; gap: 0.5rem; margin-top: 0.5rem; font-size: 0.875rem;">
+              <input type="checkbox" id="skipSchemaMigration">
+              Skip the migration for now
+            </label>
+          </div>
+        ` : ''}
+
+        ${this.renderChangelog(analysis.changelog)}
+
+        ${analysis.changes.added.length + analysis.changes.modified.length + analysis.changes.removed.length > 0 ? `
+          <div class="update-diff-toolbar">
+            <span>Diffs:</span>
+            <button type="button" class="btn-secondary${this.diffView === 'inline' ? ' active' : ''}" data-diff-view="inline">Inline</button>
+            <button type="button" class="btn-secondary${this.diffView === 'split' ? ' active' : ''}" data-diff-view="split">Side by side</button>
+            <span class="update-diff-toolbar-spacer"></span>
+            <button type="button" class="btn-secondary" data-select-files="all">Select all</button>
+            <button type="button" class="btn-secondary" data-select-files="none">Select none</button>
           </div>
         ` : ''}
 
@@ -290,21 +454,67 @@ class UpdatesManager {
           <h4 style="margin-bottom: 0.75rem;">New Files</h4>
           <div class="update-file-list">
             ${analysis.changes.added.map(file => `
-              <div class="update-file-item">
+              <div class="update-file-item" title="${this.monitor.escapeHtml(file.reason || '')}">
+                ${this.renderFileSelect(file.path)}
                 <div class="update-file-icon added">+</div>
                 <div class="update-file-path">${this.monitor.escapeHtml(file.path)}</div>
+                ${this.renderChangeBadge(file.change)}
+                ${this.renderSourceBadge(file.source)}
+                ${this.renderDiffToggle(file.path)}
               </div>
+              ${this.renderDiffContainer(file.path)}
             `).join('')}
           </div>
         ` : ''}
 
-        ${analysis.changes.modified.length > 0 ? `
-          <h4 style="margin: 1.5rem 0 0.75rem;">Modified Files</h4>
+        ${this.renderModifiedGroup('Modified Files', replaced, 'modified', '~')}
+        ${this.renderModifiedGroup('Merged With Local Edits', merged, 'merged', '⇄')}
+        ${this.renderModifiedGroup('Conflicts (Need Manual Merge)', conflicted, 'conflict', '!')}
+
+        ${analysis.changes.removed.length > 0 ? `
+          <h4 style="margin: 1.5rem 0 0.75rem;">Removed Files</h4>
           <div class="update-file-list">
-            ${analysis.changes.modified.map(file => `
+            ${analysis.changes.removed.map(file => `
               <div class="update-file-item">
-                <div class="update-file-icon modified">~</div>
+                ${this.renderFileSelect(file.path)}
+                <div class="update-file-icon removed">-</div>
                 <div class="update-file-path">${this.monitor.escapeHtml(file.path)}</div>
+                <div class="update-file-note">${this.monitor.escapeHtml(file.reason || '')}</div>
+                ${this.renderChangeBadge(file.change)}
+                ${this.renderDiffToggle(file.path)}
+              </div>
+              ${this.renderDiffContainer(file.path)}
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${analysis.changes.owned && analysis.changes.owned.length > 0 ? `
+          <h4 style="margin: 1.5rem 0 0.75rem;">Locally Owned (Skipped)</h4>
+          <div class="update-file-list">
+            ${analysis.changes.owned.map(file => `
+              <div class="update-file-item">
+                <div class="update-file-icon custom">🔒</div>
+                <div class="update-file-path">${this.monitor.escapeHtml(file.path)}</div>
+                <div class="update-file-note">
+                  ${file.upstream === 'unchanged' ? 'up to date' : `template ${this.monitor.escapeHtml(file.upstream)}`} -
+                  ${this.monitor.escapeHtml(file.reason)}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${analysis.conflicts && analysis.conflicts.length > 0 ? `
+          <h4 style="margin: 1.5rem 0 0.75rem;">Overlay Conflicts</h4>
+          <div class="update-file-list">
+            ${analysis.conflicts.map(conflict => `
+              <div class="update-file-item">
+                <div class="update-file-icon conflict">!</div>
+                <div class="update-file-path">${this.monitor.escapeHtml(conflict.path)}</div>
+                <div class="update-file-note">
+                  ${this.monitor.escapeHtml(conflict.layers.join(' vs '))} -
+                  ${conflict.identical ? 'identical' : `using ${this.monitor.escapeHtml(conflict.winner)}`}
+                </div>
               </div>
             `).join('')}
           </div>
@@ -314,7 +524,7 @@ class UpdatesManager {
           <h4 style="margin: 1.5rem 0 0.75rem;">Custom Files (Will Not Be Touched)</h4>
           <div class="update-file-list">
             ${analysis.changes.custom.map(file => `
-              <div class="update-file-item">
+              <div class="update-file-item" title="${this.monitor.escapeHtml(file.reason || '')}">
                 <div class="update-file-icon custom">·</div>
                 <div class="update-file-path">${this.monitor.escapeHtml(file.path)}</div>
               </div>
@@ -338,12 +548,253 @@ class UpdatesManager {
       </div>
     `;
 
+    this.bindPreviewControls(content);
+
     // Enable/disable apply button based on safety
-    document.getElementById('applyUpdateBtn').disabled = !analysis.safe;
+    const applyBtn = document.getElementById('applyUpdateBtn');
+    applyBtn.onclick = null;
+    applyBtn.disabled = !analysis.safe;
+    this.updateSelectionLabel();
 
     modal.classList.add('active');
   }
 
+  /**
+   * Wire up the preview's file checkboxes, diff toggles and view switch
+   */
+  bindPreviewControls(content) {
+    content.querySelectorAll('.update-file-select').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.updateSelectionLabel());
+    });
+
+    content.querySelectorAll('[data-select-files]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const checked = btn.dataset.selectFiles === 'all';
+        content.querySelectorAll('.update-file-select').forEach(checkbox => {
+          checkbox.checked = checked;
+        });
+        this.updateSelectionLabel();
+      });
+    });
+
+    content.querySelectorAll('[data-action="toggle-diff"]').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleDiff(btn.dataset.path, btn));
+    });
+
+    content.querySelectorAll('[data-diff-view]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.diffView = btn.dataset.diffView;
+        content.querySelectorAll('[data-diff-view]').forEach(other => {
+          other.classList.toggle('active', other === btn);
+        });
+
+        // Re-render the diffs that are open
+        content.querySelectorAll('.update-diff').forEach(container => {
+          const diff = this.diffCache.get(container.dataset.path);
+          if (!container.hidden && diff) {
+            container.innerHTML = this.diffViewer.render(diff, this.diffView);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Show or hide the diff under a file, fetching it the first time
+   */
+  async toggleDiff(filePath, btn) {
+    const container = Array.from(document.querySelectorAll('#updatePreviewContent .update-diff'))
+      .find(element => element.dataset.path === filePath);
+    if (!container) return;
+
+    if (!container.hidden) {
+      container.hidden = true;
+      btn.textContent = 'Diff';
+      return;
+    }
+
+    container.hidden = false;
+    btn.textContent = 'Hide';
+
+    if (!this.diffCache.has(filePath)) {
+      container.innerHTML = '<div class="diff-empty">Loading diff...</div>';
+
+      try {
+        const params = new URLSearchParams({ path: filePath });
+        const response = await fetch(`/api/updates/${this.selectedProject}/diff?${params}`);
+        const diff = await response.json();
+
+        if (!response.ok) {
+          throw new Error(diff.error || 'Failed to load diff');
+        }
+
+        this.diffCache.set(filePath, diff);
+      } catch (error) {
+        container.innerHTML = `<div class="diff-empty">${this.monitor.escapeHtml(error.message)}</div>`;
+        return;
+      }
+    }
+
+    container.innerHTML = this.diffViewer.render(this.diffCache.get(filePath), this.diffView);
+  }
+
+  /**
+   * Paths of the files ticked in the preview
+   */
+  getSelectedFiles() {
+    const checkboxes = Array.from(document.querySelectorAll('#updatePreviewContent .update-file-select'));
+    return {
+      total: checkboxes.length,
+      selected: checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.dataset.path)
+    };
+  }
+
+  /**
+   * Show how many files will be applied on the apply button
+   */
+  updateSelectionLabel() {
+    const { total, selected } = this.getSelectedFiles();
+    const btn = document.getElementById('applyUpdateBtn');
+    btn.textContent = total > 0 && selected.length < total
+      ? `Apply ${selected.length} of ${total} Files`
+      : 'Apply Update';
+  }
+
+  /**
+   * Checkbox choosing whether a file is part of the update
+   */
+  renderFileSelect(filePath) {
+    return `<input type="checkbox" class="update-file-select" data-path="${this.monitor.escapeHtml(filePath)}" checked title="Include in update">`;
+  }
+
+  /**
+   * Button that shows a file's diff
+   */
+  renderDiffToggle(filePath) {
+    return `<button type="button" class="btn-secondary update-diff-toggle" data-action="toggle-diff" data-path="${this.monitor.escapeHtml(filePath)}">Diff</button>`;
+  }
+
+  /**
+   * Placeholder the diff is rendered into when opened
+   */
+  renderDiffContainer(filePath) {
+    return `<div class="update-diff" data-path="${this.monitor.escapeHtml(filePath)}" hidden></div>`;
+  }
+
+  /**
+   * Render one group of modified files in the preview (replaced, merged or conflicted)
+   */
+  renderModifiedGroup(heading, files, iconClass, icon) {
+    if (files.length === 0) return '';
+
+    return `
+      <h4 style="margin: 1.5rem 0 0.75rem;">${heading}</h4>
+      <div class="update-file-list">
+        ${files.map(file => `
+          <div class="update-file-item" title="${this.monitor.escapeHtml(file.reason || '')}">
+            ${this.renderFileSelect(file.path)}
+            <div class="update-file-icon ${iconClass}">${icon}</div>
+            <div class="update-file-path">${this.monitor.escapeHtml(file.path)}</div>
+            ${file.merge === 'conflict' ? `<div class="update-file-note">${file.conflicts} conflict(s)</div>` : ''}
+            ${this.renderChangeBadge(file.change)}
+            ${this.renderSourceBadge(file.source)}
+            ${this.renderDiffToggle(file.path)}
+          </div>
+          ${file.jsonConflicts ? `
+            <ul class="update-json-conflicts">
+              ${file.jsonConflicts.map(conflict => `
+                <li>
+                  <code>${this.monitor.escapeHtml(conflict.key)}</code>:
+                  keeps ${this.monitor.escapeHtml(JSON.stringify(conflict.local))},
+                  template has ${this.monitor.escapeHtml(JSON.stringify(conflict.template))}
+                </li>
+              `).join('')}
+            </ul>
+          ` : ''}
+          ${this.renderDiffContainer(file.path)}
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Badge saying which side changed since the file was installed (from cadi-lock.json)
+   * Plain upstream changes are the normal case and get no badge.
+   */
+  renderChangeBadge(change) {
+    const labels = {
+      local: ['local', 'Edited locally since it was installed'],
+      both: ['upstream + local', 'Changed in the template and edited locally since it was installed'],
+      unknown: ['unknown', 'No lock or installed version recorded - local edits can\'t be detected']
+    };
+    if (!labels[change]) return '';
+
+    const [label, title] = labels[change];
+    return `<span class="update-change-badge ${change}" title="${title}">${label}</span>`;
+  }
+
+  /**
+   * What the update brings: migrations, then per file version, notes and template commits
+   */
+  renderChangelog(changelog) {
+    if (!changelog || (changelog.migrations.length === 0 && changelog.files.length === 0)) return '';
+
+    const version = template => this.monitor.escapeHtml((template && (template.describe || template.commit)) || 'unknown');
+
+    return `
+      <div class="update-changelog">
+        <h4 style="margin: 0 0 0.75rem 0;">Changelog</h4>
+        <div class="update-changelog-range">
+          ${version(changelog.from)} → ${version(changelog.to)}
+          ${changelog.commitCount > 0 ? `<span class="update-file-note">${changelog.commitCount} template commit(s)</span>` : ''}
+        </div>
+
+        ${changelog.migrations.length > 0 ? `
+          <div class="update-changelog-entry">
+            <div class="update-changelog-path">Database</div>
+            <ul>
+              ${changelog.migrations.map(migration => `
+                <li><strong>v${migration.version}</strong> ${this.monitor.escapeHtml(migration.description || '')}</li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+
+        ${changelog.files.map(file => `
+          <div class="update-changelog-entry">
+            <div class="update-changelog-path">
+              <span class="update-file-icon ${file.status}">${{ added: '+', modified: '~', removed: '-' }[file.status]}</span>
+              ${this.monitor.escapeHtml(file.path)}
+              ${file.version ? `
+                <span class="update-changelog-version">
+                  ${this.monitor.escapeHtml(file.version.from || '?')} → ${this.monitor.escapeHtml(file.version.to || '?')}
+                </span>
+              ` : ''}
+            </div>
+            <ul>
+              ${file.notes.map(note => `<li>${this.monitor.escapeHtml(note)}</li>`).join('')}
+              ${file.commits.map(commit => `
+                <li class="update-changelog-commit">
+                  <code>${commit.commit.slice(0, 7)}</code>
+                  ${this.monitor.escapeHtml(commit.subject)}
+                  <span class="update-file-note">${this.monitor.escapeHtml(commit.date)}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Badge naming the overlay a file comes from (base files get none)
+   */
+  renderSourceBadge(source) {
+    if (!source || source === 'base') return '';
+    return `<span class="update-source-badge">${this.monitor.escapeHtml(source)}</span>`;
+  }
+
   /**
    * Hide update preview modal
    */
@@ -358,6 +809,10 @@ class UpdatesManager {
   async applyUpdate() {
     if (!this.selectedProject) return;
 
+    // Only send a file list when some files were unticked
+    const { total, selected } = this.getSelectedFiles();
+    const skipSchemaCheckbox = document.getElementById('skipSchemaMigration');
+
     const btn = document.getElementById('applyUpdateBtn');
     btn.disabled = true;
     btn.textContent = 'Applying...';
@@ -369,14 +824,18 @@ class UpdatesManager {
         body: JSON.stringify({
           dryRun: false,
           skipBackup: false,
-          preserveCustom: true
+          preserveCustom: true,
+          include: selected.length < total ? selected : undefined,
+          skipSchema: skipSchemaCheckbox ? skipSchemaCheckbox.checked : false
         })
       });
 
       const result = await response.json();
 
       if (!result.success) {
-        throw new Error(result.errors.join(', '));
+        const error = new Error(result.errors.join(', '));
+        error.result = result;
+        throw error;
       }
 
       // Show success message
@@ -386,6 +845,23 @@ class UpdatesManager {
           <h3 style="margin-bottom: 0.5rem;">✓ Update Successful!</h3>
           <p>Added: ${result.applied.added.length} files</p>
           <p>Modified: ${result.applied.modified.length} files</p>
+          ${result.applied.merged.length > 0 ? `<p>Merged with local edits: ${result.applied.merged.length} files</p>` : ''}
+          ${result.applied.excluded.length > 0 ? `<p>Left for later: ${result.applied.excluded.length} files</p>` : ''}
+          ${result.schemaMigration && result.schemaMigration.skipped ? `<p>Database migration skipped (still on v${result.schemaMigration.currentVersion})</p>` : ''}
+          ${result.applied.conflicted.length > 0 ? `
+            <p style="margin-top: 0.75rem;"><strong>⚠️ Needs manual merging:</strong></p>
+            <ul style="margin: 0.25rem 0 0 1.5rem;">
+              ${result.applied.conflicted.map(file => `
+                <li><code>${this.monitor.escapeHtml(file.path)}</code> -
+                  ${file.style === 'rej'
+                    ? `left unchanged, see <code>${this.monitor.escapeHtml(file.rejPath)}</code>`
+                    : file.style === 'json'
+                      ? `${file.conflicts} setting(s) kept your value, see <code>${this.monitor.escapeHtml(file.rejPath)}</code>`
+                      : `${file.conflicts} conflict marker block(s)`}
+                </li>
+              `).join('')}
+            </ul>
+          ` : ''}
           ${result.schemaMigration && result.schemaMigration.appliedMigrations && result.schemaMigration.appliedMigrations.length > 0 ? `
             <p style="margin-top: 0.75rem;"><strong>🗄️ Database Migrations Applied:</strong></p>
             <ul style="margin: 0.25rem 0 0 1.5rem;">
@@ -394,13 +870,25 @@ class UpdatesManager {
               ).join('')}
             </ul>
           ` : ''}
+          ${result.recovered ? `<p style="margin-top: 0.5rem;">An interrupted earlier update was undone first (${result.recovered.files.length} files restored)</p>` : ''}
           ${result.backupPath ? `<p style="margin-top: 0.5rem;">Backup created at: <code style="font-size: 0.875rem;">${result.backupPath}</code></p>` : ''}
+          ${this.renderHookResults(result.hooks)}
         </div>
       `;
 
       // Update button
       btn.textContent = 'Done';
 
+      // Keep the result open when there are conflicts to read
+      if (result.applied.conflicted.length > 0) {
+        btn.disabled = false;
+        btn.onclick = () => {
+          this.hideUpdatePreviewModal();
+          this.checkAllUpdates();
+        };
+        return;
+      }
+
       // Refresh update check after a delay
       setTimeout(() => {
         this.hideUpdatePreviewModal();
@@ -414,6 +902,8 @@ class UpdatesManager {
         <div class="update-status visible error">
           <h3 style="margin-bottom: 0.5rem;">✗ Update Failed</h3>
           <p>${this.monitor.escapeHtml(error.message)}</p>
+          ${error.result ? this.renderReverted(error.result) : ''}
+          ${error.result ? this.renderHookResults(error.result.hooks) : ''}
         </div>
       `;
 
@@ -423,6 +913,54 @@ class UpdatesManager {
     }
   }
 
+  /**
+   * Render what a failed update put back
+   */
+  renderReverted(result) {
+    const reverted = result.reverted;
+    if (!reverted) {
+      return result.rolledBack ? '<p>All changes were rolled back.</p>' : '';
+    }
+
+    const labels = { restored: 'restored', deleted: 'removed (new in this update)' };
+    const database = reverted.database;
+
+    return `
+      <p style="margin-top: 0.75rem;"><strong>↩️ Reverted automatically:</strong></p>
+      ${reverted.files.length > 0 ? `
+        <ul class="update-reverted-files">
+          ${reverted.files.map(file => `
+            <li><code>${this.monitor.escapeHtml(file.path)}</code> - ${labels[file.action] || file.action}</li>
+          `).join('')}
+        </ul>
+      ` : '<p>No files had been changed yet.</p>'}
+      ${reverted.backupPath ? `<p>Restored from backup <code style="font-size: 0.875rem;">${this.monitor.escapeHtml(reverted.backupPath)}</code></p>` : ''}
+      ${database ? `
+        <p>${database.restored
+          ? `Database restored to schema v${database.version} from its snapshot`
+          : `Database left at schema v${database.version} (the migration was rolled back)`}</p>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Render the output of manifest hooks that ran during an update
+   */
+  renderHookResults(hooks) {
+    if (!hooks || hooks.length === 0) return '';
+
+    return `
+      <p style="margin-top: 0.75rem;"><strong>Hooks:</strong></p>
+      ${hooks.map(hook => `
+        <div style="margin: 0.5rem 0 0 1rem;">
+          <div>${hook.success ? '✓' : '✗'} ${this.monitor.escapeHtml(hook.stage)}: <code>${this.monitor.escapeHtml(hook.name)}</code> (${hook.durationMs}ms)</div>
+          ${hook.error ? `<div>${this.monitor.escapeHtml(hook.error)}</div>` : ''}
+          ${hook.output ? `<pre style="margin-top: 0.25rem; font-size: 0.75rem; white-space: pre-wrap;">${this.monitor.escapeHtml(hook.output)}</pre>` : ''}
+        </div>
+      `).join('')}
+    `;
+  }
+
   /**
    * Update all projects that have available updates
    */
@@ -521,6 +1059,7 @@ class UpdatesManager {
           ${data.backups.map(backup => {
             const date = new Date(backup.timestamp).toLocaleString();
             const size = (backup.size / 1024).toFixed(2);
+            const added = (backup.addedSize / 1024).toFixed(2);
 
             return `
               <div class="backup-item">
@@ -528,20 +1067,34 @@ class UpdatesManager {
                   <div class="backup-name">${this.monitor.escapeHtml(backup.name)}</div>
                   <div class="backup-meta">
                     <span>📅 ${date}</span>
-                    <span>📦 ${size} KB</span>
+                    <span>📄 ${backup.files} files</span>
+                    <span>📦 ${size} KB${backup.type === 'directory' ? ' (full copy)' : `, ${added} KB new`}</span>
                   </div>
                 </div>
                 <div class="backup-actions">
+                  <button class="btn-secondary" data-action="browse" data-backup="${this.monitor.escapeHtml(backup.name)}">
+                    Browse
+                  </button>
                   <button class="btn-primary" data-action="rollback" data-project="${projectId}" data-backup="${this.monitor.escapeHtml(backup.path)}">
                     Rollback
                   </button>
                 </div>
               </div>
+              <div class="backup-files" data-backup="${this.monitor.escapeHtml(backup.name)}" style="display: none;"></div>
             `;
           }).join('')}
         </div>
+        ${this.renderBackupRetention(data.retention)}
       `;
 
+      // Browse listeners
+      content.querySelectorAll('[data-action="browse"]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const container = content.querySelector(`.backup-files[data-backup="${btn.dataset.backup}"]`);
+          this.toggleBackupFiles(projectId, btn.dataset.backup, container);
+        });
+      });
+
       // Add rollback listeners
       content.querySelectorAll('[data-action="rollback"]').forEach(btn => {
         btn.addEventListener('click', async () => {
@@ -565,6 +1118,121 @@ class UpdatesManager {
     }
   }
 
+  /**
+   * Describe the retention policy under the backup list
+   */
+  renderBackupRetention(retention) {
+    if (!retention) return '';
+
+    const limits = [`the last ${retention.keep || 'unlimited'}`];
+    if (retention.maxAgeDays) limits.push(`up to ${retention.maxAgeDays} days old`);
+    if (retention.maxSizeMB) limits.push(`up to ${retention.maxSizeMB} MB in total`);
+
+    return `<div class="backup-retention">Keeping ${limits.join(', ')} - unchanged files are stored once</div>`;
+  }
+
+  /**
+   * Show or hide the files in a backup, with restore buttons
+   */
+  async toggleBackupFiles(projectId, backupName, container, reload = false) {
+    if (container.dataset.loaded === 'true' && !reload) {
+      container.style.display = container.style.display === 'none' ? 'block' : 'none';
+      return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = '<div class="backup-files-loading">Loading...</div>';
+
+    try {
+      const response = await fetch(`/api/updates/${projectId}/backups/${encodeURIComponent(backupName)}/files`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load backup files');
+      }
+
+      container.innerHTML = this.renderBackupFiles(data.files);
+      container.dataset.loaded = 'true';
+
+      container.querySelectorAll('[data-action="restore-path"]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const relPath = btn.dataset.path;
+
+          if (!confirm(`Restore ${relPath} from ${backupName}? The project's current version will be overwritten.`)) {
+            return;
+          }
+
+          await this.restoreFromBackup(projectId, backupName, relPath);
+          await this.toggleBackupFiles(projectId, backupName, container, true);
+        });
+      });
+    } catch (error) {
+      console.error('Failed to load backup files:', error);
+      container.innerHTML = `<div class="backup-files-loading">Failed to load files: ${this.monitor.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render a backup's files grouped by directory
+   */
+  renderBackupFiles(files) {
+    if (files.length === 0) {
+      return '<div class="backup-files-loading">This backup is empty</div>';
+    }
+
+    const groups = new Map();
+    for (const file of files) {
+      const slash = file.path.lastIndexOf('/');
+      const dir = slash === -1 ? '' : file.path.slice(0, slash);
+      if (!groups.has(dir)) groups.set(dir, []);
+      groups.get(dir).push(file);
+    }
+
+    const labels = { unchanged: 'same as project', modified: 'differs from project', missing: 'not in project' };
+
+    return [...groups.keys()].sort().map(dir => {
+      const changed = groups.get(dir).some(file => file.status !== 'unchanged');
+
+      return `
+        <div class="backup-dir">
+          <span>📁 ${this.monitor.escapeHtml(dir || '.claude')}</span>
+          ${dir && changed ? `<button class="btn-secondary backup-restore-btn" data-action="restore-path" data-path="${this.monitor.escapeHtml(dir)}">Restore folder</button>` : ''}
+        </div>
+        ${groups.get(dir).map(file => `
+          <div class="backup-file">
+            <code>${this.monitor.escapeHtml(file.path.slice(dir ? dir.length + 1 : 0))}</code>
+            <span class="backup-file-status ${file.status}">${labels[file.status]}</span>
+            ${file.status !== 'unchanged' ? `<button class="btn-secondary backup-restore-btn" data-action="restore-path" data-path="${this.monitor.escapeHtml(file.path)}">Restore</button>` : ''}
+          </div>
+        `).join('')}
+      `;
+    }).join('');
+  }
+
+  /**
+   * Restore one file or directory from a backup
+   */
+  async restoreFromBackup(projectId, backupName, relPath) {
+    try {
+      const response = await fetch(`/api/updates/${projectId}/backups/${encodeURIComponent(backupName)}/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: relPath })
+      });
+
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.showUpdateStatus(`✓ Restored ${result.restored.length} file(s) from ${backupName}`, 'success');
+    } catch (error) {
+      console.error('Failed to restore:', error);
+      alert(`Restore failed: ${error.message}`);
+    }
+  }
+
   /**
    * Hide backup manager modal
    */
@@ -619,10 +1287,22 @@ class UpdatesManager {
         this.showUpdateStatus(`✗ Update failed for ${data.projectPath}: ${data.error}`, 'error');
         break;
 
+      case 'updateReverted':
+        this.showUpdateStatus(`↩️ Reverted ${data.reverted.files.length} file(s) in ${data.projectPath}`, 'info');
+        break;
+
       case 'backupCreated':
         console.log('Backup created:', data.projectPath);
         break;
 
+      case 'hookStarted':
+        this.showUpdateStatus(`Running ${data.stage} hook ${data.name}...`, 'info');
+        break;
+
+      case 'hookFailed':
+        this.showUpdateStatus(`✗ ${data.stage} hook ${data.name} failed: ${data.error}`, 'error');
+        break;
+
       case 'schemaMigrationStarted':
         this.showUpdateStatus(
           `🗄️ Migrating database schema v${data.currentVersion} → v${data.targetVersion}...`,
@@ -639,8 +1319,9 @@ class UpdatesManager {
         break;
 
       case 'schemaMigrationFailed':
+        const migrationErrors = data.errors ? data.errors.map(e => e.error || e).join(', ') : 'Unknown error';
         this.showUpdateStatus(
-          `✗ Schema migration failed: ${data.errors ? data.errors.join(', ') : 'Unknown error'}`,
+          `✗ Schema migration failed: ${migrationErrors}${data.restored ? ' (database restored from snapshot)' : ''}`,
           'error'
         );
         break;
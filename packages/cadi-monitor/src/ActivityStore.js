@@ -0,0 +1,306 @@
+const Database = require('better-sqlite3');
+
+/**
+ * Persistent log of project activity
+ *
+ * Domain events (sections completed, errors logged, features planned, files
+ * changed, ...) are kept in a database of their own - ~/.cadi-monitor/activity.db -
+ * never in a project's project.db, which the monitor only reads. An entry
+ * records the project, the event type, the entity it's about and when it
+ * happened:
+ *
+ *   { id, projectId, type, entityType, entityId, entityName, message, data, timestamp }
+ *
+ * data is the rest of the event. The newest maxEntries entries are kept.
+ */
+class ActivityStore {
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.maxEntries = options.maxEntries || ActivityStore.defaultMaxEntries;
+    this.db = null;
+    this.insertsSincePrune = 0;
+  }
+
+  static get defaultMaxEntries() {
+    return 50000;
+  }
+
+  /**
+   * Event types that are kept, with the kind of entity each one is about
+   */
+  static get entityTypes() {
+    return {
+      featureCreated: 'feature',
+      featureCreationComplete: 'feature',
+      featureCreationError: 'feature',
+      featureAdded: 'feature',
+      featureRemoved: 'feature',
+      featureStatusChanged: 'feature',
+      sectionAdded: 'section',
+      sectionRemoved: 'section',
+      sectionStarted: 'section',
+      sectionCompleted: 'section',
+      sectionStatusChanged: 'section',
+      errorLogged: 'error',
+      errorResolved: 'error',
+      contextLoaded: 'context_load',
+      agentInvoked: 'agent_invocation',
+      fileChange: 'file'
+    };
+  }
+
+  /**
+   * Open (and create) the database
+   */
+  open() {
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS activity (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        entity_name TEXT,
+        message TEXT NOT NULL,
+        data TEXT,
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_activity_project ON activity(project_id, id);
+      CREATE INDEX IF NOT EXISTS idx_activity_timestamp ON activity(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_activity_entity ON activity(entity_type, entity_id);
+    `);
+
+    this.insert = this.db.prepare(`
+      INSERT INTO activity (project_id, type, entity_type, entity_id, entity_name, message, data, timestamp)
+      VALUES (@projectId, @type, @entityType, @entityId, @entityName, @message, @data, @timestamp)
+    `);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Keep an event if it's a domain event
+   * Returns the entry, or null for events that aren't kept.
+   */
+  record(event) {
+    const entityType = ActivityStore.entityTypes[event.type];
+    if (!this.db || !entityType || !event.projectId) {
+      return null;
+    }
+
+    // The row can be large (tool input, error context) - the entity and message describe it
+    const { type, projectId, projectName, row, ...data } = event;
+    const { entityId, entityName, message } = ActivityStore.describe(event);
+
+    const entry = {
+      projectId,
+      type,
+      entityType,
+      entityId: entityId === null || entityId === undefined ? null : String(entityId),
+      entityName: entityName || null,
+      message,
+      data,
+      timestamp: event.timestamp || new Date().toISOString()
+    };
+
+    const result = this.insert.run({ ...entry, data: JSON.stringify(data) });
+    entry.id = Number(result.lastInsertRowid);
+
+    if (++this.insertsSincePrune >= 500) {
+      this.prune();
+    }
+
+    return entry;
+  }
+
+  /**
+   * The entity an event is about and a one-line description of it
+   */
+  static describe(event) {
+    const row = event.row || {};
+    const inFeature = event.featureName ? ` (${event.featureName})` : '';
+    const sectionName = row.name || `#${event.rowId}`;
+
+    switch (event.type) {
+      case 'featureCreated':
+        return { entityId: null, entityName: event.featureName, message: `Started planning feature: ${event.featureName}` };
+      case 'featureCreationComplete':
+        return {
+          entityId: null,
+          entityName: event.featureName,
+          message: event.exitCode === 0
+            ? `Feature '${event.featureName}' created successfully`
+            : `Feature '${event.featureName}' creation failed (exit code: ${event.exitCode})`
+        };
+      case 'featureCreationError':
+        return { entityId: null, entityName: event.featureName, message: `Feature creation error: ${event.featureName}` };
+      case 'featureAdded':
+        return { entityId: event.rowId, entityName: row.name, message: `Feature ${row.name || `#${event.rowId}`} added` };
+      case 'featureRemoved':
+        return { entityId: event.rowId, entityName: null, message: `Feature #${event.rowId} removed` };
+      case 'featureStatusChanged':
+        return {
+          entityId: event.rowId,
+          entityName: event.featureName,
+          message: `Feature ${event.featureName} moved to ${event.newStatus}`
+        };
+      case 'sectionAdded':
+        return { entityId: event.rowId, entityName: row.name, message: `Section ${sectionName} added${inFeature}` };
+      case 'sectionRemoved':
+        return { entityId: event.rowId, entityName: null, message: `Section #${event.rowId} removed` };
+      case 'sectionStarted':
+        return { entityId: event.rowId, entityName: row.name, message: `Section ${sectionName} started${inFeature}` };
+      case 'sectionCompleted':
+        return { entityId: event.rowId, entityName: row.name, message: `Section ${sectionName} completed${inFeature}` };
+      case 'sectionStatusChanged':
+        return {
+          entityId: event.rowId,
+          entityName: row.name,
+          message: `Section ${sectionName} moved to ${event.newStatus}${inFeature}`
+        };
+      case 'errorLogged':
+        return {
+          entityId: event.rowId,
+          entityName: row.error_type,
+          message: `${row.severity || 'New'} error from ${row.agent_name || 'unknown agent'}: ${row.error_message || ''}`
+        };
+      case 'errorResolved':
+        return {
+          entityId: event.rowId,
+          entityName: row.error_type,
+          message: `Error resolved: ${row.error_message || `#${event.rowId}`}`
+        };
+      case 'contextLoaded':
+        return {
+          entityId: event.rowId,
+          entityName: row.agent_name,
+          message: `${row.agent_name || 'Agent'} loaded ${row.document_count || 0} context document(s)`
+        };
+      case 'agentInvoked':
+        return {
+          entityId: event.rowId,
+          entityName: row.agent_type,
+          message: `Agent ${row.agent_type || ''} invoked${inFeature}`
+        };
+      case 'fileChange':
+        return { entityId: event.file, entityName: event.file, message: `File ${event.eventType}: ${event.file}` };
+      default:
+        return { entityId: null, entityName: null, message: event.type };
+    }
+  }
+
+  /**
+   * Page through activity, newest first
+   * Filters: projectIds, types, entityType, entityId, since/until (ISO timestamps).
+   * Pages are limit + offset, or limit + before (an entry id) so entries
+   * added meanwhile don't shift the page.
+   * Returns { activity, pagination: { limit, offset, total, hasMore } }
+   */
+  list(options = {}) {
+    const {
+      projectIds = [],
+      types = [],
+      entityType = null,
+      entityId = null,
+      since = null,
+      until = null,
+      before = null
+    } = options;
+
+    // SQLite reads a negative LIMIT as no limit at all
+    const limit = Math.max(parseInt(options.limit, 10) || 50, 1);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    if (!this.db) {
+      return { activity: [], pagination: { limit, offset, total: 0, hasMore: false } };
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (projectIds.length > 0) {
+      conditions.push(`project_id IN (${projectIds.map(() => '?').join(', ')})`);
+      params.push(...projectIds);
+    }
+    if (types.length > 0) {
+      conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(entityType);
+    }
+    if (entityId !== null) {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+    if (since) {
+      conditions.push('timestamp >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('timestamp <= ?');
+      params.push(until);
+    }
+
+    // before narrows the page, not the total
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const pageWhere = before
+      ? `${where ? `${where} AND` : 'WHERE'} id < ?`
+      : where;
+    const pageParams = before ? [...params, before] : params;
+
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM activity ${where}`).get(...params).count;
+    const remaining = before
+      ? this.db.prepare(`SELECT COUNT(*) as count FROM activity ${pageWhere}`).get(...pageParams).count
+      : total;
+
+    const rows = this.db.prepare(`
+      SELECT * FROM activity ${pageWhere}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...pageParams, limit, offset);
+
+    return {
+      activity: rows.map(row => ({
+        id: row.id,
+        projectId: row.project_id,
+        type: row.type,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        entityName: row.entity_name,
+        message: row.message,
+        data: row.data ? JSON.parse(row.data) : null,
+        timestamp: row.timestamp
+      })),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + rows.length < remaining
+      }
+    };
+  }
+
+  /**
+   * Drop all but the newest maxEntries entries
+   */
+  prune() {
+    this.insertsSincePrune = 0;
+    if (!this.db) return 0;
+
+    return this.db.prepare(`
+      DELETE FROM activity WHERE id <= (SELECT MAX(id) FROM activity) - ?
+    `).run(this.maxEntries).changes;
+  }
+}
+
+module.exports = ActivityStore;
@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed backups of project .claude directories
+ *
+ * File contents are stored once per hash under <backupDir>/.objects/, shared by
+ * every backup of every project. Each backup is a manifest listing its files:
+ *
+ *   backups/.objects/3f/2c9a...                 file contents, named by sha256
+ *   backups/<project>/backup-<timestamp>.json   manifest
+ *
+ * {
+ *   "backupVersion": 1,
+ *   "name": "backup-2025-01-01T00-00-00-000Z",
+ *   "project": "my-app",
+ *   "projectPath": "/home/me/my-app",
+ *   "createdAt": "2025-01-01T00:00:00.000Z",
+ *   "size": 81234,        // bytes of all files in the backup
+ *   "addedSize": 1024,    // bytes this backup added to .objects
+ *   "files": { "agents/cadi/planning/plan-feature.md": { "hash": "3f2c...", "size": 2048, "mode": 420 } }
+ * }
+ *
+ * Older backups that are full copies (backup-<timestamp>/ directories) are still
+ * listed, browsed and restored - they're reported with type 'directory'.
+ */
+class BackupStore {
+  /**
+   * retention: { keep, maxAgeDays, maxSizeMB } - a null limit is not enforced
+   */
+  constructor(backupDir, retention = {}) {
+    this.backupDir = backupDir;
+    this.objectsDir = path.join(backupDir, '.objects');
+    this.retention = { ...BackupStore.defaultRetention, ...retention };
+  }
+
+  static get defaultRetention() {
+    return { keep: 10, maxAgeDays: 90, maxSizeMB: 500 };
+  }
+
+  /**
+   * Paths never backed up (relative to the backed up directory)
+   */
+  static isExcluded(relPath) {
+    return relPath === '.cadi-staging' || relPath.startsWith(`.cadi-staging${path.sep}`);
+  }
+
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  objectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+  }
+
+  /**
+   * Back up a directory for a project
+   * Returns the manifest, with its path
+   */
+  create(projectPath, sourceDir) {
+    const project = path.basename(projectPath);
+    const createdAt = new Date();
+    const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+
+    const manifest = {
+      backupVersion: 1,
+      name,
+      project,
+      projectPath,
+      createdAt: createdAt.toISOString(),
+      size: 0,
+      addedSize: 0,
+      files: {}
+    };
+
+    for (const relPath of this.walk(sourceDir)) {
+      const filePath = path.join(sourceDir, relPath);
+      const content = fs.readFileSync(filePath);
+      const hash = BackupStore.hash(content);
+
+      if (this.storeObject(hash, content)) {
+        manifest.addedSize += content.length;
+      }
+
+      manifest.files[relPath.split(path.sep).join('/')] = {
+        hash,
+        size: content.length,
+        mode: fs.statSync(filePath).mode & 0o777
+      };
+      manifest.size += content.length;
+    }
+
+    const manifestPath = path.join(this.backupDir, project, `${name}.json`);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    return { ...manifest, path: manifestPath };
+  }
+
+  /**
+   * Store file contents unless they're already stored
+   * Returns true if a new object was written
+   */
+  storeObject(hash, content) {
+    const objectPath = this.objectPath(hash);
+    if (fs.existsSync(objectPath)) {
+      return false;
+    }
+
+    // Written under a temporary name first so a crash never leaves a truncated object
+    fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+    const tempPath = `${objectPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, objectPath);
+    return true;
+  }
+
+  /**
+   * List a project's backups, newest first
+   * Returns [{ name, path, type: 'store' | 'directory', timestamp, files, size, addedSize }]
+   */
+  list(project) {
+    const projectDir = path.join(this.backupDir, project);
+    if (!fs.existsSync(projectDir)) {
+      return [];
+    }
+
+    const backups = [];
+
+    for (const entry of fs.readdirSync(projectDir, { withFileTypes: true })) {
+      if (!entry.name.startsWith('backup-')) continue;
+      const backupPath = path.join(projectDir, entry.name);
+
+      if (entry.isFile() && entry.name.endsWith('.json')) {
+        let manifest;
+        try {
+          manifest = this.readManifest(backupPath);
+        } catch (error) {
+          continue;
+        }
+
+        backups.push({
+          name: manifest.name,
+          path: backupPath,
+          type: 'store',
+          timestamp: new Date(manifest.createdAt),
+          files: Object.keys(manifest.files).length,
+          size: manifest.size,
+          addedSize: manifest.addedSize
+        });
+      } else if (entry.isDirectory()) {
+        const files = this.walk(backupPath);
+        const size = files.reduce((total, relPath) => total + fs.statSync(path.join(backupPath, relPath)).size, 0);
+
+        backups.push({
+          name: entry.name,
+          path: backupPath,
+          type: 'directory',
+          timestamp: fs.statSync(backupPath).mtime,
+          files: files.length,
+          size,
+          addedSize: size
+        });
+      }
+    }
+
+    return backups.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Find a project's backup by name or path (null if there is none)
+   */
+  find(project, nameOrPath) {
+    return this.list(project).find(backup => backup.name === nameOrPath || backup.path === nameOrPath) || null;
+  }
+
+  readManifest(manifestPath) {
+    try {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid backup manifest ${path.basename(manifestPath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The files in a backup - { relPath: { hash, size, mode } }
+   * Directory backups are hashed on the fly.
+   */
+  getFiles(backupPath) {
+    if (!this.isDirectoryBackup(backupPath)) {
+      return this.readManifest(backupPath).files;
+    }
+
+    const files = {};
+    for (const relPath of this.walk(backupPath)) {
+      const filePath = path.join(backupPath, relPath);
+      const stats = fs.statSync(filePath);
+      files[relPath.split(path.sep).join('/')] = {
+        hash: BackupStore.hash(fs.readFileSync(filePath)),
+        size: stats.size,
+        mode: stats.mode & 0o777
+      };
+    }
+    return files;
+  }
+
+  /**
+   * Check if a backup contains a file
+   */
+  has(backupPath, relPath) {
+    if (this.isDirectoryBackup(backupPath)) {
+      return fs.existsSync(path.join(backupPath, relPath));
+    }
+    return Boolean(this.readManifest(backupPath).files[relPath.split(path.sep).join('/')]);
+  }
+
+  /**
+   * Write a backup's files into a directory
+   * selector limits it to one file or everything under a directory ('' for all).
+   * Returns the restored paths.
+   */
+  restore(backupPath, destDir, selector = '') {
+    const prefix = selector.replace(/\/+$/, '');
+    const files = this.getFiles(backupPath);
+    const restored = [];
+
+    for (const [relPath, entry] of Object.entries(files)) {
+      if (prefix && relPath !== prefix && !relPath.startsWith(`${prefix}/`)) {
+        continue;
+      }
+
+      const source = this.isDirectoryBackup(backupPath) ? path.join(backupPath, relPath) : this.objectPath(entry.hash);
+      const target = path.join(destDir, relPath);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target);
+      if (entry.mode) {
+        fs.chmodSync(target, entry.mode);
+      }
+      restored.push(relPath);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Delete a backup (its objects go once no other backup uses them - see gc())
+   */
+  remove(backupPath) {
+    fs.rmSync(backupPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Apply the retention policy to a project's backups, then drop unused objects
+   * The newest backup is always kept. Returns { removed: [names], freed } (bytes).
+   */
+  prune(project) {
+    const { keep, maxAgeDays, maxSizeMB } = this.retention;
+    const backups = this.list(project);
+    const removed = [];
+    const kept = [];
+
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    backups.forEach((backup, index) => {
+      const tooMany = keep && index >= keep;
+      const tooOld = cutoff !== null && backup.timestamp.getTime() < cutoff;
+
+      if (index > 0 && (tooMany || tooOld)) {
+        removed.push(backup);
+      } else {
+        kept.push(backup);
+      }
+    });
+
+    // Oldest backups go first until the project's backups fit the size limit
+    if (maxSizeMB) {
+      const limit = maxSizeMB * 1024 * 1024;
+      while (kept.length > 1 && this.getStoredSize(kept) > limit) {
+        removed.push(kept.pop());
+      }
+    }
+
+    removed.forEach(backup => this.remove(backup.path));
+    const freed = removed.length > 0 ? this.gc() : 0;
+
+    return { removed: removed.map(backup => backup.name), freed };
+  }
+
+  /**
+   * Bytes a set of backups takes on disk - shared objects are counted once
+   */
+  getStoredSize(backups) {
+    const objects = new Map();
+    let size = 0;
+
+    for (const backup of backups) {
+      if (backup.type === 'directory') {
+        size += backup.size;
+        continue;
+      }
+
+      for (const entry of Object.values(this.readManifest(backup.path).files)) {
+        objects.set(entry.hash, entry.size);
+      }
+    }
+
+    for (const objectSize of objects.values()) {
+      size += objectSize;
+    }
+    return size;
+  }
+
+  /**
+   * Delete objects no backup of any project refers to
+   * Returns the bytes freed
+   */
+  gc() {
+    if (!fs.existsSync(this.objectsDir)) {
+      return 0;
+    }
+
+    const referenced = new Set();
+    for (const entry of fs.readdirSync(this.backupDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name === '.objects') continue;
+
+      for (const backup of this.list(entry.name)) {
+        if (backup.type !== 'store') continue;
+        for (const file of Object.values(this.readManifest(backup.path).files)) {
+          referenced.add(file.hash);
+        }
+      }
+    }
+
+    let freed = 0;
+    for (const prefix of fs.readdirSync(this.objectsDir)) {
+      const prefixDir = path.join(this.objectsDir, prefix);
+
+      for (const rest of fs.readdirSync(prefixDir)) {
+        if (referenced.has(prefix + rest)) continue;
+
+        const objectPath = path.join(prefixDir, rest);
+        freed += fs.statSync(objectPath).size;
+        fs.unlinkSync(objectPath);
+      }
+
+      if (fs.readdirSync(prefixDir).length === 0) {
+        fs.rmdirSync(prefixDir);
+      }
+    }
+
+    return freed;
+  }
+
+  isDirectoryBackup(backupPath) {
+    return fs.statSync(backupPath).isDirectory();
+  }
+
+  /**
+   * Relative paths of every file under a directory
+   */
+  walk(dir, prefix = '') {
+    const files = [];
+
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+      const relPath = path.join(prefix, entry.name);
+      if (BackupStore.isExcluded(relPath)) continue;
+
+      if (entry.isDirectory()) {
+        files.push(...this.walk(dir, relPath));
+      } else if (entry.isFile()) {
+        files.push(relPath);
+      }
+    }
+
+    return files.sort();
+  }
+}
+
+module.exports = BackupStore;
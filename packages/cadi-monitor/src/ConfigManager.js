@@ -45,6 +45,23 @@ class ConfigManager {
         theme: 'dark',
         defaultView: 'overview',
         refreshInterval: 5000
+      },
+      // Update backups per project - the newest is always kept, null disables a limit
+      backups: {
+        keep: 10,
+        maxAgeDays: 90,
+        maxSizeMB: 500
+      },
+      // Template update channels: name -> git ref, or "tag:<pattern>" for the newest matching release
+      channels: {
+        stable: 'tag:v*',
+        next: 'HEAD'
+      },
+      // Background update checks - on a schedule (null turns it off) and when the templates change
+      updateChecks: {
+        enabled: true,
+        intervalMinutes: 60,
+        watchTemplates: true
       }
     };
   }
@@ -61,6 +78,9 @@ class ConfigManager {
       const defaults = this.getDefaultConfig();
       this.config = { ...defaults, ...this.config };
       this.config.ui = { ...defaults.ui, ...this.config.ui };
+      this.config.backups = { ...defaults.backups, ...this.config.backups };
+      this.config.channels = { ...defaults.channels, ...this.config.channels };
+      this.config.updateChecks = { ...defaults.updateChecks, ...this.config.updateChecks };
     } catch (error) {
       console.error('Failed to load config:', error.message);
       this.config = this.getDefaultConfig();
@@ -120,7 +140,12 @@ class ConfigManager {
       name: project.name,
       path: path.resolve(project.path),
       color: project.color || this.generateColor(),
-      enabled: project.enabled !== false
+      enabled: project.enabled !== false,
+      // Stack overlays (e.g. ['laravel']) - left unset, they're detected from the project's files
+      ...(Array.isArray(project.overlays) ? { overlays: project.overlays } : {}),
+      // Template version - a pinned tag/commit, or a channel; neither follows the templates' working tree
+      ...(project.channel ? { channel: project.channel } : {}),
+      ...(project.pin ? { pin: project.pin } : {})
     });
 
     this.save();
@@ -157,13 +182,25 @@ class ConfigManager {
     }
 
     // Update allowed fields
-    const allowedFields = ['name', 'path', 'color', 'enabled'];
+    const allowedFields = ['name', 'path', 'color', 'enabled', 'overlays', 'channel', 'pin'];
     allowedFields.forEach(field => {
       if (updates[field] !== undefined) {
         project[field] = updates[field];
       }
     });
 
+    // Clearing overlays switches the project back to auto-detection
+    if (updates.overlays === null) {
+      delete project.overlays;
+    }
+
+    // Without a channel or pin the project follows the templates' working tree
+    ['channel', 'pin'].forEach(field => {
+      if (updates[field] === null) {
+        delete project[field];
+      }
+    });
+
     this.save();
   }
 
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const ProjectMonitor = require('./ProjectMonitor');
+
+/**
+ * Sequenced log of the events the server pushes to dashboards
+ *
+ * Every event is wrapped in a versioned envelope, with the payload fields next
+ * to it as before:
+ *
+ *   { v: 1, type, stream, seq, time, projectId, ...payload }
+ *
+ * Project events are numbered per project (stream = projectId) and server-wide
+ * events (update checks, update progress) on the '*' stream. seq starts at 1 and
+ * increases by one per stream. The newest `capacity` events of each stream are
+ * kept in a ring buffer so a client that reconnects can ask for what it missed.
+ *
+ * The epoch changes whenever the server starts - sequence numbers from another
+ * epoch mean nothing, and a client holding them has to reload instead.
+ */
+class EventLog {
+  constructor(options = {}) {
+    this.capacity = options.capacity || EventLog.defaultCapacity;
+    this.epoch = crypto.randomBytes(6).toString('hex');
+    this.streams = new Map(); // Map<stream, { seq, events }>
+    this.order = 0;           // Across streams, so replays keep the original order
+  }
+
+  static get schemaVersion() {
+    return 1;
+  }
+
+  static get defaultCapacity() {
+    return 1000;
+  }
+
+  static get serverStream() {
+    return '*';
+  }
+
+  /**
+   * Every event type, with the stream it's numbered on
+   * 'project' events carry a projectId, 'server' events don't need one.
+   */
+  static get types() {
+    const types = {
+      projectInitialized: 'project',
+      projectClosed: 'project',
+      fileChange: 'project',
+      statsChanged: 'project',
+      rowChanged: 'project',
+      featureCreated: 'project',
+      featureProcessStarted: 'project',
+      featureCreationProgress: 'project',
+      featureCreationError: 'project',
+      featureCreationComplete: 'project',
+      featureProcessStopped: 'project',
+      schemaMigrationStep: 'project',
+      updateEvent: 'server',
+      updatesAvailable: 'server'
+    };
+
+    for (const type of ProjectMonitor.rowEvents) {
+      types[type] = 'project';
+    }
+    return types;
+  }
+
+  /**
+   * Number an event and keep it
+   * Returns the envelope - throws for unknown types and project events without a projectId.
+   */
+  append(event) {
+    const scope = EventLog.types[event.type];
+    if (!scope) {
+      throw new Error(`Unknown event type "${event.type}"`);
+    }
+    if (scope === 'project' && !event.projectId) {
+      throw new Error(`${event.type} events need a projectId`);
+    }
+
+    const streamName = scope === 'project' ? event.projectId : EventLog.serverStream;
+    if (!this.streams.has(streamName)) {
+      this.streams.set(streamName, { seq: 0, events: new Array(this.capacity) });
+    }
+
+    const stream = this.streams.get(streamName);
+    stream.seq++;
+
+    const envelope = {
+      v: EventLog.schemaVersion,
+      type: event.type,
+      stream: streamName,
+      seq: stream.seq,
+      time: new Date().toISOString(),
+      ...event
+    };
+
+    // seq n lives in slot (n - 1) % capacity, overwriting seq n - capacity
+    stream.events[(stream.seq - 1) % this.capacity] = { order: ++this.order, envelope };
+    return envelope;
+  }
+
+  /**
+   * The latest seq of every stream - { stream: seq }
+   */
+  cursors() {
+    const cursors = {};
+    for (const [name, stream] of this.streams) {
+      cursors[name] = stream.seq;
+    }
+    return cursors;
+  }
+
+  /**
+   * Events after the given cursors ({ stream: lastSeenSeq }), oldest first
+   * Streams missing from the cursors are read from their start. Returns
+   * { events, gaps } - gaps lists the streams whose missed events were
+   * already dropped from the buffer.
+   */
+  since(cursors = {}) {
+    const entries = [];
+    const gaps = [];
+
+    for (const [name, stream] of this.streams) {
+      const lastSeen = Math.min(Math.max(parseInt(cursors[name], 10) || 0, 0), stream.seq);
+      const oldest = Math.max(1, stream.seq - this.capacity + 1);
+
+      if (lastSeen + 1 < oldest) {
+        gaps.push(name);
+      }
+
+      for (let seq = Math.max(lastSeen + 1, oldest); seq <= stream.seq; seq++) {
+        entries.push(stream.events[(seq - 1) % this.capacity]);
+      }
+    }
+
+    return {
+      events: entries.sort((a, b) => a.order - b.order).map(entry => entry.envelope),
+      gaps
+    };
+  }
+}
+
+module.exports = EventLog;
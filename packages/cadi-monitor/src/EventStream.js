@@ -0,0 +1,87 @@
+/**
+ * One dashboard following events over Server-Sent Events (GET /api/events)
+ *
+ * The fallback for networks that drop WebSocket upgrades. Each message is the
+ * JSON the WebSocket would send. The SSE id of 'connected' and of sequenced
+ * events holds the epoch and the cursors sent so far, so a browser that
+ * reconnects on its own (sending Last-Event-ID) resumes where it left off:
+ *
+ *   id: 5f2c9a0e1b7d:{"my-app":42,"*":3}
+ *   data: {"v":1,"type":"sectionCompleted","stream":"my-app","seq":42,...}
+ */
+class EventStream {
+  /**
+   * cursors - { stream: seq } the client has seen (the server's current ones for a new client)
+   */
+  constructor(res, { epoch, cursors = {} } = {}) {
+    this.res = res;
+    this.subscription = null; // Set by the server - what this client follows
+    this.epoch = epoch;
+    this.cursors = { ...cursors };
+    this.heartbeat = null;
+    this.closed = false;
+  }
+
+  static get heartbeatMs() {
+    return 25000;
+  }
+
+  /**
+   * Read a Last-Event-ID back into { epoch, cursors } (null if it isn't one of ours)
+   */
+  static parseLastEventId(value) {
+    const separator = value ? value.indexOf(':') : -1;
+    if (separator <= 0) return null;
+
+    try {
+      const cursors = JSON.parse(value.slice(separator + 1));
+      return cursors && typeof cursors === 'object' ? { epoch: value.slice(0, separator), cursors } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start the response - the browser retries after 3 seconds if it drops
+   */
+  open() {
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    this.res.write('retry: 3000\n\n');
+
+    // Comments keep proxies from closing an idle connection
+    this.heartbeat = setInterval(() => this.res.write(': ping\n\n'), EventStream.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Send a message (an event envelope or a control message like 'connected')
+   */
+  send(message) {
+    if (this.closed) return;
+
+    if (message.seq) {
+      this.cursors[message.stream] = message.seq;
+    }
+
+    const id = message.seq || message.type === 'connected'
+      ? `id: ${this.epoch}:${JSON.stringify(this.cursors)}\n`
+      : '';
+
+    this.res.write(`${id}data: ${JSON.stringify(message)}\n\n`);
+  }
+
+  close() {
+    if (this.closed) return;
+
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.res.end();
+  }
+}
+
+module.exports = EventStream;
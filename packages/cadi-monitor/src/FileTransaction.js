@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stages file changes under a directory and swaps them in together
+ *
+ * Writes and removals are collected in <root>/.cadi-staging/ first, so a failure
+ * while preparing them touches nothing. commit() then replaces each file with a
+ * rename (the old version is hard-linked aside first, so no file is ever missing)
+ * and rollback() puts every original back. A journal on disk lets recover()
+ * undo a commit that was interrupted by a crash. The journal names the process
+ * that owns the transaction, so one that is still running is never undone.
+ *
+ *   .cadi-staging/journal.json     { state, updatedAt, owner: { pid, startedAt }, meta, ops: [{ path, type, keepMode, created }] }
+ *   .cadi-staging/new/<path>       staged content
+ *   .cadi-staging/original/<path>  files replaced or removed by the commit
+ */
+class FileTransaction {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.stagingDir = path.join(rootDir, '.cadi-staging');
+    this.journalPath = path.join(this.stagingDir, 'journal.json');
+    this.ops = [];
+    this.meta = {};
+    this.owner = null;
+    this.state = 'idle';
+  }
+
+  /**
+   * Start staging changes - meta is stored in the journal (e.g. the backup path)
+   */
+  begin(meta = {}) {
+    if (fs.existsSync(this.stagingDir)) {
+      throw new Error(`An update is already in progress (${path.relative(this.rootDir, this.stagingDir)} exists)`);
+    }
+
+    fs.mkdirSync(path.join(this.stagingDir, 'new'), { recursive: true });
+    this.owner = { pid: process.pid, startedAt: new Date().toISOString() };
+    this.meta = meta;
+    this.setState('staging');
+  }
+
+  /**
+   * Stage new content for a path relative to the root
+   * Without a mode, a replaced file keeps its permissions.
+   */
+  write(relPath, content, mode = null) {
+    const stagedPath = path.join(this.stagingDir, 'new', relPath);
+    fs.mkdirSync(path.dirname(stagedPath), { recursive: true });
+    fs.writeFileSync(stagedPath, content);
+    if (mode !== null) {
+      fs.chmodSync(stagedPath, mode);
+    }
+    this.addOp({ path: relPath, type: 'write', keepMode: mode === null });
+  }
+
+  /**
+   * Stage a copy of a file, permissions included
+   */
+  copy(relPath, sourcePath) {
+    this.write(relPath, fs.readFileSync(sourcePath), fs.statSync(sourcePath).mode & 0o777);
+  }
+
+  /**
+   * Stage the removal of a path relative to the root
+   */
+  remove(relPath) {
+    this.addOp({ path: relPath, type: 'remove' });
+  }
+
+  /**
+   * Staged content of a path, or what is on disk if nothing was staged
+   */
+  read(relPath) {
+    const op = this.ops.find(candidate => candidate.path === relPath);
+    if (op && op.type === 'remove') return null;
+
+    const filePath = op
+      ? path.join(this.stagingDir, 'new', relPath)
+      : path.join(this.rootDir, relPath);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  addOp(op) {
+    // A later write or removal of the same path replaces the earlier one
+    this.ops = this.ops.filter(existing => existing.path !== op.path);
+    this.ops.push(op);
+  }
+
+  /**
+   * Swap every staged change into place
+   * Returns the paths written and removed
+   */
+  commit() {
+    // Journaled before anything moves, so a rollback knows which files are new
+    for (const op of this.ops) {
+      op.created = op.type === 'write' && !fs.existsSync(path.join(this.rootDir, op.path));
+    }
+    this.setState('committing');
+
+    for (const op of this.ops) {
+      const target = path.join(this.rootDir, op.path);
+      const original = path.join(this.stagingDir, 'original', op.path);
+
+      if (fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(original), { recursive: true });
+        if (op.type === 'remove') {
+          fs.renameSync(target, original);
+        } else {
+          this.preserve(target, original);
+        }
+      }
+
+      if (op.type === 'write') {
+        const staged = path.join(this.stagingDir, 'new', op.path);
+        if (op.keepMode && fs.existsSync(target)) {
+          fs.chmodSync(staged, fs.statSync(target).mode & 0o777);
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(staged, target);
+      } else {
+        this.removeEmptyParents(target);
+      }
+    }
+
+    this.setState('committed');
+
+    return {
+      written: this.ops.filter(op => op.type === 'write').map(op => op.path),
+      removed: this.ops.filter(op => op.type === 'remove').map(op => op.path)
+    };
+  }
+
+  /**
+   * Undo a commit (or the part of it that happened)
+   * Returns [{ path, action: 'restored' | 'deleted' }] for every file put back
+   */
+  rollback() {
+    const reverted = [];
+
+    for (const op of [...this.ops].reverse()) {
+      const target = path.join(this.rootDir, op.path);
+      const original = path.join(this.stagingDir, 'original', op.path);
+      const staged = path.join(this.stagingDir, 'new', op.path);
+
+      if (fs.existsSync(original)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(original, target);
+        reverted.push({ path: op.path, action: 'restored' });
+      } else if (op.created && !fs.existsSync(staged) && fs.existsSync(target)) {
+        // The commit created this file
+        fs.unlinkSync(target);
+        this.removeEmptyParents(target);
+        reverted.push({ path: op.path, action: 'deleted' });
+      }
+    }
+
+    this.setState('rolledBack');
+    return reverted;
+  }
+
+  /**
+   * Remove the staging directory - the transaction is over either way
+   */
+  finish() {
+    fs.rmSync(this.stagingDir, { recursive: true, force: true });
+    this.state = 'finished';
+  }
+
+  /**
+   * Record progress in the journal
+   */
+  setState(state, meta = {}) {
+    this.state = state;
+    this.meta = { ...this.meta, ...meta };
+
+    fs.writeFileSync(this.journalPath, JSON.stringify({
+      state,
+      updatedAt: new Date().toISOString(),
+      owner: this.owner,
+      meta: this.meta,
+      ops: this.ops
+    }, null, 2));
+  }
+
+  /**
+   * Keep the current version of a file aside without ever removing it
+   */
+  preserve(target, original) {
+    try {
+      fs.linkSync(target, original);
+    } catch (error) {
+      fs.copyFileSync(target, original);
+    }
+  }
+
+  /**
+   * Remove directories emptied by a removal, up to the root
+   */
+  removeEmptyParents(filePath) {
+    let dir = path.dirname(filePath);
+    while (dir.startsWith(this.rootDir) && dir !== this.rootDir) {
+      try {
+        if (fs.readdirSync(dir).length > 0) break;
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+      } catch (error) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Whether the process that owns a journal is still running
+   * This process never is - callers make sure it has no transaction open here.
+   */
+  static isOwnerAlive(owner) {
+    if (!owner || !owner.pid || owner.pid === process.pid) {
+      return false;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Undo a transaction left behind by a crash
+   * Returns null if there was none, otherwise { state, meta, reverted }
+   * Throws if the transaction's owner is still running.
+   */
+  static recover(rootDir) {
+    const transaction = new FileTransaction(rootDir);
+    if (!fs.existsSync(transaction.stagingDir)) {
+      return null;
+    }
+
+    let journal = { state: 'staging', meta: {}, ops: [] };
+    try {
+      journal = JSON.parse(fs.readFileSync(transaction.journalPath, 'utf8'));
+    } catch (error) {
+      // No readable journal means the crash came before anything was committed
+    }
+
+    if (FileTransaction.isOwnerAlive(journal.owner)) {
+      throw new Error(`An update is already in progress (process ${journal.owner.pid}, started ${journal.owner.startedAt})`);
+    }
+
+    transaction.ops = journal.ops || [];
+    transaction.meta = journal.meta || {};
+
+    // Staged changes never reached the project and a rolled back one is already undone
+    const reverted = ['staging', 'rolledBack'].includes(journal.state) ? [] : transaction.rollback();
+    transaction.finish();
+
+    return { state: journal.state, meta: transaction.meta, reverted };
+  }
+}
+
+module.exports = FileTransaction;
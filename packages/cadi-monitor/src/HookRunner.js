@@ -0,0 +1,199 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+/**
+ * Runs the hooks declared in cadi-manifest.js (preInit, preCommit, postUpdate)
+ *
+ * A hook is either a JS module or a shell command:
+ *   { name: 'format', module: 'hooks/format.js', timeout: 10000 }
+ *   { name: 'notify', command: 'echo "updated to $CADI_NEW_VERSION"' }
+ *
+ * Modules export a (possibly async) function that receives the context object.
+ * Commands run in the project directory with the context as JSON on stdin and
+ * in CADI_CONTEXT, plus CADI_HOOK, CADI_PROJECT_PATH, CADI_OLD_VERSION and
+ * CADI_NEW_VERSION environment variables.
+ */
+class HookRunner {
+  /**
+   * @param {Object} hooks - The manifest's hooks object
+   * @param {string} baseDir - Directory module paths are relative to (the manifest's directory)
+   */
+  constructor(hooks, baseDir) {
+    this.hooks = hooks || {};
+    this.baseDir = baseDir;
+    this.defaultTimeout = 30000;
+  }
+
+  /**
+   * How long a timed-out command gets to exit after SIGTERM before it is killed
+   */
+  static get killGraceMs() {
+    return 2000;
+  }
+
+  /**
+   * Run every hook for a stage in order, stopping at the first failure
+   * Returns { success, results } where results has one entry per hook that ran
+   */
+  async run(stage, context, options = {}) {
+    const { onHook = () => {} } = options;
+    const hooks = this.hooks[stage] || [];
+    const results = [];
+
+    for (const [index, hook] of hooks.entries()) {
+      const name = hook.name || hook.module || hook.command || `${stage}[${index}]`;
+      onHook({ stage, name, status: 'running' });
+
+      const result = await this.runHook(hook, { ...context, hook: stage });
+      results.push({ stage, name, ...result });
+      onHook({ stage, name, status: result.success ? 'passed' : 'failed', ...result });
+
+      if (!result.success) {
+        return { success: false, results };
+      }
+    }
+
+    return { success: true, results };
+  }
+
+  /**
+   * Run a single hook with a timeout
+   */
+  async runHook(hook, context) {
+    const timeout = hook.timeout || this.defaultTimeout;
+    const startedAt = Date.now();
+
+    try {
+      let output;
+      if (hook.module) {
+        output = await this.runModule(hook.module, context, timeout);
+      } else if (hook.command) {
+        output = await this.runCommand(hook.command, context, timeout);
+      } else {
+        throw new Error('Hook must define a module or a command');
+      }
+
+      return { success: true, output, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        success: false,
+        output: error.output || '',
+        error: error.message,
+        timedOut: error.timedOut || false,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Call a JS module hook, failing if it throws or exceeds the timeout
+   */
+  async runModule(modulePath, context, timeout) {
+    const resolved = path.resolve(this.baseDir, modulePath);
+    delete require.cache[resolved];
+
+    const exported = require(resolved);
+    const fn = typeof exported === 'function' ? exported : exported.run;
+    if (typeof fn !== 'function') {
+      throw new Error(`Hook module ${modulePath} must export a function`);
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Hook timed out after ${timeout}ms`);
+        error.timedOut = true;
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      const value = await Promise.race([Promise.resolve(fn(context)), timeoutPromise]);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a shell command hook in the project directory
+   * The command runs in a process group of its own, so a timeout ends the shell
+   * and everything it started - and rejects right away, without waiting for
+   * leftover processes to close stdout.
+   */
+  runCommand(command, context, timeout) {
+    return new Promise((resolve, reject) => {
+      const contextJson = JSON.stringify(context);
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        fn(value);
+      };
+
+      const child = spawn(command, {
+        cwd: context.projectPath,
+        shell: true,
+        detached: true,
+        env: {
+          ...process.env,
+          CADI_HOOK: context.hook,
+          CADI_PROJECT_PATH: context.projectPath,
+          CADI_OLD_VERSION: context.oldVersion === undefined || context.oldVersion === null ? '' : String(context.oldVersion),
+          CADI_NEW_VERSION: context.newVersion === undefined || context.newVersion === null ? '' : String(context.newVersion),
+          CADI_CONTEXT: contextJson
+        }
+      });
+
+      let output = '';
+
+      const timer = setTimeout(() => {
+        HookRunner.killGroup(child, 'SIGTERM');
+        const killTimer = setTimeout(() => HookRunner.killGroup(child, 'SIGKILL'), HookRunner.killGraceMs);
+        killTimer.unref();
+
+        const error = new Error(`Hook timed out after ${timeout}ms`);
+        error.timedOut = true;
+        error.output = output;
+        settle(reject, error);
+      }, timeout);
+
+      child.stdout.on('data', (data) => { output += data.toString(); });
+      child.stderr.on('data', (data) => { output += data.toString(); });
+
+      // Hooks that don't read stdin close it early - that's fine
+      child.stdin.on('error', () => {});
+      child.stdin.end(contextJson);
+
+      child.on('error', (error) => {
+        error.output = output;
+        settle(reject, error);
+      });
+
+      child.on('close', (code) => {
+        if (code !== 0) {
+          const error = new Error(`Hook exited with code ${code}`);
+          error.output = output;
+          return settle(reject, error);
+        }
+
+        settle(resolve, output);
+      });
+    });
+  }
+
+  /**
+   * Signal a command's whole process group (the shell and its children)
+   */
+  static killGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // The group has already exited
+    }
+  }
+}
+
+module.exports = HookRunner;
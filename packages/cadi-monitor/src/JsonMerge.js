@@ -0,0 +1,220 @@
+/**
+ * Structural three-way merge for JSON settings files (settings.json)
+ *
+ * Objects merge key by key and arrays of plain values merge as sets, so
+ * permissions and hooks a project added on top of the template survive updates.
+ * Claude Code hooks are matched by identity - event, matcher and command - so a
+ * template hook replaces its own earlier version without touching the project's.
+ *
+ * A value both sides changed differently is a conflict: the project's value is
+ * kept and the conflict is reported with all three versions.
+ */
+class JsonMerge {
+  /**
+   * Files merged structurally instead of line by line (paths relative to .claude)
+   */
+  static appliesTo(relPath) {
+    return relPath === 'settings.json';
+  }
+
+  /**
+   * Merge parsed JSON values
+   * base is the installed template version (undefined when none was recorded).
+   * Returns { value, conflicts: [{ key, base, local, template }] }
+   */
+  static merge(base, local, template) {
+    const conflicts = [];
+    const value = JsonMerge.mergeValue(base, local, template, [], conflicts);
+    return { value, conflicts };
+  }
+
+  /**
+   * Merge JSON text, returning { content, conflicts, clean }
+   * Throws if any side isn't valid JSON.
+   */
+  static mergeText(baseText, localText, templateText) {
+    const parse = (text, label) => {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${label}: ${error.message}`);
+      }
+    };
+
+    const base = baseText === null ? undefined : parse(baseText, 'installed template');
+    const { value, conflicts } = JsonMerge.merge(base, parse(localText, 'project'), parse(templateText, 'template'));
+
+    return {
+      content: JSON.stringify(value, null, 2) + '\n',
+      value,
+      conflicts,
+      clean: conflicts.length === 0
+    };
+  }
+
+  /**
+   * Merge one value at a key path
+   */
+  static mergeValue(base, local, template, keyPath, conflicts) {
+    const equal = JsonMerge.equal;
+
+    if (equal(local, template)) return local;
+    if (base !== undefined && equal(local, base)) return template;
+    if (base !== undefined && equal(template, base)) return local;
+
+    // Added on one side only
+    if (base === undefined && local === undefined) return template;
+    if (base === undefined && template === undefined) return local;
+
+    if (keyPath.length === 2 && keyPath[0] === 'hooks' && [local, template].every(Array.isArray)) {
+      return JsonMerge.mergeHookGroups(base, local, template, keyPath, conflicts);
+    }
+
+    if ([local, template].every(JsonMerge.isObject) && (base === undefined || JsonMerge.isObject(base))) {
+      return JsonMerge.mergeObjects(base || {}, local, template, keyPath, conflicts);
+    }
+
+    if ([local, template].every(JsonMerge.isValueList) && (base === undefined || JsonMerge.isValueList(base))) {
+      return JsonMerge.mergeValueLists(base || [], local, template);
+    }
+
+    conflicts.push({ key: JsonMerge.formatKey(keyPath), base, local, template });
+    return local;
+  }
+
+  /**
+   * Merge objects key by key - the project's key order first, then new template keys
+   */
+  static mergeObjects(base, local, template, keyPath, conflicts) {
+    const result = {};
+    const keys = [...new Set([...Object.keys(local), ...Object.keys(template)])];
+
+    for (const key of keys) {
+      const value = JsonMerge.mergeValue(base[key], local[key], template[key], [...keyPath, key], conflicts);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge arrays of plain values as sets: keep the project's entries, add the
+   * template's new ones and drop the ones the template removed
+   */
+  static mergeValueLists(base, local, template) {
+    const has = (list, item) => list.some(other => JsonMerge.equal(other, item));
+
+    const removed = base.filter(item => !has(template, item));
+    const added = template.filter(item => !has(base, item) && !has(local, item));
+
+    return [...local.filter(item => !has(removed, item)), ...added];
+  }
+
+  /**
+   * Merge one hook event's matcher groups ([{ matcher, hooks: [...] }])
+   * Groups match by matcher and hooks within them by command. Without a recorded
+   * base, a template hook replaces the project's hook with the same identity.
+   */
+  static mergeHookGroups(base, local, template, keyPath, conflicts) {
+    const groupsByMatcher = groups => new Map((groups || []).map(group => [group.matcher || '', group]));
+    const baseGroups = groupsByMatcher(base);
+    const localGroups = groupsByMatcher(local);
+    const templateGroups = groupsByMatcher(template);
+
+    const result = [];
+    const matchers = [...new Set([...localGroups.keys(), ...templateGroups.keys()])];
+
+    for (const matcher of matchers) {
+      const groupPath = [...keyPath, `[matcher=${matcher}]`];
+      const baseGroup = baseGroups.get(matcher);
+      const localGroup = localGroups.get(matcher);
+      const templateGroup = templateGroups.get(matcher);
+
+      if (!localGroup || !templateGroup) {
+        const group = JsonMerge.mergeValue(baseGroup, localGroup, templateGroup, groupPath, conflicts);
+        if (group !== undefined) result.push(group);
+        continue;
+      }
+
+      // Everything but the hook list merges like any other object
+      const { hooks: baseHooks, ...baseRest } = baseGroup || {};
+      const { hooks: localHooks = [], ...localRest } = localGroup;
+      const { hooks: templateHooks = [], ...templateRest } = templateGroup;
+      const group = JsonMerge.mergeObjects(baseRest, localRest, templateRest, groupPath, conflicts);
+
+      const hooksById = hooks => new Map((hooks || []).map(hook => [JsonMerge.hookIdentity(hook), hook]));
+      const baseById = hooksById(baseHooks);
+      const localById = hooksById(localHooks);
+      const templateById = hooksById(templateHooks);
+
+      group.hooks = [];
+      for (const id of new Set([...localById.keys(), ...templateById.keys()])) {
+        const localHook = localById.get(id);
+        const templateHook = templateById.get(id);
+
+        let hook;
+        if (!baseGroup && localHook && templateHook) {
+          hook = templateHook;
+        } else {
+          hook = JsonMerge.mergeValue(
+            baseGroup ? baseById.get(id) : undefined,
+            localHook,
+            templateHook,
+            [...groupPath, `[command=${id}]`],
+            conflicts
+          );
+        }
+
+        if (hook !== undefined) group.hooks.push(hook);
+      }
+
+      result.push(group);
+    }
+
+    return result;
+  }
+
+  /**
+   * What makes two hooks "the same hook" - the command they run
+   */
+  static hookIdentity(hook) {
+    return hook && typeof hook.command === 'string' ? hook.command : JSON.stringify(hook);
+  }
+
+  /**
+   * Readable key path, e.g. hooks.PreToolUse[matcher=Task][command=node x.js].timeout
+   */
+  static formatKey(keyPath) {
+    return keyPath.reduce((key, part) => (part.startsWith('[') ? `${key}${part}` : key ? `${key}.${part}` : part), '') || '(root)';
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static isValueList(value) {
+    return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+  }
+
+  /**
+   * Deep equality that ignores object key order
+   */
+  static equal(a, b) {
+    const canonical = value => {
+      if (Array.isArray(value)) return value.map(canonical);
+      if (JsonMerge.isObject(value)) {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+          sorted[key] = canonical(value[key]);
+          return sorted;
+        }, {});
+      }
+      return value;
+    };
+
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+  }
+}
+
+module.exports = JsonMerge;
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+/**
+ * Reads and writes a project's .claude/cadi-lock.json
+ *
+ * The lock records what the last init or update installed: the template commit,
+ * the database schema version, the overlays and a content hash per managed file
+ * (of the template version that was installed, not the project's current copy).
+ *
+ * {
+ *   "lockfileVersion": 1,
+ *   "installedAt": "2025-01-01T00:00:00.000Z",
+ *   "template": { "commit": "3f2c...", "describe": "v1.4.0-2-g3f2c" },
+ *   "schemaVersion": 7,
+ *   "overlays": ["laravel"],
+ *   "files": { "agents/cadi/planning/plan-feature.md": { "hash": "sha256-...", "source": "base" } }
+ * }
+ *
+ * An update that left changes out (include/exclude) keeps the template it was
+ * on and records where it got to: "partial": { "template": {...}, "deferred": [paths] }.
+ */
+class LockFile {
+  constructor(projectPath) {
+    this.projectPath = projectPath;
+    this.path = path.join(projectPath, '.claude', 'cadi-lock.json');
+  }
+
+  /**
+   * Content hash used in the lock
+   */
+  static hash(content) {
+    return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+  }
+
+  /**
+   * Hash a file on disk (null if it doesn't exist)
+   */
+  static hashFile(filePath) {
+    return fs.existsSync(filePath) ? LockFile.hash(fs.readFileSync(filePath)) : null;
+  }
+
+  /**
+   * Identify the template checkout - { commit, describe }, both null outside git
+   */
+  static templateVersion(templatesRoot) {
+    const git = (...args) => {
+      try {
+        return execFileSync('git', ['-C', templatesRoot, ...args], {
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'ignore'],
+          timeout: 5000
+        }).trim();
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return {
+      commit: git('rev-parse', 'HEAD'),
+      describe: git('describe', '--tags', '--always', '--dirty')
+    };
+  }
+
+  /**
+   * Check if the project has a lock file
+   */
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  /**
+   * Read the lock (null if the project has none)
+   */
+  read() {
+    if (!this.exists()) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid .claude/cadi-lock.json: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the lock
+   * files is { relPath: { hash, source } }
+   */
+  write(data) {
+    const lock = this.build(data);
+    fs.writeFileSync(this.path, LockFile.serialize(lock));
+    return lock;
+  }
+
+  /**
+   * Build the lock contents without writing them
+   */
+  build({ template, schemaVersion, overlays, files, partial = null }) {
+    const sortedFiles = {};
+    for (const relPath of Object.keys(files).sort()) {
+      sortedFiles[relPath] = files[relPath];
+    }
+
+    const lock = {
+      lockfileVersion: 1,
+      installedAt: new Date().toISOString(),
+      template,
+      schemaVersion,
+      overlays,
+      files: sortedFiles
+    };
+
+    if (partial) {
+      lock.partial = { template: partial.template, deferred: [...partial.deferred].sort() };
+    }
+
+    return lock;
+  }
+
+  /**
+   * The lock as it is stored on disk
+   */
+  static serialize(lock) {
+    return JSON.stringify(lock, null, 2) + '\n';
+  }
+
+  /**
+   * Compare the project's files with the hashes in the lock
+   * Returns { modified: [], missing: [], unchanged } - modified files were edited
+   * locally since they were installed, missing ones were deleted.
+   */
+  drift(lock = this.read()) {
+    const drift = { modified: [], missing: [], unchanged: 0 };
+    if (!lock) return drift;
+
+    for (const [relPath, entry] of Object.entries(lock.files || {})) {
+      const hash = LockFile.hashFile(path.join(this.projectPath, '.claude', relPath));
+      if (hash === null) {
+        drift.missing.push(relPath);
+      } else if (hash !== entry.hash) {
+        drift.modified.push(relPath);
+      } else {
+        drift.unchanged++;
+      }
+    }
+
+    return drift;
+  }
+}
+
+module.exports = LockFile;
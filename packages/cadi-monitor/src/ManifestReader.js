@@ -5,9 +5,19 @@ const fs = require('fs');
  * ManifestReader - Utility for reading and working with cadi-manifest.js
  *
  * Provides helper methods to access manifest data for initialization and updates.
+ *
+ * A template version read from git has its own manifest, which may predate glob
+ * matching, categorize() or frontmatter parsing. Its reader is given the working
+ * tree's reader as `helpers`: the version's manifest supplies the schema,
+ * migrations, hooks and file lists, the working tree's the categorization rules
+ * and helper functions.
  */
 class ManifestReader {
-  constructor(manifestPath = null) {
+  /**
+   * options.helpers - reader whose categorization and helper functions are used
+   * (this manifest's own when omitted)
+   */
+  constructor(manifestPath = null, options = {}) {
     // Default to root of project (3 levels up from this file)
     this.manifestPath = manifestPath || path.join(__dirname, '../../../cadi-manifest.js');
 
@@ -17,6 +27,7 @@ class ManifestReader {
 
     // Load the manifest
     this.manifest = require(this.manifestPath);
+    this.helpers = options.helpers ? options.helpers.helpers : this.manifest;
   }
 
   /**
@@ -33,6 +44,104 @@ class ManifestReader {
     return this.manifest.schema;
   }
 
+  /**
+   * Get view definitions (name -> SELECT statement)
+   */
+  getViews() {
+    return this.manifest.schema.views || {};
+  }
+
+  /**
+   * Get trigger definitions (name -> everything after "CREATE TRIGGER <name>")
+   */
+  getTriggers() {
+    return this.manifest.schema.triggers || {};
+  }
+
+  /**
+   * Get the allowed values of a CHECK(column IN (...)) constraint
+   * e.g. getCheckValues('features', 'status') -> ['planning', 'ready', ...]
+   */
+  getCheckValues(tableName, columnName) {
+    const table = this.manifest.schema.tables[tableName];
+    if (!table) return [];
+
+    const columnDef = table.columns.find(col => col.split(' ')[0] === columnName);
+    if (!columnDef) return [];
+
+    const match = columnDef.match(/CHECK\s*\(\s*\w+\s+IN\s*\(([^)]*)\)\s*\)/i);
+    if (!match) return [];
+
+    return match[1].split(',').map(value => value.trim().replace(/^'|'$/g, ''));
+  }
+
+  /**
+   * Check the manifest for internal inconsistencies
+   * Returns an array of problems (empty when the manifest is consistent)
+   */
+  validateConsistency() {
+    const problems = [];
+    const { schemaVersion, migrations, schema } = this.manifest;
+
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+      problems.push(`schemaVersion must be a positive integer (got ${schemaVersion})`);
+    }
+
+    if (!Array.isArray(migrations) || migrations.length === 0) {
+      problems.push('migrations must be a non-empty array');
+      return problems;
+    }
+
+    migrations.forEach((migration, index) => {
+      const expectedVersion = index + 1;
+      if (migration.version !== expectedVersion) {
+        problems.push(`migration at position ${index} has version ${migration.version}, expected ${expectedVersion}`);
+      }
+      if (typeof migration.up !== 'function') {
+        problems.push(`migration ${migration.version} is missing an up(db) function`);
+      }
+      if (migration.down !== undefined && typeof migration.down !== 'function') {
+        problems.push(`migration ${migration.version} has a down that is not a function`);
+      }
+      if (!migration.description) {
+        problems.push(`migration ${migration.version} is missing a description`);
+      }
+    });
+
+    const latestMigration = migrations[migrations.length - 1].version;
+    if (latestMigration !== schemaVersion) {
+      problems.push(`schemaVersion is ${schemaVersion} but the latest migration is ${latestMigration}`);
+    }
+
+    const hookStages = ['preInit', 'preCommit', 'postUpdate'];
+    for (const [stage, hooks] of Object.entries(this.manifest.hooks || {})) {
+      if (!hookStages.includes(stage)) {
+        problems.push(`unknown hook stage "${stage}" (expected ${hookStages.join(', ')})`);
+        continue;
+      }
+      (hooks || []).forEach((hook, index) => {
+        if (!hook || (!hook.module && !hook.command)) {
+          problems.push(`hooks.${stage}[${index}] must define a module or a command`);
+        }
+      });
+    }
+
+    for (const [id, overlay] of Object.entries(this.manifest.overlays || {})) {
+      if (id === 'base') {
+        problems.push('"base" is reserved and cannot be used as an overlay id');
+      }
+      if (!overlay.source || !Array.isArray(overlay.include)) {
+        problems.push(`overlays.${id} must define a source and an include list`);
+      }
+    }
+
+    if (!schema || !schema.tables || !schema.tables.schema_version) {
+      problems.push('schema.tables must define the schema_version table');
+    }
+
+    return problems;
+  }
+
   /**
    * Get all migrations
    */
@@ -68,36 +177,162 @@ class ManifestReader {
     return this.manifest.files;
   }
 
+  /**
+   * Get stack overlays (laravel, next, ...) keyed by id
+   */
+  getOverlays() {
+    return this.manifest.overlays || {};
+  }
+
+  /**
+   * Get the file sources for base-claude plus the given overlays, in precedence order
+   * Returns [{ layer, root, destination, include }] with root resolved against templatesRoot
+   */
+  getSourceLayers(templatesRoot, overlayIds = []) {
+    const { baseClaude, scripts } = this.manifest.files;
+    const layers = [baseClaude, scripts].map(files => ({
+      layer: 'base',
+      root: path.join(templatesRoot, files.source),
+      destination: files.destination,
+      include: files.include
+    }));
+
+    const overlays = this.getOverlays();
+    for (const id of overlayIds) {
+      const overlay = overlays[id];
+      if (!overlay) {
+        throw new Error(`Unknown overlay "${id}" (available: ${Object.keys(overlays).join(', ') || 'none'})`);
+      }
+      layers.push({
+        layer: id,
+        root: path.join(templatesRoot, overlay.source),
+        destination: overlay.destination,
+        include: overlay.include
+      });
+    }
+
+    return layers;
+  }
+
+  /**
+   * Collect the template files for base-claude plus the given overlays
+   * Returns a Map of .claude-relative path -> { layer, source }. When two layers
+   * ship the same path the earlier one wins and the clash is pushed to conflicts.
+   */
+  collectTemplateFiles(templatesRoot, overlays, conflicts = []) {
+    const files = new Map();
+
+    for (const layer of this.getSourceLayers(templatesRoot, overlays)) {
+      // Layer destinations are relative to the project root, paths here to .claude
+      const prefix = path.relative('.claude', layer.destination);
+
+      for (const file of this.listFiles(layer.root)) {
+        if (!this.matchesAny(file, layer.include) ||
+            !this.shouldTrackFile(path.basename(file))) {
+          continue;
+        }
+
+        const relPath = path.join(prefix, file);
+        const source = path.join(layer.root, file);
+        const existing = files.get(relPath);
+
+        if (!existing) {
+          files.set(relPath, { layer: layer.layer, source });
+        } else if (existing.layer !== layer.layer) {
+          let conflict = conflicts.find(c => c.path === relPath);
+          if (!conflict) {
+            conflict = { path: relPath, winner: existing.layer, layers: [existing.layer], identical: true };
+            conflicts.push(conflict);
+          }
+          conflict.layers.push(layer.layer);
+          conflict.identical = conflict.identical &&
+            fs.readFileSync(existing.source, 'utf8') === fs.readFileSync(source, 'utf8');
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * List files under a directory as '/'-separated paths relative to it
+   */
+  listFiles(dir, relativePath = '') {
+    const current = path.join(dir, relativePath);
+    if (!fs.existsSync(current)) return [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(dir, relPath));
+      } else if (entry.isFile()) {
+        files.push(relPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Check if a '/'-separated relative path matches any of the given globs
+   */
+  matchesAny(relativePath, patterns) {
+    return this.helpers.matchGlob(relativePath, patterns) !== null;
+  }
+
+  /**
+   * Find the first of a list of globs that a relative path matches (null if none)
+   */
+  matchGlob(relativePath, patterns) {
+    return this.helpers.matchGlob(relativePath, patterns);
+  }
+
+  /**
+   * Parse the frontmatter block of a markdown file
+   * Manifests from before frontmatter parsing was exported give {}.
+   */
+  parseFrontmatter(content) {
+    return this.helpers.parseFrontmatter ? this.helpers.parseFrontmatter(content) : {};
+  }
+
   /**
    * Get categorization rules
    */
   getCategorization() {
-    return this.manifest.categorization;
+    return this.helpers.categorization;
+  }
+
+  /**
+   * Classify a path as ignored, custom or managed by the categorization globs
+   * Returns { category, pattern, rule } naming the glob and list that matched
+   */
+  categorize(relativePath) {
+    return this.helpers.categorization.categorize(relativePath);
   }
 
   /**
    * Check if a path is CADI-managed
    */
   isCadiManaged(relativePath) {
-    return this.manifest.categorization.isCadiManaged(relativePath);
+    return this.helpers.categorization.isCadiManaged(relativePath);
   }
 
   /**
    * Check if a file should be tracked based on extension
    */
   shouldTrackFile(filename) {
-    return this.manifest.categorization.shouldTrack(filename);
+    return this.helpers.categorization.shouldTrack(filename);
   }
 
   /**
-   * Get list of all CADI agents
+   * Get CADI agents discovered in the template, grouped by category
    */
   getAgents() {
     return this.manifest.getAgents();
   }
 
   /**
-   * Get list of all CADI commands
+   * Get CADI commands discovered in the template, grouped by category
    */
   getCommands() {
     return this.manifest.getCommands();
@@ -120,21 +355,11 @@ class ManifestReader {
     // Process base-claude files
     const baseClaude = this.manifest.files.baseClaude;
     for (const pattern of baseClaude.include) {
-      // Handle settings.json specially (it's in base-claude/.claude)
-      if (pattern === '.claude/settings.json') {
-        filesToCopy.push({
-          source: path.join(templateBasePath, baseClaude.source, '.claude/settings.json'),
-          destination: '.claude/settings.json',
-          pattern: 'settings.json'
-        });
-      } else {
-        // For agents and commands, source is directly under base-claude/
-        filesToCopy.push({
-          source: path.join(templateBasePath, baseClaude.source, pattern),
-          destination: path.join(baseClaude.destination, pattern),
-          pattern: pattern
-        });
-      }
+      filesToCopy.push({
+        source: path.join(templateBasePath, baseClaude.source, pattern),
+        destination: path.join(baseClaude.destination, pattern),
+        pattern: pattern
+      });
     }
 
     // Process scripts
@@ -154,7 +379,7 @@ class ManifestReader {
    * Get list of file extensions to track during updates
    */
   getTrackedExtensions() {
-    return this.manifest.categorization.trackedExtensions;
+    return this.helpers.categorization.trackedExtensions;
   }
 
   /**
@@ -166,8 +391,11 @@ class ManifestReader {
       tableCount: Object.keys(this.manifest.schema.tables).length,
       migrationCount: this.manifest.migrations.length,
       directoryCount: this.manifest.directories.length,
-      trackedExtensions: this.manifest.categorization.trackedExtensions,
-      cadiManagedPaths: this.manifest.categorization.cadiManagedPaths
+      agentCount: Object.values(this.getAgents()).flat().length,
+      commandCount: Object.values(this.getCommands()).flat().length,
+      overlays: Object.keys(this.getOverlays()),
+      trackedExtensions: this.helpers.categorization.trackedExtensions,
+      cadiManagedPaths: this.helpers.categorization.cadiManagedPaths
     };
   }
 }
@@ -4,14 +4,29 @@ const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
 
+// Tables the change_log journal covers - rows are only read back from these
+const TRACKED_TABLES = ['features', 'sections', 'error_log', 'context_loads', 'agent_invocations'];
+
+// Rows read from change_log per query
+const CHANGE_BATCH_SIZE = 500;
+
 /**
  * Monitors a single CADI project
  * - Reads from project.db (read-only)
  * - Watches .claude/, docs/plans/, docs/features/ for changes
  * - Emits events when things change
+ *
+ * Databases with the change_log journal (schema v8) are followed row by row:
+ * every journal entry is emitted as 'rowChanged', and as a domain event such as
+ * 'sectionCompleted' or 'errorLogged' when it has one (see getRowEventType).
+ * The connection stays open - PRAGMA data_version tells when another
+ * connection has written, so unchanged databases cost one pragma per poll.
  */
 class ProjectMonitor extends EventEmitter {
-  constructor(projectConfig) {
+  /**
+   * options.activityStore - the ActivityStore getRecentActivity reads from
+   */
+  constructor(projectConfig, options = {}) {
     super();
 
     this.id = projectConfig.id;
@@ -25,6 +40,26 @@ class ProjectMonitor extends EventEmitter {
     this.watcher = null;
     this.lastStats = null;
     this.pollInterval = null;
+
+    this.dbIdentity = null;   // device:inode of project.db, to notice a replaced file
+    this.dataVersion = null;
+    this.hasChangeLog = false;
+    this.lastChangeId = 0;
+
+    this.activityStore = options.activityStore || null;
+  }
+
+  /**
+   * Domain events emitted for journal entries, next to 'rowChanged'
+   */
+  static get rowEvents() {
+    return [
+      'featureAdded', 'featureRemoved', 'featureStatusChanged',
+      'sectionAdded', 'sectionRemoved', 'sectionStarted', 'sectionCompleted', 'sectionStatusChanged',
+      'errorLogged', 'errorResolved',
+      'contextLoaded',
+      'agentInvoked'
+    ];
   }
 
   /**
@@ -47,7 +82,7 @@ class ProjectMonitor extends EventEmitter {
 
     // Open database in read-only mode
     try {
-      this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+      this.openDatabase();
 
       // Verify database has expected tables
       const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all();
@@ -87,24 +122,41 @@ class ProjectMonitor extends EventEmitter {
     // Get initial stats
     this.lastStats = this.getStats();
 
-    // Set up periodic polling to catch database changes
-    // even if file system events don't fire
+    // Poll for database changes - the dotfile filter above keeps chokidar
+    // from reporting .claude/project.db writes. A poll without writes is a
+    // single pragma, so it can run often.
     this.pollInterval = setInterval(() => {
       this.checkForChanges();
-    }, 3000); // Poll every 3 seconds
+    }, 1000);
 
     this.emit('initialized', { projectId: this.id, name: this.name });
   }
 
   /**
-   * Periodically check for database changes
+   * Check for database changes
+   * Emits the journal entries written since the last check, then statsChanged
+   * if the totals moved.
    */
   checkForChanges() {
-    if (!this.db) return;
-
     try {
-      // Reopen database to get fresh data
-      this.reopenDatabase();
+      const identity = this.getDatabaseIdentity();
+      if (!identity) return; // project.db is gone - keep the last state
+
+      if (!this.db || identity !== this.dbIdentity) {
+        // Replaced (e.g. restored from a backup) - the connection still reads the old file
+        this.reopenDatabase();
+        if (!this.db) return;
+      } else {
+        const dataVersion = this.db.pragma('data_version', { simple: true });
+        if (dataVersion === this.dataVersion) return;
+        this.dataVersion = dataVersion;
+      }
+
+      // A migration may have added the journal since the last check
+      if (!this.hasChangeLog) {
+        this.detectChangeLog(true);
+      }
+      this.readChanges();
 
       const newStats = this.getStats();
       if (JSON.stringify(newStats) !== JSON.stringify(this.lastStats)) {
@@ -122,6 +174,123 @@ class ProjectMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Emit the change_log entries after lastChangeId, oldest first
+   */
+  readChanges() {
+    if (!this.hasChangeLog) return;
+
+    const select = this.db.prepare('SELECT * FROM change_log WHERE id > ? ORDER BY id LIMIT ?');
+    let changes;
+
+    do {
+      changes = select.all(this.lastChangeId, CHANGE_BATCH_SIZE);
+      for (const change of changes) {
+        this.lastChangeId = change.id;
+        this.emitChange(change);
+      }
+    } while (changes.length === CHANGE_BATCH_SIZE);
+  }
+
+  /**
+   * Emit a journal entry as 'rowChanged' and as its domain event, if any
+   * row is the row as it is now (null once deleted).
+   */
+  emitChange(change) {
+    if (!TRACKED_TABLES.includes(change.table_name)) return;
+
+    const row = change.operation === 'delete'
+      ? null
+      : this.db.prepare(`SELECT * FROM ${change.table_name} WHERE id = ?`).get(change.row_id) || null;
+
+    const featureId = change.table_name === 'features' ? change.row_id : (row ? row.feature_id : null);
+    const feature = featureId ? this.db.prepare('SELECT name FROM features WHERE id = ?').get(featureId) : null;
+
+    const event = ProjectMonitor.getRowEventType(change);
+    const data = {
+      projectId: this.id,
+      projectName: this.name,
+      event,
+      changeId: change.id,
+      table: change.table_name,
+      rowId: change.row_id,
+      operation: change.operation,
+      oldStatus: change.old_status,
+      newStatus: change.new_status,
+      featureId,
+      featureName: feature ? feature.name : null,
+      row,
+      // SQLite's CURRENT_TIMESTAMP is UTC without a zone
+      timestamp: new Date(`${change.changed_at.replace(' ', 'T')}Z`).toISOString()
+    };
+
+    this.emit('rowChanged', data);
+    if (event) {
+      this.emit(event, data);
+    }
+  }
+
+  /**
+   * The domain event for a journal entry (null if it has none)
+   */
+  static getRowEventType({ table_name: table, operation, old_status: oldStatus, new_status: newStatus }) {
+    const statusChanged = operation === 'update' && oldStatus !== newStatus;
+
+    switch (table) {
+      case 'features':
+        if (operation === 'insert') return 'featureAdded';
+        if (operation === 'delete') return 'featureRemoved';
+        return statusChanged ? 'featureStatusChanged' : null;
+
+      case 'sections':
+        if (operation === 'insert') return 'sectionAdded';
+        if (operation === 'delete') return 'sectionRemoved';
+        if (!statusChanged) return null;
+        if (newStatus === 'in_progress') return 'sectionStarted';
+        if (newStatus === 'completed') return 'sectionCompleted';
+        return 'sectionStatusChanged';
+
+      case 'error_log':
+        if (operation === 'insert') return 'errorLogged';
+        return statusChanged && newStatus === 'resolved' ? 'errorResolved' : null;
+
+      case 'context_loads':
+        return operation === 'insert' ? 'contextLoaded' : null;
+
+      case 'agent_invocations':
+        return operation === 'insert' ? 'agentInvoked' : null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Look for the change_log journal (schema v8)
+   * Without it changes are only seen as stats differences. fromStart reports
+   * the entries already in the journal - for a journal a migration just added -
+   * otherwise only entries written from now on are.
+   */
+  detectChangeLog(fromStart = false) {
+    const table = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='change_log'").get();
+    this.hasChangeLog = Boolean(table);
+    this.lastChangeId = this.hasChangeLog && !fromStart
+      ? this.db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM change_log').get().id
+      : 0;
+  }
+
+  /**
+   * device:inode of project.db (null if it doesn't exist)
+   */
+  getDatabaseIdentity() {
+    try {
+      const stats = fs.statSync(this.dbPath);
+      return `${stats.dev}:${stats.ino}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Handle file changes
    */
@@ -138,25 +307,22 @@ class ProjectMonitor extends EventEmitter {
 
     // Check if stats changed (e.g., database was updated)
     if (filepath.endsWith('project.db')) {
-      // Close and reopen database to get fresh data
-      this.reopenDatabase();
-
-      const newStats = this.getStats();
-      if (JSON.stringify(newStats) !== JSON.stringify(this.lastStats)) {
-        this.emit('statsChanged', {
-          projectId: this.id,
-          projectName: this.name,
-          oldStats: this.lastStats,
-          newStats: newStats,
-          timestamp: new Date().toISOString()
-        });
-        this.lastStats = newStats;
-      }
+      this.checkForChanges();
     }
   }
 
   /**
-   * Reopen database connection (to get fresh data after changes)
+   * Open the database and start following its journal from the latest entry
+   */
+  openDatabase() {
+    this.dbIdentity = this.getDatabaseIdentity();
+    this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+    this.dataVersion = this.db.pragma('data_version', { simple: true });
+    this.detectChangeLog();
+  }
+
+  /**
+   * Reopen database connection (after project.db was replaced)
    */
   reopenDatabase() {
     if (this.db) {
@@ -168,8 +334,9 @@ class ProjectMonitor extends EventEmitter {
     }
 
     try {
-      this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+      this.openDatabase();
     } catch (error) {
+      this.db = null;
       console.error(`Failed to reopen database for ${this.id}:`, error.message);
     }
   }
@@ -298,13 +465,17 @@ class ProjectMonitor extends EventEmitter {
   }
 
   /**
-   * Get recent activity (requires activity tracking table - future enhancement)
+   * Get recent activity, newest first (kept by the server's ActivityStore, not in project.db)
    */
   getRecentActivity(limit = 10) {
-    // This would require an activity_log table in the database
-    // For now, return empty array
-    // TODO: Implement when activity logging is added to CADI
-    return [];
+    if (!this.activityStore) return [];
+
+    try {
+      return this.activityStore.list({ projectIds: [this.id], limit }).activity;
+    } catch (error) {
+      console.error(`Error getting recent activity for ${this.id}:`, error.message);
+      return [];
+    }
   }
 
   /**
@@ -1,423 +1,128 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const ManifestReader = require('./ManifestReader');
+
+/**
+ * Collapse whitespace so equivalent SQL fragments compare equal
+ */
+function normalizeSQL(sql) {
+  return sql
+    .replace(/--[^\n]*/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([(),])\s*/g, '$1')
+    .replace(/;\s*$/, '')
+    .trim();
+}
+
+/**
+ * Split the body of a CREATE TABLE statement into its top-level definitions
+ */
+function splitDefinitions(createSQL) {
+  const sql = createSQL.replace(/--[^\n]*/g, '');
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (const ch of body) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Extract every CHECK(...) expression from a column or table definition
+ */
+function extractChecks(definition) {
+  const checks = [];
+  const pattern = /\bCHECK\s*\(/gi;
+  let match;
+
+  while ((match = pattern.exec(definition)) !== null) {
+    let depth = 1;
+    let i = match.index + match[0].length;
+    while (i < definition.length && depth > 0) {
+      if (definition[i] === '(') depth++;
+      if (definition[i] === ')') depth--;
+      i++;
+    }
+    checks.push(normalizeSQL(definition.slice(match.index + match[0].length, i - 1)));
+  }
+
+  return checks;
+}
+
+/**
+ * Get the values of an "x IN ('a', 'b')" CHECK expression, or null
+ */
+function inListValues(check) {
+  const match = check && check.match(/\bIN\s*\(([^)]*)\)/i);
+  if (!match) return null;
+  return match[1].split(',').map(value => value.trim().replace(/^'|'$/g, ''));
+}
+
+/**
+ * Describe a column the way it would appear in a CREATE TABLE statement
+ */
+function describeColumn(column) {
+  return [
+    column.type,
+    column.pk ? 'PRIMARY KEY' : null,
+    column.notnull ? 'NOT NULL' : null,
+    column.default !== null ? `DEFAULT ${column.default}` : null
+  ].filter(Boolean).join(' ');
+}
+
 
 /**
  * Manages database schema validation and migrations
  * Ensures project databases have the correct structure
  */
 class SchemaManager {
-  constructor() {
-    // Define the expected schema with version
-    this.schemaVersion = 7; // Increment when schema changes
+  /**
+   * @param {ManifestReader} manifestReader - Source of the schema definition
+   *   (defaults to the repository's cadi-manifest.js)
+   */
+  constructor(manifestReader = null) {
+    // cadi-manifest.js is the single source of truth for the schema
+    this.manifestReader = manifestReader || new ManifestReader();
+
+    const problems = this.manifestReader.validateConsistency();
+    if (problems.length > 0) {
+      throw new Error(
+        `Manifest schema is inconsistent (${this.manifestReader.manifestPath}):\n` +
+        problems.map(problem => `  - ${problem}`).join('\n')
+      );
+    }
+
+    this.schemaVersion = this.manifestReader.getSchemaVersion();
 
     this.expectedSchema = {
       version: this.schemaVersion,
-      tables: {
-        features: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'name TEXT NOT NULL UNIQUE',
-            'planning_doc_path TEXT NOT NULL',
-            'summary TEXT',
-            'status TEXT CHECK(status IN (\'planning\', \'ready\', \'in_progress\', \'testing\', \'completed\'))',
-            'priority INTEGER DEFAULT 0',
-            'created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-            'started_at TIMESTAMP',
-            'completed_at TIMESTAMP'
-          ],
-          indexes: []
-        },
-        sections: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'feature_id INTEGER NOT NULL',
-            'name TEXT NOT NULL',
-            'description TEXT',
-            'objectives TEXT',
-            'verification_criteria TEXT',
-            'order_index INTEGER NOT NULL',
-            'status TEXT CHECK(status IN (\'pending\', \'in_progress\', \'completed\'))',
-            'depends_on INTEGER',
-            'estimated_hours REAL',
-            'actual_hours REAL',
-            'started_at TIMESTAMP',
-            'completed_at TIMESTAMP',
-            'notes TEXT',
-            'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE',
-            'FOREIGN KEY (depends_on) REFERENCES sections(id)'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_sections_feature_status ON sections(feature_id, status)',
-            'CREATE INDEX IF NOT EXISTS idx_sections_order ON sections(feature_id, order_index)'
-          ]
-        },
-        context_documents: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'file_path TEXT NOT NULL UNIQUE',
-            'title TEXT NOT NULL',
-            'category TEXT NOT NULL',
-            'summary TEXT',
-            'tags TEXT',
-            'feature_id INTEGER',
-            'estimated_tokens INTEGER',
-            'last_indexed TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-            'file_modified TIMESTAMP',
-            'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_docs_category ON context_documents(category)',
-            'CREATE INDEX IF NOT EXISTS idx_docs_feature ON context_documents(feature_id)'
-          ]
-        },
-        error_log: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-            'agent_name TEXT NOT NULL',
-            'command_name TEXT',
-            'feature_id INTEGER',
-            'section_id INTEGER',
-            'error_type TEXT NOT NULL',
-            'error_message TEXT NOT NULL',
-            'error_context TEXT',
-            'severity TEXT CHECK(severity IN (\'low\', \'medium\', \'high\', \'critical\')) DEFAULT \'medium\'',
-            'resolved BOOLEAN DEFAULT 0',
-            'resolution TEXT',
-            'resolved_at TIMESTAMP',
-            'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE',
-            'FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_error_log_timestamp ON error_log(timestamp DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_error_log_feature ON error_log(feature_id)',
-            'CREATE INDEX IF NOT EXISTS idx_error_log_severity ON error_log(severity)',
-            'CREATE INDEX IF NOT EXISTS idx_error_log_resolved ON error_log(resolved)'
-          ]
-        },
-        context_loads: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-            'agent_name TEXT NOT NULL',
-            'feature_id INTEGER',
-            'section_id INTEGER',
-            'request TEXT NOT NULL',
-            'category TEXT',
-            'tags TEXT',
-            'document_ids TEXT',
-            'document_count INTEGER NOT NULL',
-            'total_tokens INTEGER',
-            'duration_ms INTEGER',
-            'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE',
-            'FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_context_loads_timestamp ON context_loads(timestamp DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_context_loads_agent ON context_loads(agent_name)',
-            'CREATE INDEX IF NOT EXISTS idx_context_loads_feature ON context_loads(feature_id)',
-            'CREATE INDEX IF NOT EXISTS idx_context_loads_section ON context_loads(section_id)'
-          ]
-        },
-        schema_version: {
-          columns: [
-            'version INTEGER NOT NULL',
-            'applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
-          ],
-          indexes: []
-        },
-        agent_invocations: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'agent_type TEXT NOT NULL',
-            'agent_prompt TEXT NOT NULL',
-            'agent_description TEXT',
-            'session_id TEXT NOT NULL',
-            'parent_agent TEXT',
-            'feature_id INTEGER',
-            'section_id INTEGER',
-            'tool_name TEXT DEFAULT \'Task\'',
-            'tool_input TEXT',
-            'invoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP',
-            'FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE',
-            'FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_agent_invocations_session ON agent_invocations(session_id)',
-            'CREATE INDEX IF NOT EXISTS idx_agent_invocations_type ON agent_invocations(agent_type)',
-            'CREATE INDEX IF NOT EXISTS idx_agent_invocations_invoked_at ON agent_invocations(invoked_at DESC)',
-            'CREATE INDEX IF NOT EXISTS idx_agent_invocations_feature ON agent_invocations(feature_id)'
-          ]
-        },
-        agent_completions: {
-          columns: [
-            'id INTEGER PRIMARY KEY AUTOINCREMENT',
-            'invocation_id INTEGER NOT NULL',
-            'session_id TEXT NOT NULL',
-            'completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP',
-            'duration_ms INTEGER',
-            'tool_response TEXT',
-            'success BOOLEAN DEFAULT 1',
-            'error_message TEXT',
-            'FOREIGN KEY (invocation_id) REFERENCES agent_invocations(id) ON DELETE CASCADE'
-          ],
-          indexes: [
-            'CREATE INDEX IF NOT EXISTS idx_agent_completions_invocation ON agent_completions(invocation_id)',
-            'CREATE INDEX IF NOT EXISTS idx_agent_completions_session ON agent_completions(session_id)',
-            'CREATE INDEX IF NOT EXISTS idx_agent_completions_completed_at ON agent_completions(completed_at DESC)'
-          ]
-        }
-      }
+      tables: this.manifestReader.getSchema().tables,
+      views: this.manifestReader.getViews(),
+      triggers: this.manifestReader.getTriggers()
     };
 
-    // Define migrations
-    this.migrations = [
-      {
-        version: 1,
-        description: 'Initial schema with features and sections',
-        up: (db) => {
-          // Base tables - assumed to already exist
-        }
-      },
-      {
-        version: 2,
-        description: 'Add context_documents table',
-        up: (db) => {
-          db.exec(`
-            CREATE TABLE IF NOT EXISTS context_documents (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              file_path TEXT NOT NULL UNIQUE,
-              title TEXT NOT NULL,
-              category TEXT NOT NULL,
-              summary TEXT,
-              tags TEXT,
-              feature_id INTEGER,
-              estimated_tokens INTEGER,
-              last_indexed TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              file_modified TIMESTAMP,
-              FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE
-            );
-
-            CREATE INDEX IF NOT EXISTS idx_docs_category ON context_documents(category);
-            CREATE INDEX IF NOT EXISTS idx_docs_feature ON context_documents(feature_id);
-          `);
-        }
-      },
-      {
-        version: 3,
-        description: 'Add error_log table and resolved_at column',
-        up: (db) => {
-          // Check if error_log table exists
-          const tableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='error_log'").get();
-
-          if (tableExists) {
-            // Table exists, check if resolved_at column exists
-            const columns = db.prepare('PRAGMA table_info(error_log)').all();
-            const hasResolvedAt = columns.some(col => col.name === 'resolved_at');
-
-            if (!hasResolvedAt) {
-              // Add missing column
-              db.exec('ALTER TABLE error_log ADD COLUMN resolved_at TIMESTAMP;');
-            }
-          } else {
-            // Create table from scratch
-            db.exec(`
-              CREATE TABLE error_log (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                agent_name TEXT NOT NULL,
-                command_name TEXT,
-                feature_id INTEGER,
-                section_id INTEGER,
-                error_type TEXT NOT NULL,
-                error_message TEXT NOT NULL,
-                error_context TEXT,
-                severity TEXT CHECK(severity IN ('low', 'medium', 'high', 'critical')) DEFAULT 'medium',
-                resolved BOOLEAN DEFAULT 0,
-                resolution TEXT,
-                resolved_at TIMESTAMP,
-                FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
-                FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE
-              );
-            `);
-          }
-
-          // Create indexes
-          db.exec(`
-            CREATE INDEX IF NOT EXISTS idx_error_log_timestamp ON error_log(timestamp DESC);
-            CREATE INDEX IF NOT EXISTS idx_error_log_feature ON error_log(feature_id);
-            CREATE INDEX IF NOT EXISTS idx_error_log_severity ON error_log(severity);
-            CREATE INDEX IF NOT EXISTS idx_error_log_resolved ON error_log(resolved);
-          `);
-        }
-      },
-      {
-        version: 4,
-        description: 'Add resolved_at column to error_log (fix for existing tables)',
-        up: (db) => {
-          // Check if resolved_at column exists
-          const columns = db.prepare('PRAGMA table_info(error_log)').all();
-          const hasResolvedAt = columns.some(col => col.name === 'resolved_at');
-
-          if (!hasResolvedAt) {
-            // Add missing column
-            db.exec('ALTER TABLE error_log ADD COLUMN resolved_at TIMESTAMP;');
-          }
-        }
-      },
-      {
-        version: 5,
-        description: 'Add context_loads table for monitoring agent context',
-        up: (db) => {
-          db.exec(`
-            CREATE TABLE IF NOT EXISTS context_loads (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              agent_name TEXT NOT NULL,
-              feature_id INTEGER,
-              section_id INTEGER,
-              request TEXT NOT NULL,
-              category TEXT,
-              tags TEXT,
-              document_ids TEXT,
-              document_count INTEGER NOT NULL,
-              total_tokens INTEGER,
-              duration_ms INTEGER,
-              FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
-              FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE
-            );
-
-            CREATE INDEX IF NOT EXISTS idx_context_loads_timestamp ON context_loads(timestamp DESC);
-            CREATE INDEX IF NOT EXISTS idx_context_loads_agent ON context_loads(agent_name);
-            CREATE INDEX IF NOT EXISTS idx_context_loads_feature ON context_loads(feature_id);
-            CREATE INDEX IF NOT EXISTS idx_context_loads_section ON context_loads(section_id);
-          `);
-        }
-      },
-      {
-        version: 6,
-        description: 'Add agent invocation and completion tracking',
-        up: (db) => {
-          db.exec(`
-            -- Table to track agent invocations (when Task tool is called)
-            CREATE TABLE IF NOT EXISTS agent_invocations (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              agent_type TEXT NOT NULL,
-              agent_prompt TEXT NOT NULL,
-              agent_description TEXT,
-              session_id TEXT NOT NULL,
-              parent_agent TEXT,
-              feature_id INTEGER,
-              section_id INTEGER,
-              tool_name TEXT DEFAULT 'Task',
-              tool_input TEXT,
-              invoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-              FOREIGN KEY (feature_id) REFERENCES features(id) ON DELETE CASCADE,
-              FOREIGN KEY (section_id) REFERENCES sections(id) ON DELETE CASCADE
-            );
-
-            -- Table to track agent completions
-            CREATE TABLE IF NOT EXISTS agent_completions (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              invocation_id INTEGER NOT NULL,
-              session_id TEXT NOT NULL,
-              completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-              duration_ms INTEGER,
-              tool_response TEXT,
-              success BOOLEAN DEFAULT 1,
-              error_message TEXT,
-              FOREIGN KEY (invocation_id) REFERENCES agent_invocations(id) ON DELETE CASCADE
-            );
-
-            -- Indexes for performance
-            CREATE INDEX IF NOT EXISTS idx_agent_invocations_session ON agent_invocations(session_id);
-            CREATE INDEX IF NOT EXISTS idx_agent_invocations_type ON agent_invocations(agent_type);
-            CREATE INDEX IF NOT EXISTS idx_agent_invocations_invoked_at ON agent_invocations(invoked_at DESC);
-            CREATE INDEX IF NOT EXISTS idx_agent_invocations_feature ON agent_invocations(feature_id);
-            CREATE INDEX IF NOT EXISTS idx_agent_completions_invocation ON agent_completions(invocation_id);
-            CREATE INDEX IF NOT EXISTS idx_agent_completions_session ON agent_completions(session_id);
-            CREATE INDEX IF NOT EXISTS idx_agent_completions_completed_at ON agent_completions(completed_at DESC);
-
-            -- View for easy querying of agent activity with timing
-            CREATE VIEW IF NOT EXISTS agent_activity AS
-            SELECT
-              i.id as invocation_id,
-              i.agent_type,
-              i.agent_description,
-              i.parent_agent,
-              i.session_id,
-              i.invoked_at,
-              c.completed_at,
-              c.duration_ms,
-              c.success,
-              c.error_message,
-              f.name as feature_name,
-              s.name as section_name
-            FROM agent_invocations i
-            LEFT JOIN agent_completions c ON i.id = c.invocation_id
-            LEFT JOIN features f ON i.feature_id = f.id
-            LEFT JOIN sections s ON i.section_id = s.id
-            ORDER BY i.invoked_at DESC;
-          `);
-        }
-      },
-      {
-        version: 7,
-        description: 'Add testing status to features',
-        up: (db) => {
-          // SQLite doesn't support ALTER TABLE to modify CHECK constraints
-          // We need to recreate the table with the new constraint
-          db.exec(`
-            -- Drop dependent view first
-            DROP VIEW IF EXISTS agent_activity;
-
-            -- Create temporary table with new schema
-            CREATE TABLE features_new (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              name TEXT NOT NULL UNIQUE,
-              planning_doc_path TEXT NOT NULL,
-              summary TEXT,
-              status TEXT CHECK(status IN ('planning', 'ready', 'in_progress', 'testing', 'completed')) DEFAULT 'planning',
-              priority INTEGER DEFAULT 0,
-              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              started_at TIMESTAMP,
-              completed_at TIMESTAMP
-            );
-
-            -- Copy data from old table
-            INSERT INTO features_new SELECT * FROM features;
-
-            -- Drop old table
-            DROP TABLE features;
-
-            -- Rename new table
-            ALTER TABLE features_new RENAME TO features;
-
-            -- Recreate the view
-            CREATE VIEW IF NOT EXISTS agent_activity AS
-            SELECT
-              i.id as invocation_id,
-              i.agent_type,
-              i.agent_description,
-              i.parent_agent,
-              i.session_id,
-              i.invoked_at,
-              c.completed_at,
-              c.duration_ms,
-              c.success,
-              c.error_message,
-              f.name as feature_name,
-              s.name as section_name
-            FROM agent_invocations i
-            LEFT JOIN agent_completions c ON i.id = c.invocation_id
-            LEFT JOIN features f ON i.feature_id = f.id
-            LEFT JOIN sections s ON i.section_id = s.id
-            ORDER BY i.invoked_at DESC;
-          `);
-        }
-      }
-    ];
+    this.migrations = this.manifestReader.getMigrations();
   }
 
   /**
@@ -475,10 +180,27 @@ class SchemaManager {
         }
       }
 
+      // Structural comparison only makes sense once the versions match -
+      // an older database is expected to differ until it is migrated
+      if (result.currentVersion === this.schemaVersion) {
+        const drift = this.detectDrift(dbPath);
+        result.drift = drift.differences;
+        if (!drift.inSync) {
+          result.valid = false;
+          result.errors.push(`Schema drift: ${drift.differences.length} difference(s) from manifest`);
+        }
+      }
+
       // Check version
       if (result.currentVersion < this.schemaVersion) {
         result.needsMigration = true;
         result.valid = false;
+      } else if (result.currentVersion > this.schemaVersion) {
+        // Database was migrated by a newer template than this manifest describes
+        result.valid = false;
+        result.errors.push(
+          `Database schema version ${result.currentVersion} is newer than manifest schema version ${this.schemaVersion}`
+        );
       }
 
     } catch (error) {
@@ -491,6 +213,207 @@ class SchemaManager {
     return result;
   }
 
+  /**
+   * Compare a database's structure with the manifest definition
+   * Each difference is classified as missing (in manifest, not in database),
+   * extra (in database, not in manifest) or changed.
+   */
+  detectDrift(dbPath) {
+    if (!fs.existsSync(dbPath)) {
+      throw new Error('Database file does not exist');
+    }
+
+    const expectedDb = new Database(':memory:');
+    const actualDb = new Database(dbPath, { readonly: true });
+
+    try {
+      expectedDb.exec(this.manifestReader.generateInitSQL());
+
+      const differences = this.diffSchemas(
+        this.inspectDatabase(expectedDb),
+        this.inspectDatabase(actualDb)
+      );
+
+      return {
+        currentVersion: this.getCurrentVersion(actualDb),
+        expectedVersion: this.schemaVersion,
+        inSync: differences.length === 0,
+        summary: {
+          missing: differences.filter(d => d.status === 'missing').length,
+          extra: differences.filter(d => d.status === 'extra').length,
+          changed: differences.filter(d => d.status === 'changed').length
+        },
+        differences
+      };
+    } finally {
+      expectedDb.close();
+      actualDb.close();
+    }
+  }
+
+  /**
+   * Read the structure of a database from sqlite_master and PRAGMAs
+   */
+  inspectDatabase(db) {
+    const structure = { tables: {}, views: {}, triggers: {} };
+
+    const objects = db.prepare(`
+      SELECT type, name, sql FROM sqlite_master
+      WHERE name NOT LIKE 'sqlite_%' AND sql IS NOT NULL
+    `).all();
+
+    for (const object of objects) {
+      if (object.type === 'view' || object.type === 'trigger') {
+        structure[`${object.type}s`][object.name] = normalizeSQL(object.sql)
+          .replace(/^CREATE (VIEW|TRIGGER)( IF NOT EXISTS)? /i, 'CREATE $1 ');
+        continue;
+      }
+      if (object.type !== 'table') continue;
+
+      const table = { columns: {}, checks: {}, foreignKeys: [], indexes: {} };
+
+      for (const col of db.prepare(`PRAGMA table_info("${object.name}")`).all()) {
+        table.columns[col.name] = {
+          type: (col.type || '').toUpperCase(),
+          notnull: col.notnull === 1,
+          default: col.dflt_value,
+          pk: col.pk > 0
+        };
+      }
+
+      // CHECK constraints are only visible in the CREATE TABLE text
+      for (const definition of splitDefinitions(object.sql)) {
+        const checks = extractChecks(definition);
+        if (checks.length === 0) continue;
+
+        const firstWord = definition.split(/[\s(]/)[0].replace(/["`[\]]/g, '');
+        const owner = table.columns[firstWord] ? firstWord : '(table)';
+        table.checks[owner] = (table.checks[owner] || []).concat(checks);
+      }
+
+      for (const fk of db.prepare(`PRAGMA foreign_key_list("${object.name}")`).all()) {
+        table.foreignKeys.push(`${fk.from} -> ${fk.table}(${fk.to}) ON DELETE ${fk.on_delete}`);
+      }
+
+      // Only explicitly created indexes - automatic ones follow PRIMARY KEY/UNIQUE
+      for (const index of db.prepare(`PRAGMA index_list("${object.name}")`).all()) {
+        if (index.origin !== 'c') continue;
+
+        const columns = db.prepare(`PRAGMA index_xinfo("${index.name}")`).all()
+          .filter(col => col.key === 1)
+          .map(col => `${col.name}${col.desc ? ' DESC' : ''}`);
+
+        table.indexes[index.name] = { unique: index.unique === 1, columns };
+      }
+
+      structure.tables[object.name] = table;
+    }
+
+    return structure;
+  }
+
+  /**
+   * Structural diff between two inspected schemas
+   */
+  diffSchemas(expected, actual) {
+    const differences = [];
+    const add = (status, kind, table, name, expectedValue, actualValue, extra = {}) => {
+      differences.push({ status, kind, table, name, expected: expectedValue, actual: actualValue, ...extra });
+    };
+
+    for (const [tableName, expectedTable] of Object.entries(expected.tables)) {
+      const actualTable = actual.tables[tableName];
+      if (!actualTable) {
+        add('missing', 'table', tableName, tableName, `${Object.keys(expectedTable.columns).length} columns`, null);
+        continue;
+      }
+
+      // Columns
+      for (const [name, col] of Object.entries(expectedTable.columns)) {
+        const actualCol = actualTable.columns[name];
+        if (!actualCol) {
+          add('missing', 'column', tableName, name, describeColumn(col), null);
+        } else if (describeColumn(col) !== describeColumn(actualCol)) {
+          add('changed', 'column', tableName, name, describeColumn(col), describeColumn(actualCol));
+        }
+      }
+      for (const [name, col] of Object.entries(actualTable.columns)) {
+        if (!expectedTable.columns[name]) {
+          add('extra', 'column', tableName, name, null, describeColumn(col));
+        }
+      }
+
+      // CHECK constraints
+      const checkOwners = new Set([...Object.keys(expectedTable.checks), ...Object.keys(actualTable.checks)]);
+      for (const owner of checkOwners) {
+        const expectedCheck = (expectedTable.checks[owner] || []).join(' AND ') || null;
+        const actualCheck = (actualTable.checks[owner] || []).join(' AND ') || null;
+        if (expectedCheck === actualCheck) continue;
+
+        if (!actualCheck) {
+          add('missing', 'check', tableName, owner, expectedCheck, null);
+        } else if (!expectedCheck) {
+          add('extra', 'check', tableName, owner, null, actualCheck);
+        } else {
+          const expectedValues = inListValues(expectedCheck);
+          const actualValues = inListValues(actualCheck);
+          const details = expectedValues && actualValues ? {
+            missingValues: expectedValues.filter(v => !actualValues.includes(v)),
+            extraValues: actualValues.filter(v => !expectedValues.includes(v))
+          } : {};
+          add('changed', 'check', tableName, owner, expectedCheck, actualCheck, details);
+        }
+      }
+
+      // Foreign keys
+      for (const fk of expectedTable.foreignKeys) {
+        if (!actualTable.foreignKeys.includes(fk)) add('missing', 'foreignKey', tableName, fk, fk, null);
+      }
+      for (const fk of actualTable.foreignKeys) {
+        if (!expectedTable.foreignKeys.includes(fk)) add('extra', 'foreignKey', tableName, fk, null, fk);
+      }
+
+      // Indexes
+      const describeIndex = index => `${index.unique ? 'UNIQUE ' : ''}(${index.columns.join(', ')})`;
+      for (const [name, index] of Object.entries(expectedTable.indexes)) {
+        const actualIndex = actualTable.indexes[name];
+        if (!actualIndex) {
+          add('missing', 'index', tableName, name, describeIndex(index), null);
+        } else if (describeIndex(index) !== describeIndex(actualIndex)) {
+          add('changed', 'index', tableName, name, describeIndex(index), describeIndex(actualIndex));
+        }
+      }
+      for (const [name, index] of Object.entries(actualTable.indexes)) {
+        if (!expectedTable.indexes[name]) add('extra', 'index', tableName, name, null, describeIndex(index));
+      }
+    }
+
+    for (const [tableName, table] of Object.entries(actual.tables)) {
+      if (!expected.tables[tableName]) {
+        add('extra', 'table', tableName, tableName, null, `${Object.keys(table.columns).length} columns`);
+      }
+    }
+
+    // Views and triggers are compared by their normalized definition
+    for (const kind of ['view', 'trigger']) {
+      const expectedObjects = expected[`${kind}s`];
+      const actualObjects = actual[`${kind}s`];
+
+      for (const [name, sql] of Object.entries(expectedObjects)) {
+        if (!actualObjects[name]) {
+          add('missing', kind, null, name, sql, null);
+        } else if (actualObjects[name] !== sql) {
+          add('changed', kind, null, name, sql, actualObjects[name]);
+        }
+      }
+      for (const [name, sql] of Object.entries(actualObjects)) {
+        if (!expectedObjects[name]) add('extra', kind, null, name, null, sql);
+      }
+    }
+
+    return differences;
+  }
+
   /**
    * Get current schema version from database
    */
@@ -513,8 +436,11 @@ class SchemaManager {
 
   /**
    * Apply migrations to bring database up to current version
+   *
+   * @param {string} dbPath - Path to project.db
+   * @param {Object} options - Passed through to migrateTo (e.g. snapshotDir)
    */
-  async migrateSchema(dbPath) {
+  async migrateSchema(dbPath, options = {}) {
     if (!fs.existsSync(dbPath)) {
       return {
         success: false,
@@ -522,62 +448,193 @@ class SchemaManager {
       };
     }
 
-    const db = new Database(dbPath);
+    const migration = await this.migrateTo(dbPath, this.schemaVersion, {
+      ...options,
+      onStep: (step) => {
+        if (step.status === 'running') {
+          console.log(`Applying migration ${step.version}: ${step.description}`);
+        }
+        if (options.onStep) options.onStep(step);
+      }
+    });
+
+    return {
+      success: migration.success,
+      appliedMigrations: migration.success
+        ? migration.steps.map(step => ({ version: step.version, description: step.description }))
+        : [],
+      errors: migration.errors,
+      snapshot: migration.snapshot,
+      verification: migration.verification,
+      restored: migration.restored
+    };
+  }
+
+  /**
+   * Migrate a database up or down to a target version
+   *
+   * A snapshot is taken with SQLite's online backup API first. All steps run
+   * in a single transaction - if any step fails, none are kept. Afterwards the
+   * database is verified with integrity_check and foreign_key_check, and the
+   * snapshot is restored if verification fails.
+   *
+   * @param {string} dbPath - Path to project.db
+   * @param {number} targetVersion - Version to end up at (1..schemaVersion)
+   * @param {Object} options
+   * @param {Function} options.onStep - Called with each step as it starts, succeeds or fails
+   * @param {string} options.snapshotDir - Where to keep snapshots (defaults to ~/.cadi-monitor/snapshots/<project>)
+   */
+  async migrateTo(dbPath, targetVersion, options = {}) {
+    const { onStep = () => {} } = options;
+
     const result = {
-      success: true,
-      appliedMigrations: [],
-      errors: []
+      success: false,
+      fromVersion: null,
+      toVersion: targetVersion,
+      direction: null,
+      steps: [],
+      errors: [],
+      snapshot: null,
+      verification: null,
+      restored: false
     };
 
+    if (!Number.isInteger(targetVersion) || targetVersion < 1 || targetVersion > this.schemaVersion) {
+      result.errors.push({ error: `Target version must be between 1 and ${this.schemaVersion}` });
+      return result;
+    }
+
+    if (!fs.existsSync(dbPath)) {
+      result.errors.push({ error: 'Database file does not exist' });
+      return result;
+    }
+
+    let db = new Database(dbPath);
+
     try {
-      // Get current version
       const currentVersion = this.getCurrentVersion(db);
+      result.fromVersion = currentVersion;
 
-      // Create schema_version table if it doesn't exist
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS schema_version (
-          version INTEGER NOT NULL,
-          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
+      if (currentVersion > this.schemaVersion) {
+        result.errors.push({
+          error: `Database schema version ${currentVersion} is newer than manifest schema version ${this.schemaVersion}`
+        });
+        return result;
+      }
+
+      const plan = this.planMigration(currentVersion, targetVersion);
+      result.direction = plan.direction;
 
-      // If no version recorded, record the current state
-      if (currentVersion === 1) {
+      if (plan.migrations.length === 0) {
+        result.success = true;
+        return result;
+      }
+
+      const irreversible = plan.migrations.filter(m => plan.direction === 'down' && !m.down);
+      if (irreversible.length > 0) {
+        result.errors.push({
+          error: `Cannot migrate down: migration(s) ${irreversible.map(m => m.version).join(', ')} have no down step`
+        });
+        return result;
+      }
+
+      // Consistent copy of the database before anything changes
+      const snapshotDir = options.snapshotDir || this.getDefaultSnapshotDir(dbPath);
+      result.snapshot = await this.createSnapshot(db, snapshotDir, currentVersion);
+
+      // Existing violations shouldn't block a migration - only new ones count
+      const violationsBefore = new Set(
+        db.prepare('PRAGMA foreign_key_check').all().map(v => `${v.table}:${v.rowid}:${v.parent}`)
+      );
+
+      // Rebuilding a table means dropping it, which would cascade deletes into
+      // child tables while foreign keys are enforced. The pragma is a no-op
+      // inside a transaction, so switch it off first.
+      const foreignKeys = db.pragma('foreign_keys', { simple: true });
+      db.pragma('foreign_keys = OFF');
+
+      let activeStep = null;
+      db.exec('BEGIN');
+      try {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+
+        // If no version recorded, record the current state
         const hasVersionRecord = db.prepare('SELECT COUNT(*) as count FROM schema_version').get();
         if (hasVersionRecord.count === 0) {
-          db.prepare('INSERT INTO schema_version (version) VALUES (1)').run();
+          db.prepare('INSERT INTO schema_version (version) VALUES (?)').run(currentVersion);
         }
-      }
 
-      // Apply migrations in order
-      for (const migration of this.migrations) {
-        if (migration.version > currentVersion) {
-          try {
-            console.log(`Applying migration ${migration.version}: ${migration.description}`);
-
-            // Execute migration
+        for (const migration of plan.migrations) {
+          activeStep = {
+            version: migration.version,
+            description: migration.description,
+            direction: plan.direction,
+            status: 'running'
+          };
+          onStep({ ...activeStep });
+
+          const startedAt = Date.now();
+          if (plan.direction === 'up') {
             migration.up(db);
-
-            // Record migration
             db.prepare('INSERT INTO schema_version (version) VALUES (?)').run(migration.version);
-
-            result.appliedMigrations.push({
-              version: migration.version,
-              description: migration.description
-            });
-          } catch (error) {
-            result.errors.push({
-              version: migration.version,
-              error: error.message
-            });
-            result.success = false;
-            break; // Stop on first error
+          } else {
+            migration.down(db);
+            // Fresh databases only record their initial version, so make sure
+            // the version we land on is recorded
+            db.prepare('DELETE FROM schema_version WHERE version >= ?').run(migration.version);
+            db.prepare(`
+              INSERT INTO schema_version (version)
+              SELECT ? WHERE NOT EXISTS (SELECT 1 FROM schema_version WHERE version = ?)
+            `).run(migration.version - 1, migration.version - 1);
           }
+
+          activeStep.status = 'applied';
+          activeStep.durationMs = Date.now() - startedAt;
+          result.steps.push(activeStep);
+          onStep({ ...activeStep });
+          activeStep = null;
+        }
+
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+
+        if (activeStep) {
+          activeStep.status = 'failed';
+          activeStep.error = error.message;
+          result.steps.push(activeStep);
+          onStep({ ...activeStep });
         }
+
+        result.errors.push({
+          version: activeStep ? activeStep.version : undefined,
+          error: error.message
+        });
+        result.rolledBack = true;
+        return result;
+      } finally {
+        db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
       }
 
+      result.verification = this.verifyDatabase(db, violationsBefore);
+
+      if (!result.verification.passed) {
+        result.errors.push({ error: `Verification failed after migration: ${result.verification.problems.join('; ')}` });
+
+        db.close();
+        await this.restoreSnapshot(result.snapshot.path, dbPath);
+        db = new Database(dbPath);
+        result.restored = true;
+        return result;
+      }
+
+      result.success = true;
     } catch (error) {
-      result.success = false;
       result.errors.push({ error: error.message });
     } finally {
       db.close();
@@ -586,6 +643,108 @@ class SchemaManager {
     return result;
   }
 
+  /**
+   * Default snapshot location, kept outside the project tree
+   */
+  getDefaultSnapshotDir(dbPath) {
+    const projectName = path.basename(path.dirname(path.dirname(dbPath)));
+    return path.join(os.homedir(), '.cadi-monitor', 'snapshots', projectName);
+  }
+
+  /**
+   * Take a consistent snapshot of an open database using the online backup API
+   */
+  async createSnapshot(db, snapshotDir, version) {
+    if (!fs.existsSync(snapshotDir)) {
+      fs.mkdirSync(snapshotDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const snapshotPath = path.join(snapshotDir, `project-v${version}-${timestamp}.db`);
+
+    await db.backup(snapshotPath);
+    this.cleanOldSnapshots(snapshotDir);
+
+    return {
+      path: snapshotPath,
+      version,
+      size: fs.statSync(snapshotPath).size,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Copy a snapshot back over the database using the online backup API
+   */
+  async restoreSnapshot(snapshotPath, dbPath) {
+    const snapshot = new Database(snapshotPath, { readonly: true });
+
+    try {
+      await snapshot.backup(dbPath);
+    } finally {
+      snapshot.close();
+    }
+  }
+
+  /**
+   * Run integrity_check and foreign_key_check on a database
+   *
+   * @param {Set} violationsBefore - Foreign key violations that existed before migrating
+   */
+  verifyDatabase(db, violationsBefore = new Set()) {
+    const integrity = db.pragma('integrity_check', { simple: false }).map(row => row.integrity_check);
+    const violations = db.prepare('PRAGMA foreign_key_check').all();
+    const newViolations = violations.filter(v => !violationsBefore.has(`${v.table}:${v.rowid}:${v.parent}`));
+
+    const problems = [];
+    if (integrity.length !== 1 || integrity[0] !== 'ok') {
+      problems.push(`integrity_check: ${integrity.join(', ')}`);
+    }
+    if (newViolations.length > 0) {
+      problems.push(`foreign_key_check: ${newViolations.length} new violation(s)`);
+    }
+
+    return {
+      passed: problems.length === 0,
+      integrityCheck: integrity,
+      foreignKeyViolations: newViolations,
+      problems
+    };
+  }
+
+  /**
+   * Keep only the most recent snapshots
+   */
+  cleanOldSnapshots(snapshotDir, keep = 10) {
+    const snapshots = fs.readdirSync(snapshotDir)
+      .filter(name => name.startsWith('project-v') && name.endsWith('.db'))
+      .map(name => ({ name, mtime: fs.statSync(path.join(snapshotDir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    for (const snapshot of snapshots.slice(keep)) {
+      fs.unlinkSync(path.join(snapshotDir, snapshot.name));
+    }
+  }
+
+  /**
+   * Work out which migrations move a database between two versions, in order
+   */
+  planMigration(fromVersion, toVersion) {
+    if (toVersion >= fromVersion) {
+      return {
+        direction: 'up',
+        migrations: this.migrations.filter(m => m.version > fromVersion && m.version <= toVersion)
+      };
+    }
+
+    return {
+      direction: 'down',
+      migrations: this.migrations
+        .filter(m => m.version > toVersion && m.version <= fromVersion)
+        .reverse()
+    };
+  }
+
   /**
    * Get migration plan (what would be applied)
    */
@@ -629,6 +788,18 @@ class SchemaManager {
       sql.push('');
     }
 
+    // Add views
+    for (const [viewName, viewSQL] of Object.entries(this.expectedSchema.views)) {
+      sql.push(`CREATE VIEW IF NOT EXISTS ${viewName} AS ${viewSQL.trim()};`);
+      sql.push('');
+    }
+
+    // Add triggers
+    for (const [triggerName, triggerSQL] of Object.entries(this.expectedSchema.triggers)) {
+      sql.push(`CREATE TRIGGER IF NOT EXISTS ${triggerName} ${triggerSQL.trim()};`);
+      sql.push('');
+    }
+
     return sql.join('\n');
   }
 }
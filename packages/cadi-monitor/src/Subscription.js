@@ -0,0 +1,239 @@
+const EventLog = require('./EventLog');
+
+/**
+ * What one dashboard connection wants to hear about, and the queue that paces it
+ *
+ * Filters (each one empty = everything):
+ *   projects   - project ids
+ *   types      - event types (see EventLog.types)
+ *   featureIds - events about a feature must be about one of these; events
+ *                that aren't about a feature (file changes, stats, updates) pass
+ *   severities - error events must have one of these severities
+ *
+ * High-frequency events (see coalescedTypes) are held for throttleMs and merged
+ * with the ones that follow for the same feature or project. Any other event on
+ * the same stream sends them first, so a client still sees each stream in order.
+ */
+class Subscription {
+  /**
+   * send - delivers a message to the client (null for clients that only filter)
+   * Starts out following everything - see update().
+   */
+  constructor(send = null) {
+    this.send = send;
+    this.pending = new Map(); // Map<coalesce key, envelope>, in arrival order
+    this.timer = null;
+    this.update({});
+  }
+
+  static get defaultThrottleMs() {
+    return 250;
+  }
+
+  static get maxThrottleMs() {
+    return 5000;
+  }
+
+  /**
+   * Event types that are merged while throttled - type -> { key, merge }
+   * key groups events that can be merged, merge folds a later event into an earlier one.
+   */
+  static get coalescedTypes() {
+    return {
+      featureCreationProgress: {
+        key: event => `${event.projectId}:${event.featureName}`,
+        merge: (earlier, later) => ({ ...later, output: `${earlier.output || ''}${later.output || ''}` })
+      },
+      statsChanged: {
+        key: event => event.projectId,
+        merge: (earlier, later) => ({ ...later, oldStats: earlier.oldStats })
+      }
+    };
+  }
+
+  /**
+   * Replace the filters - options as in a 'subscribe' message:
+   * { projects, types, featureIds, severities, throttleMs }
+   * Throws for unknown event types or severities and malformed lists.
+   * knownSeverities comes from the manifest's error_log.severity check.
+   */
+  update(options = {}, knownSeverities = null) {
+    const list = (name, value) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value)) {
+        throw new Error(`${name} must be an array`);
+      }
+      return value.map(item => String(item));
+    };
+
+    const types = list('types', options.types);
+    const unknownType = types.find(type => !EventLog.types[type]);
+    if (unknownType) {
+      throw new Error(`Unknown event type "${unknownType}"`);
+    }
+
+    const severities = list('severities', options.severities);
+    const unknownSeverity = knownSeverities && knownSeverities.length > 0 && severities.find(severity => !knownSeverities.includes(severity));
+    if (unknownSeverity) {
+      throw new Error(`Unknown severity "${unknownSeverity}". Must be one of: ${knownSeverities.join(', ')}`);
+    }
+
+    const featureIds = list('featureIds', options.featureIds);
+    if (featureIds.some(id => !/^\d+$/.test(id))) {
+      throw new Error('featureIds must be feature row ids');
+    }
+
+    let throttleMs = Subscription.defaultThrottleMs;
+    if (options.throttleMs !== undefined && options.throttleMs !== null) {
+      throttleMs = parseInt(options.throttleMs, 10);
+      if (isNaN(throttleMs) || throttleMs < 0) {
+        throw new Error('throttleMs must be a number of milliseconds');
+      }
+      throttleMs = Math.min(throttleMs, Subscription.maxThrottleMs);
+    }
+
+    const projects = list('projects', options.projects);
+
+    // Held events passed the old filters
+    this.flush();
+
+    this.projects = projects;
+    this.types = types;
+    this.featureIds = featureIds.map(id => parseInt(id, 10));
+    this.severities = severities;
+    this.throttleMs = throttleMs;
+  }
+
+  /**
+   * The filters, as accepted by update()
+   */
+  toJSON() {
+    return {
+      projects: this.projects,
+      types: this.types,
+      featureIds: this.featureIds,
+      severities: this.severities,
+      throttleMs: this.throttleMs
+    };
+  }
+
+  /**
+   * Whether the client follows a stream (a project id, or '*' for server events)
+   */
+  matchesStream(stream) {
+    return this.projects.length === 0 || this.projects.includes(stream);
+  }
+
+  /**
+   * Whether an event passes every filter
+   */
+  matches(event) {
+    if (this.projects.length > 0 && !this.projects.includes(event.projectId)) {
+      return false;
+    }
+    if (this.types.length > 0 && !this.types.includes(event.type)) {
+      return false;
+    }
+    if (this.featureIds.length > 0 && event.featureId && !this.featureIds.includes(event.featureId)) {
+      return false;
+    }
+
+    const severity = event.table === 'error_log' && event.row ? event.row.severity : null;
+    if (this.severities.length > 0 && severity && !this.severities.includes(severity)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Send an event if it passes the filters - throttled types wait for the next flush
+   */
+  push(envelope) {
+    if (!this.send || !this.matches(envelope)) return;
+
+    const coalesced = Subscription.coalescedTypes[envelope.type];
+    if (!coalesced || this.throttleMs === 0) {
+      this.flush(envelope.stream);
+      this.send(envelope);
+      return;
+    }
+
+    // Re-inserted so the map stays in seq order and flushes the stream in order
+    const key = `${envelope.type}:${coalesced.key(envelope)}`;
+    const held = this.pending.get(key);
+    this.pending.delete(key);
+    this.pending.set(key, held ? Subscription.mergeEvents(held, envelope) : envelope);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.throttleMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Send the held events - all of them, or those of one stream
+   */
+  flush(stream = null) {
+    for (const [key, envelope] of this.pending) {
+      if (stream === null || envelope.stream === stream) {
+        this.pending.delete(key);
+        if (this.send) this.send(envelope);
+      }
+    }
+
+    if (this.pending.size === 0 && this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Stop the timer - held events are dropped with the connection
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+  }
+
+  /**
+   * Merge a later event into an earlier one of the same kind
+   * The result has the later seq (so cursors move past both) and counts the
+   * events it stands for in `coalesced`.
+   */
+  static mergeEvents(earlier, later) {
+    const merged = Subscription.coalescedTypes[later.type].merge(earlier, later);
+    merged.coalesced = (earlier.coalesced || 1) + (later.coalesced || 1);
+    return merged;
+  }
+
+  /**
+   * Merge runs of coalescable events in a list (replays, long-poll batches)
+   * Only events with nothing else of their stream in between are merged, so
+   * each stream keeps its order.
+   */
+  static coalesce(events) {
+    const result = [];
+    const lastOfStream = new Map(); // Map<stream, index in result>
+
+    for (const event of events) {
+      const coalesced = Subscription.coalescedTypes[event.type];
+      const index = lastOfStream.get(event.stream);
+      const previous = index !== undefined ? result[index] : null;
+
+      if (coalesced && previous && previous.type === event.type &&
+          coalesced.key(previous) === coalesced.key(event)) {
+        result[index] = Subscription.mergeEvents(previous, event);
+        continue;
+      }
+
+      lastOfStream.set(event.stream, result.length);
+      result.push(event);
+    }
+
+    return result;
+  }
+}
+
+module.exports = Subscription;
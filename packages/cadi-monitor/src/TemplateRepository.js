@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+/**
+ * Reads template versions out of the claude-templates git repository
+ *
+ * Projects can pin a tag or commit, or follow a channel. A version is read
+ * straight from git objects (ls-tree + cat-file) into a cache directory per
+ * commit, so the repository's working tree and index are never touched:
+ *
+ *   ~/.cadi-monitor/templates/<commit>/base-claude/...
+ *
+ * Channels map a name to a ref. "tag:<pattern>" means the newest release tag
+ * matching the pattern (tags with a "-" prerelease suffix are skipped):
+ *
+ *   { "stable": "tag:v*", "next": "HEAD" }
+ */
+class TemplateRepository {
+  constructor(repoPath, options = {}) {
+    this.repoPath = repoPath;
+    this.cacheDir = options.cacheDir || path.join(os.homedir(), '.cadi-monitor', 'templates');
+    this.channels = { ...TemplateRepository.defaultChannels, ...options.channels };
+  }
+
+  static get defaultChannels() {
+    return { stable: 'tag:v*', next: 'HEAD' };
+  }
+
+  /**
+   * Run git in the repository, returning stdout (a Buffer with raw: true)
+   */
+  git(args, { input, raw = false } = {}) {
+    return execFileSync('git', ['-C', this.repoPath, ...args], {
+      input,
+      encoding: raw ? undefined : 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 512 * 1024 * 1024,
+      timeout: 30000
+    });
+  }
+
+  /**
+   * Check if the templates live in a git repository
+   */
+  isRepository() {
+    try {
+      return this.git(['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a ref (tag, branch or commit) to { commit, describe }
+   * Throws for refs the repository doesn't have.
+   */
+  resolve(ref) {
+    let commit;
+    try {
+      commit = this.git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+    } catch (error) {
+      throw new Error(`Unknown template version "${ref}"`);
+    }
+
+    let describe = null;
+    try {
+      describe = this.git(['describe', '--tags', '--always', commit]).trim();
+    } catch (error) {
+      // Leave describe empty - the commit is enough to identify the version
+    }
+
+    return { commit, describe };
+  }
+
+  /**
+   * The ref a channel currently points at
+   */
+  resolveChannel(name) {
+    const spec = this.channels[name];
+    if (!spec) {
+      throw new Error(`Unknown update channel "${name}" (available: ${Object.keys(this.channels).join(', ')})`);
+    }
+
+    if (!spec.startsWith('tag:')) {
+      return spec;
+    }
+
+    const pattern = spec.slice('tag:'.length);
+    const tags = this.git(['tag', '--list', pattern, '--sort=-v:refname'])
+      .split('\n')
+      .map(tag => tag.trim())
+      .filter(tag => tag && !tag.includes('-'));
+
+    if (tags.length === 0) {
+      throw new Error(`Channel "${name}" has no release yet (no tags match ${pattern})`);
+    }
+
+    return tags[0];
+  }
+
+  /**
+   * Work out which template version a project follows
+   * Returns { kind: 'pin' | 'channel' | 'workingTree', name, ref, commit, describe }
+   * - a pin wins over a channel, and neither means the current working tree.
+   */
+  resolveTarget({ pin, channel } = {}) {
+    if (!pin && !channel) {
+      return { kind: 'workingTree', name: null, ref: null, commit: null, describe: null };
+    }
+
+    if (!this.isRepository()) {
+      throw new Error(`${this.repoPath} is not a git repository - template versions can't be pinned`);
+    }
+
+    const ref = pin || this.resolveChannel(channel);
+    return {
+      kind: pin ? 'pin' : 'channel',
+      name: pin || channel,
+      ref,
+      ...this.resolve(ref)
+    };
+  }
+
+  /**
+   * Number of commits in `to` that `from` doesn't have (null if unknown)
+   */
+  countCommits(from, to) {
+    if (!from || !to) return null;
+
+    try {
+      return parseInt(this.git(['rev-list', '--count', `${from}..${to}`]).trim(), 10);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Commits in `to` that `from` doesn't have, newest first, limited to paths
+   * (relative to the templates) when given
+   * Returns [{ commit, date, subject, files }] with files relative to the templates
+   */
+  log(from, to, paths = []) {
+    if (!from || !to) return [];
+
+    // Records start with \x1e, fields are split by \x1f and the changed files follow
+    const output = this.git([
+      'log', '--relative', '--name-only', '--date=short',
+      '--format=%x1e%H%x1f%ad%x1f%s',
+      `${from}..${to}`, '--', ...paths
+    ]);
+
+    return output.split('\x1e').filter(Boolean).map(record => {
+      const [header, ...files] = record.split('\n');
+      const [commit, date, subject] = header.split('\x1f');
+      return { commit, date, subject, files: files.filter(Boolean) };
+    });
+  }
+
+  /**
+   * Write the files of a commit into the cache (once) and return that directory
+   */
+  extract(commit) {
+    const targetDir = path.join(this.cacheDir, commit);
+    if (fs.existsSync(targetDir)) {
+      return targetDir;
+    }
+
+    // The templates may be a subdirectory of the repository
+    const prefix = this.git(['rev-parse', '--show-prefix']).trim();
+
+    // Entries are "<mode> <type> <hash>\t<path>", NUL separated
+    const entries = this.git(['ls-tree', '-r', '-z', '--full-tree', commit])
+      .split('\0')
+      .filter(Boolean)
+      .map(line => {
+        const [meta, filePath] = line.split('\t');
+        const [mode, type, hash] = meta.split(' ');
+        return { mode, type, hash, filePath };
+      })
+      .filter(entry => entry.type === 'blob' && entry.filePath.startsWith(prefix))
+      .map(entry => ({ ...entry, filePath: entry.filePath.slice(prefix.length) }));
+
+    const contents = this.readBlobs(entries.map(entry => entry.hash));
+
+    // Extracted next to the final directory and renamed, so a half-written version is never used
+    const tempDir = `${targetDir}.${process.pid}.tmp`;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    for (const entry of entries) {
+      const filePath = path.join(tempDir, entry.filePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      if (entry.mode === '120000') {
+        fs.symlinkSync(contents.get(entry.hash).toString(), filePath);
+      } else {
+        fs.writeFileSync(filePath, contents.get(entry.hash));
+        fs.chmodSync(filePath, entry.mode === '100755' ? 0o755 : 0o644);
+      }
+    }
+
+    fs.mkdirSync(tempDir, { recursive: true });
+    fs.renameSync(tempDir, targetDir);
+    return targetDir;
+  }
+
+  /**
+   * Read blobs with a single `git cat-file --batch`
+   * Returns Map<hash, Buffer>
+   */
+  readBlobs(hashes) {
+    const blobs = new Map();
+    if (hashes.length === 0) return blobs;
+
+    const output = this.git(['cat-file', '--batch'], { input: hashes.join('\n') + '\n', raw: true });
+
+    // Each blob is "<hash> blob <size>\n<content>\n"
+    let offset = 0;
+    while (offset < output.length) {
+      const headerEnd = output.indexOf(0x0a, offset);
+      const [hash, , size] = output.toString('utf8', offset, headerEnd).split(' ');
+      const start = headerEnd + 1;
+      const end = start + parseInt(size, 10);
+
+      blobs.set(hash, output.subarray(start, end));
+      offset = end + 1;
+    }
+
+    return blobs;
+  }
+}
+
+module.exports = TemplateRepository;
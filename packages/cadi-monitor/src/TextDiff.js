@@ -0,0 +1,237 @@
+/**
+ * Line-based diffing and three-way merging for template updates
+ *
+ * Text is split on '\n' so a trailing newline shows up as a final empty line and
+ * survives a split/join round trip unchanged.
+ */
+class TextDiff {
+  /**
+   * Split text into lines
+   */
+  static splitLines(text) {
+    return text.split('\n');
+  }
+
+  /**
+   * Longest common subsequence of two line arrays
+   * Returns matched index pairs [[aIndex, bIndex], ...] in ascending order
+   */
+  static matchLines(a, b) {
+    // Common prefix and suffix are matched directly to keep the DP table small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => i * (m + 1) + j;
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[at(i, j)] = a[start + i] === b[start + j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+      }
+    }
+
+    const matches = [];
+    for (let i = 0; i < start; i++) matches.push([i, i]);
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        matches.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    for (let k = 0; k < a.length - endA; k++) matches.push([endA + k, endB + k]);
+
+    return matches;
+  }
+
+  /**
+   * Line-level diff of two texts, grouped into unified diff hunks
+   * Returns { hunks, additions, deletions, text } - each hunk has oldStart,
+   * oldLines, newStart, newLines and lines of { type: 'context' | 'add' | 'del',
+   * oldLine, newLine, text, noNewline }; text is the diff in `diff -u` format.
+   */
+  static unified(oldText, newText, options = {}) {
+    const { context = 3, oldLabel = 'a', newLabel = 'b' } = options;
+
+    // Lines without their terminating newline; a final line lacking one only
+    // matches another final line lacking one
+    const toLines = text => {
+      const lines = text === '' ? [] : TextDiff.splitLines(text);
+      const missingNewline = lines.length > 0 && lines[lines.length - 1] !== '';
+      if (!missingNewline) lines.pop();
+      const keys = lines.map((line, index) => (missingNewline && index === lines.length - 1 ? `${line}\0` : line));
+      return { lines, keys, missingNewline };
+    };
+    const a = toLines(oldText);
+    const b = toLines(newText);
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    const op = (type, oldLine, newLine, side, index) => ({
+      type,
+      oldLine,
+      newLine,
+      text: side.lines[index],
+      noNewline: side.missingNewline && index === side.lines.length - 1
+    });
+
+    for (const [matchA, matchB] of [...TextDiff.matchLines(a.keys, b.keys), [a.lines.length, b.lines.length]]) {
+      while (i < matchA) ops.push(op('del', i + 1, null, a, i++));
+      while (j < matchB) ops.push(op('add', null, j + 1, b, j++));
+      if (matchA < a.lines.length) {
+        ops.push(op('context', i + 1, j + 1, a, i));
+        i++;
+        j++;
+      }
+    }
+
+    // Changes closer together than twice the context share a hunk
+    const changed = ops.map((op, index) => (op.type === 'context' ? -1 : index)).filter(index => index >= 0);
+    const groups = [];
+    for (const index of changed) {
+      const last = groups[groups.length - 1];
+      if (last && index - last.end <= context * 2 + 1) {
+        last.end = index;
+      } else {
+        groups.push({ start: index, end: index });
+      }
+    }
+
+    const hunks = groups.map(({ start, end }) => {
+      const lines = ops.slice(Math.max(0, start - context), Math.min(ops.length, end + context + 1));
+      const oldCount = lines.filter(line => line.type !== 'add').length;
+      const newCount = lines.filter(line => line.type !== 'del').length;
+
+      // Lines before the hunk on each side (unified diffs number an empty side from the line before it)
+      const oldBefore = ops.slice(0, Math.max(0, start - context)).filter(op => op.type !== 'add').length;
+      const newBefore = ops.slice(0, Math.max(0, start - context)).filter(op => op.type !== 'del').length;
+
+      return {
+        oldStart: oldCount === 0 ? oldBefore : oldBefore + 1,
+        oldLines: oldCount,
+        newStart: newCount === 0 ? newBefore : newBefore + 1,
+        newLines: newCount,
+        lines
+      };
+    });
+
+    const prefix = { context: ' ', add: '+', del: '-' };
+    const text = hunks.length === 0 ? '' : [
+      `--- ${oldLabel}`,
+      `+++ ${newLabel}`,
+      ...hunks.flatMap(hunk => [
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        ...hunk.lines.flatMap(line => (line.noNewline
+          ? [prefix[line.type] + line.text, '\\ No newline at end of file']
+          : [prefix[line.type] + line.text]))
+      ])
+    ].join('\n') + '\n';
+
+    return {
+      hunks,
+      additions: ops.filter(op => op.type === 'add').length,
+      deletions: ops.filter(op => op.type === 'del').length,
+      text
+    };
+  }
+
+  /**
+   * Three-way merge of local and template changes made since a common base
+   * Returns { clean, content, conflicts, hunks } - content has conflict markers
+   * where both sides changed the same lines differently, and hunks lists just
+   * the conflicting regions (for .rej files).
+   */
+  static merge3(base, local, remote, options = {}) {
+    const { localLabel = 'local', baseLabel = 'base', remoteLabel = 'template' } = options;
+
+    const baseLines = TextDiff.splitLines(base);
+    const localLines = TextDiff.splitLines(local);
+    const remoteLines = TextDiff.splitLines(remote);
+
+    const toLocal = new Map(TextDiff.matchLines(baseLines, localLines));
+    const toRemote = new Map(TextDiff.matchLines(baseLines, remoteLines));
+
+    const output = [];
+    const hunks = [];
+    let i = 0;
+    let a = 0;
+    let b = 0;
+
+    const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+
+    while (i < baseLines.length || a < localLines.length || b < remoteLines.length) {
+      // Lines unchanged on both sides are copied straight through
+      if (i < baseLines.length && toLocal.get(i) === a && toRemote.get(i) === b) {
+        output.push(baseLines[i]);
+        i++;
+        a++;
+        b++;
+        continue;
+      }
+
+      // Find the next base line both sides still share - everything before it is a changed chunk
+      let j = i;
+      while (j < baseLines.length &&
+             !(toLocal.get(j) >= a && toRemote.get(j) >= b)) {
+        j++;
+      }
+
+      const nextLocal = j < baseLines.length ? toLocal.get(j) : localLines.length;
+      const nextRemote = j < baseLines.length ? toRemote.get(j) : remoteLines.length;
+
+      const baseChunk = baseLines.slice(i, j);
+      const localChunk = localLines.slice(a, nextLocal);
+      const remoteChunk = remoteLines.slice(b, nextRemote);
+
+      if (same(localChunk, baseChunk)) {
+        output.push(...remoteChunk);
+      } else if (same(remoteChunk, baseChunk) || same(localChunk, remoteChunk)) {
+        output.push(...localChunk);
+      } else {
+        hunks.push({ line: output.length + 1, base: baseChunk, local: localChunk, remote: remoteChunk });
+        output.push(
+          `<<<<<<< ${localLabel}`,
+          ...localChunk,
+          `||||||| ${baseLabel}`,
+          ...baseChunk,
+          '=======',
+          ...remoteChunk,
+          `>>>>>>> ${remoteLabel}`
+        );
+      }
+
+      i = j;
+      a = nextLocal;
+      b = nextRemote;
+    }
+
+    return {
+      clean: hunks.length === 0,
+      content: output.join('\n'),
+      conflicts: hunks.length,
+      hunks
+    };
+  }
+}
+
+module.exports = TextDiff;
@@ -0,0 +1,224 @@
+const chokidar = require('chokidar');
+const { EventEmitter } = require('events');
+
+/**
+ * Runs update analysis for every monitored project in the background
+ *
+ * Checks run on a schedule, when files under the templates change and after an
+ * update is applied. The latest results are cached and every check emits
+ * 'checked' with a summary the dashboard turns into a badge:
+ *
+ *   { count, projects: [{ id, updates, schemaMigration }], failed, checkedAt, reason }
+ */
+class UpdateChecker extends EventEmitter {
+  /**
+   * getProjects() returns the projects to check: [{ id, path, pin, channel, overlays }]
+   */
+  constructor(updateManager, getProjects, options = {}) {
+    super();
+
+    this.updateManager = updateManager;
+    this.getProjects = getProjects;
+    this.options = { ...UpdateChecker.defaultOptions, ...options };
+
+    this.results = null;   // Latest check: { groups, projects, failed, checkedAt, reason }
+    this.summary = null;
+    this.running = null;   // Promise of the check in progress
+    this.pending = null;   // Reason for a check requested while one was running
+    this.timer = null;
+    this.debounceTimer = null;
+    this.watcher = null;
+  }
+
+  static get defaultOptions() {
+    return { intervalMinutes: 60, watchTemplates: true, debounceMs: 2000 };
+  }
+
+  /**
+   * Start the schedule and the template watcher, and check once right away
+   */
+  start(options = {}) {
+    this.stop();
+    this.options = { ...this.options, ...options };
+
+    if (this.options.intervalMinutes) {
+      this.timer = setInterval(() => this.check('schedule'), this.options.intervalMinutes * 60 * 1000);
+      this.timer.unref();
+    }
+
+    if (this.options.watchTemplates) {
+      this.watchTemplates();
+    }
+
+    this.schedule('startup');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.debounceTimer);
+    this.timer = null;
+    this.debounceTimer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Watch every template source (base-claude, scripts and overlays) for changes
+   */
+  watchTemplates() {
+    const overlayIds = Object.keys(this.updateManager.manifestReader.getOverlays());
+    const roots = this.updateManager.manifestReader
+      .getSourceLayers(this.updateManager.templatesRoot, overlayIds)
+      .map(layer => layer.root);
+
+    this.watcher = chokidar.watch([...new Set(roots)], {
+      ignored: /(^|[\/\\])\../, // ignore dotfiles
+      persistent: true,
+      ignoreInitial: true,
+      awaitWriteFinish: {
+        stabilityThreshold: 500,
+        pollInterval: 100
+      }
+    });
+
+    this.watcher.on('all', () => this.schedule('templatesChanged'));
+  }
+
+  /**
+   * Check soon - bursts of requests (e.g. a git checkout) become one check
+   */
+  schedule(reason) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.check(reason), this.options.debounceMs);
+    this.debounceTimer.unref();
+  }
+
+  /**
+   * Analyze every project now and cache the results
+   * A check requested while one runs is done once it finishes.
+   */
+  async check(reason = 'manual') {
+    if (this.running) {
+      this.pending = reason;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      try {
+        const results = await this.analyze(this.getProjects());
+        this.results = { ...results, checkedAt: new Date().toISOString(), reason };
+        this.summary = this.summarize(this.results);
+        this.emit('checked', this.summary);
+      } catch (error) {
+        this.emit('checkFailed', { reason, error: error.message });
+      }
+      return this.results;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+      if (this.pending) {
+        const next = this.pending;
+        this.pending = null;
+        this.check(next);
+      }
+    }
+  }
+
+  /**
+   * Analyze projects, grouped by the template version they follow
+   * Returns { groups: [{ key, template, commitsBehindHead, follows, projects }], projects: { id: analysis }, failed: { id: error } }
+   */
+  async analyze(projects) {
+    const results = {};
+    const failed = {};
+    const groups = new Map();
+
+    for (const project of projects) {
+      // A bad pin or channel only fails its own project
+      let updater;
+      try {
+        updater = this.updateManager.forProject(project);
+      } catch (error) {
+        failed[project.id] = error.message;
+        continue;
+      }
+
+      const { manager, target } = updater;
+      const analysis = await manager.analyzeUpdates(project.path, { overlays: project.overlays });
+      analysis.target = target;
+      results[project.id] = analysis;
+
+      // A project that couldn't be analyzed (no .claude, unreadable database) isn't up to date either
+      if (analysis.errors && analysis.errors.length > 0) {
+        failed[project.id] = analysis.errors.join('; ');
+      }
+
+      const key = target.commit || 'working-tree';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          template: manager.getTemplateVersion(),
+          // How far this version trails the templates' HEAD
+          commitsBehindHead: target.commit
+            ? this.updateManager.templateRepository.countCommits(target.commit, 'HEAD')
+            : 0,
+          follows: [],
+          projects: []
+        });
+      }
+
+      const group = groups.get(key);
+      const follows = target.kind === 'workingTree' ? 'working tree' : `${target.kind} ${target.name}`;
+      if (!group.follows.includes(follows)) {
+        group.follows.push(follows);
+      }
+
+      const lock = analysis.lock && !analysis.lock.error ? analysis.lock : null;
+      group.projects.push({
+        id: project.id,
+        installed: lock ? lock.template : null,
+        behind: lock ? lock.behind : null,
+        commitsBehind: lock ? lock.commitsBehind : null,
+        updates: UpdateChecker.countUpdates(analysis)
+      });
+    }
+
+    return { groups: [...groups.values()], projects: results, failed };
+  }
+
+  /**
+   * Files an update would add, change or remove
+   */
+  static countUpdates(analysis) {
+    return analysis.changes.added.length + analysis.changes.modified.length + analysis.changes.removed.length;
+  }
+
+  /**
+   * The projects a check found outdated - file updates or a pending schema migration
+   */
+  summarize(results) {
+    const projects = Object.entries(results.projects)
+      .map(([id, analysis]) => ({
+        id,
+        updates: UpdateChecker.countUpdates(analysis),
+        schemaMigration: Boolean(analysis.schema && analysis.schema.needsMigration)
+      }))
+      .filter(project => project.updates > 0 || project.schemaMigration);
+
+    return {
+      count: projects.length,
+      projects,
+      failed: Object.keys(results.failed),
+      checkedAt: results.checkedAt,
+      reason: results.reason
+    };
+  }
+}
+
+module.exports = UpdateChecker;
@@ -3,57 +3,93 @@ const path = require('path');
 const { EventEmitter } = require('events');
 const SchemaManager = require('./SchemaManager');
 const ManifestReader = require('./ManifestReader');
+const HookRunner = require('./HookRunner');
+const TextDiff = require('./TextDiff');
+const LockFile = require('./LockFile');
+const JsonMerge = require('./JsonMerge');
+const FileTransaction = require('./FileTransaction');
+const BackupStore = require('./BackupStore');
+const TemplateRepository = require('./TemplateRepository');
+
+// Projects with an update being applied by this process (resolved paths)
+const updatesInProgress = new Set();
 
 /**
  * Manages safe updates to CADI projects
  * - Detects changes between template and project
  * - Creates backups before updating
- * - Preserves custom files
+ * - Preserves custom files and three-way merges local edits to managed ones
  * - Allows rollback on failure
  * - Uses cadi-manifest.js as single source of truth
  */
 class UpdateManager extends EventEmitter {
-  constructor(templatePath, manifestPath = null) {
+  /**
+   * options are set by forTarget() for template versions read from git:
+   * backupDir, backupStore, templateRepository, templateVersion, manifestReader and parent
+   */
+  constructor(templatePath, manifestPath = null, options = {}) {
     super();
 
     // Path to base-claude template (e.g., /home/user/claude-templates/base-claude)
     this.templatePath = templatePath;
 
+    // Root of claude-templates (parent of base-claude) - overlay sources live here too
+    this.templatesRoot = path.dirname(templatePath);
+
     // Store backups in claude-templates project to keep target project git tree clean
-    // Find the root of claude-templates (parent of base-claude)
-    const claudeTemplatesRoot = path.dirname(templatePath);
-    this.backupDir = path.join(claudeTemplatesRoot, 'backups');
+    this.backupDir = options.backupDir || path.join(this.templatesRoot, 'backups');
+    this.backupStore = options.backupStore || new BackupStore(this.backupDir);
 
-    this.schemaManager = new SchemaManager();
+    // Pinned versions and channels are read from the templates' git repository
+    this.templateRepository = options.templateRepository || new TemplateRepository(this.templatesRoot);
+    this.templateVersion = options.templateVersion || null;
+    this.versionManagers = new Map(); // Map<commit, UpdateManager>
+
+    // A version manager's events are reported by the manager that created it
+    if (options.parent) {
+      this.emit = (...args) => options.parent.emit(...args);
+    }
 
     // Load manifest - if not provided, ManifestReader will find it automatically
-    this.manifestReader = new ManifestReader(manifestPath);
+    this.manifestReader = options.manifestReader || new ManifestReader(manifestPath);
     this.manifest = this.manifestReader.manifest;
+
+    // Schema and migrations come from the same manifest
+    this.schemaManager = new SchemaManager(this.manifestReader);
+
+    // Hook module paths are relative to the manifest
+    this.hookRunner = new HookRunner(this.manifestReader.getHooks(), path.dirname(this.manifestReader.manifestPath));
   }
 
   /**
    * Analyze what would change if we updated a project
+   * options.overlays lists the project's stack overlays; when omitted they are
+   * detected from the files already installed in the project
    */
-  async analyzeUpdates(projectPath) {
+  async analyzeUpdates(projectPath, options = {}) {
     const analysis = {
       projectPath,
       timestamp: new Date().toISOString(),
+      overlays: [],     // Stack overlays applied on top of base-claude
       changes: {
         added: [],      // New files from template
         modified: [],   // Files that exist but differ
         unchanged: [],  // Files that are identical
         custom: [],     // Custom files not in template
-        removed: []     // Files in project but removed from template (CADI managed only)
+        removed: [],    // Files in project but removed from template (CADI managed only)
+        owned: [],      // Managed files marked locally owned in .claude/cadi.json - never touched
+        ignored: []     // Files matching categorization.ignoredPaths - never touched
       },
+      conflicts: [],    // Paths shipped by more than one layer (base/overlays)
+      lock: null,       // What .claude/cadi-lock.json says was installed last
       schema: null,     // Database schema status
+      changelog: null,  // Why things change - see buildChangelog()
       safe: true,
       errors: []
     };
 
     try {
       const projectClaudeDir = path.join(projectPath, '.claude');
-      const templateClaudeDir = path.join(this.templatePath, 'agents');
-      const templateCommandsDir = path.join(this.templatePath, 'commands');
 
       // Check if project has .claude directory
       if (!fs.existsSync(projectClaudeDir)) {
@@ -62,111 +98,164 @@ class UpdateManager extends EventEmitter {
         return analysis;
       }
 
-      // Analyze agents
-      if (fs.existsSync(templateClaudeDir)) {
-        this.analyzeDirectory(
-          templateClaudeDir,
-          path.join(projectClaudeDir, 'agents'),
-          'agents',
-          analysis
-        );
-      }
-
-      // Analyze commands
-      if (fs.existsSync(templateCommandsDir)) {
-        this.analyzeDirectory(
-          templateCommandsDir,
-          path.join(projectClaudeDir, 'commands'),
-          'commands',
-          analysis
-        );
-      }
-
-      // Analyze scripts (scripts are in base-claude/.claude/scripts)
-      const templateScriptsDir = path.join(this.templatePath, '.claude/scripts');
-      if (fs.existsSync(templateScriptsDir)) {
-        this.analyzeDirectory(
-          templateScriptsDir,
-          path.join(projectClaudeDir, 'scripts'),
-          'scripts',
-          analysis
-        );
-      }
-
-      // Analyze settings.json (in base-claude/.claude)
-      const templateSettingsFile = path.join(this.templatePath, '.claude/settings.json');
-      const projectSettingsFile = path.join(projectClaudeDir, 'settings.json');
-      if (fs.existsSync(templateSettingsFile)) {
-        if (!fs.existsSync(projectSettingsFile)) {
-          analysis.changes.added.push({
-            path: 'settings.json',
-            type: 'file'
+      analysis.overlays = options.overlays || this.detectOverlays(projectPath);
+
+      // The lock's hashes tell upstream changes apart from local edits
+      const { lock, summary: lockSummary } = this.readLock(projectPath);
+      analysis.lock = lockSummary;
+      const installedHash = relPath => {
+        if (lock && lock.files && lock.files[relPath]) return lock.files[relPath].hash;
+        const baseContent = this.readBase(projectPath, relPath);
+        return baseContent === null ? null : LockFile.hash(baseContent);
+      };
+
+      // Per-project overrides - managed files the project has taken ownership of
+      const { locallyOwned } = this.readProjectConfig(projectPath);
+      const ownedBy = relPath => this.manifestReader.matchGlob(relPath, locallyOwned);
+
+      // Compare every base + overlay template file with the project's copy
+      const templateFiles = this.collectTemplateFiles(analysis.overlays, analysis.conflicts);
+
+      for (const [relPath, { layer, source }] of templateFiles) {
+        const projectFilePath = path.join(projectClaudeDir, relPath);
+        const rule = this.manifestReader.categorize(relPath);
+
+        if (rule.category === 'ignored') {
+          analysis.changes.ignored.push({
+            path: relPath,
+            type: 'file',
+            source: layer,
+            reason: `matches ${rule.rule} "${rule.pattern}"`
           });
-        } else {
-          const templateContent = fs.readFileSync(templateSettingsFile, 'utf8');
-          const projectContent = fs.readFileSync(projectSettingsFile, 'utf8');
+          continue;
+        }
 
+        let status = 'unchanged';
+        let details = {};
+        if (!fs.existsSync(projectFilePath)) {
+          status = 'added';
+
+          // A file the lock says was installed has been deleted locally
+          const installed = installedHash(relPath);
+          if (installed) {
+            details.change = this.classifyChange(installed, null, LockFile.hashFile(source));
+          } else {
+            details.change = 'upstream';
+          }
+        } else {
+          const templateContent = fs.readFileSync(source, 'utf8');
+          const projectContent = fs.readFileSync(projectFilePath, 'utf8');
           if (templateContent !== projectContent) {
-            analysis.changes.modified.push({
-              path: 'settings.json',
-              type: 'file',
+            status = 'modified';
+            details = {
               templateSize: templateContent.length,
-              projectSize: projectContent.length
-            });
-          } else {
-            analysis.changes.unchanged.push({
-              path: 'settings.json',
-              type: 'file'
-            });
+              projectSize: projectContent.length,
+              change: this.classifyChange(
+                installedHash(relPath),
+                LockFile.hash(projectContent),
+                LockFile.hash(templateContent)
+              ),
+              ...this.planMerge(projectPath, relPath, projectContent, templateContent)
+            };
+
+            // Without a recorded base the lock can still show the template hasn't moved
+            if (details.merge === 'replace' && details.change === 'local') {
+              details.merge = 'keep';
+            }
+
+            // Local edits to a file the template hasn't touched since install are kept as-is
+            if (details.merge === 'keep') {
+              status = 'unchanged';
+            }
           }
         }
-      }
 
-      // Find custom files in project that aren't in template
-      this.findCustomFiles(
-        path.join(projectClaudeDir, 'agents'),
-        templateClaudeDir,
-        'agents',
-        analysis
-      );
+        const ownedPattern = ownedBy(relPath);
+        if (ownedPattern) {
+          analysis.changes.owned.push({
+            path: relPath,
+            type: 'file',
+            source: layer,
+            upstream: status,
+            reason: `locally owned in .claude/cadi.json ("${ownedPattern}")`
+          });
+          continue;
+        }
 
-      this.findCustomFiles(
-        path.join(projectClaudeDir, 'commands'),
-        templateCommandsDir,
-        'commands',
-        analysis
-      );
+        const reasons = {
+          added: `new in the ${layer} template`,
+          unchanged: `identical to the ${layer} template`,
+          replace: details.hasBase
+            ? `differs from the ${layer} template, no local edits`
+            : details.change === 'both'
+              ? `edited locally and in the ${layer} template; no installed copy to merge with, so the template copy replaces it`
+              : `differs from the ${layer} template; no installed version recorded, so the template copy replaces it`,
+          keep: details.strategy === 'json' && !details.hasBase
+            ? `edited locally; already has everything in the ${layer} template`
+            : `edited locally; the ${layer} template hasn't changed since it was installed`,
+          clean: details.strategy === 'json'
+            ? `edited locally and in the ${layer} template; the settings merge key by key`
+            : `edited locally and in the ${layer} template; the changes merge cleanly`,
+          conflict: details.strategy === 'json'
+            ? `edited locally and in the ${layer} template; ${details.conflicts} conflicting key(s) keep the project's value`
+            : `edited locally and in the ${layer} template; ${details.conflicts} conflicting region(s)`
+        };
+        const { hasBase, ...itemDetails } = details;
+        analysis.changes[status].push({
+          path: relPath,
+          type: 'file',
+          source: layer,
+          ...itemDetails,
+          reason: reasons[details.merge || status]
+        });
+      }
 
-      // Check for custom scripts (scripts are in base-claude/.claude/scripts)
-      const scriptsTemplateDir = path.join(this.templatePath, '.claude/scripts');
-      this.findCustomFiles(
-        path.join(projectClaudeDir, 'scripts'),
-        scriptsTemplateDir,
-        'scripts',
-        analysis
+      // Files from overlays the project doesn't use are left alone, never removed
+      const otherOverlayFiles = this.collectTemplateFiles(
+        Object.keys(this.manifestReader.getOverlays()).filter(id => !analysis.overlays.includes(id))
       );
 
-      // Find removed files (CADI-managed files that no longer exist in template)
-      this.findRemovedFiles(
-        path.join(projectClaudeDir, 'agents'),
-        templateClaudeDir,
-        'agents',
-        analysis
-      );
+      // Project files not in any layer are classified by the categorization globs
+      for (const dir of ['agents', 'commands', 'scripts']) {
+        for (const file of this.manifestReader.listFiles(path.join(projectClaudeDir, dir))) {
+          const relPath = path.join(dir, file);
 
-      this.findRemovedFiles(
-        path.join(projectClaudeDir, 'commands'),
-        templateCommandsDir,
-        'commands',
-        analysis
-      );
+          if (templateFiles.has(relPath) || !this.manifestReader.shouldTrackFile(path.basename(file))) {
+            continue;
+          }
 
-      this.findRemovedFiles(
-        path.join(projectClaudeDir, 'scripts'),
-        scriptsTemplateDir,
-        'scripts',
-        analysis
-      );
+          const item = { path: relPath, type: 'file' };
+          const rule = this.manifestReader.categorize(relPath);
+          const ownedPattern = ownedBy(relPath);
+
+          if (rule.category === 'ignored') {
+            analysis.changes.ignored.push({ ...item, reason: `matches ${rule.rule} "${rule.pattern}"` });
+          } else if (otherOverlayFiles.has(relPath)) {
+            const overlay = otherOverlayFiles.get(relPath).layer;
+            analysis.changes.custom.push({ ...item, reason: `from the ${overlay} overlay, which this project doesn't use` });
+          } else if (rule.category === 'managed' && ownedPattern) {
+            analysis.changes.owned.push({
+              ...item,
+              upstream: 'removed',
+              reason: `locally owned in .claude/cadi.json ("${ownedPattern}")`
+            });
+          } else if (rule.category === 'managed') {
+            analysis.changes.removed.push({
+              ...item,
+              change: this.classifyChange(
+                installedHash(relPath),
+                LockFile.hashFile(path.join(projectClaudeDir, relPath)),
+                null
+              ),
+              reason: `matches ${rule.rule} "${rule.pattern}" but is no longer in the template`
+            });
+          } else if (rule.pattern) {
+            analysis.changes.custom.push({ ...item, reason: `matches ${rule.rule} "${rule.pattern}"` });
+          } else {
+            analysis.changes.custom.push({ ...item, reason: 'not in the template and outside cadiManagedPaths' });
+          }
+        }
+      }
 
       // Check database schema
       const dbPath = path.join(projectClaudeDir, 'project.db');
@@ -185,6 +274,8 @@ class UpdateManager extends EventEmitter {
         analysis.schema = { valid: false, errors: ['Database file not found'] };
       }
 
+      analysis.changelog = this.buildChangelog(projectPath, analysis, templateFiles);
+
     } catch (error) {
       analysis.safe = false;
       analysis.errors.push(error.message);
@@ -194,225 +285,591 @@ class UpdateManager extends EventEmitter {
   }
 
   /**
-   * Recursively analyze a directory
+   * Explain an update, from the installed template version to this one
+   * Returns { from, to, commitCount, migrations: [{ version, description }],
+   *   files: [{ path, status, version: { from, to }, notes, commits: [{ commit, date, subject }] }] }
+   * Only files with something to say are listed. Notes are frontmatter changelog
+   * entries the installed copy doesn't have yet; commits are the template's git
+   * log for the file since the installed version.
    */
-  analyzeDirectory(templateDir, projectDir, relativePath, analysis) {
-    if (!fs.existsSync(templateDir)) return;
+  buildChangelog(projectPath, analysis, templateFiles) {
+    const installed = analysis.lock && analysis.lock.template ? analysis.lock.template : null;
+    const changelog = {
+      from: installed,
+      to: this.getTemplateVersion(),
+      commitCount: 0,
+      migrations: [],
+      files: []
+    };
 
-    const entries = fs.readdirSync(templateDir, { withFileTypes: true });
+    if (analysis.schema && analysis.schema.needsMigration) {
+      changelog.migrations = this.manifestReader.getMigrationsFrom(analysis.schema.currentVersion)
+        .filter(migration => migration.version <= analysis.schema.expectedVersion)
+        .map(({ version, description }) => ({ version, description: description || null }));
+    }
 
-    for (const entry of entries) {
-      const templatePath = path.join(templateDir, entry.name);
-      const projectPath = path.join(projectDir, entry.name);
-      const relPath = path.join(relativePath, entry.name);
+    // Template paths are relative to the templates root, as git log --relative reports them
+    const toRepoPath = filePath => path.relative(this.templatesRoot, filePath).split(path.sep).join('/');
+    const layers = this.manifestReader.getSourceLayers(this.templatesRoot, analysis.overlays);
 
-      if (entry.isDirectory()) {
-        // Recurse into subdirectory
-        this.analyzeDirectory(templatePath, projectPath, relPath, analysis);
-      } else if (entry.isFile()) {
-        // Use manifest to check if this is a file we should track
-        if (this.manifestReader.shouldTrackFile(entry.name)) {
-          // Compare files
-          if (!fs.existsSync(projectPath)) {
-            // New file
-            analysis.changes.added.push({
-              path: relPath,
-              type: 'file'
-            });
-          } else {
-            // Check if modified
-            const templateContent = fs.readFileSync(templatePath, 'utf8');
-            const projectContent = fs.readFileSync(projectPath, 'utf8');
-
-            if (templateContent !== projectContent) {
-              analysis.changes.modified.push({
-                path: relPath,
-                type: 'file',
-                templateSize: templateContent.length,
-                projectSize: projectContent.length
-              });
-            } else {
-              analysis.changes.unchanged.push({
-                path: relPath,
-                type: 'file'
-              });
-            }
-          }
+    let commits = [];
+    if (installed && installed.commit && changelog.to.commit) {
+      try {
+        commits = this.templateRepository.log(installed.commit, changelog.to.commit, layers.map(layer => toRepoPath(layer.root)));
+      } catch (error) {
+        // The installed commit isn't in this repository - changelog notes still apply
+      }
+    }
+    changelog.commitCount = commits.length;
+
+    const changed = [
+      ...analysis.changes.added.map(file => ({ file, status: 'added' })),
+      ...analysis.changes.modified.map(file => ({ file, status: 'modified' })),
+      ...analysis.changes.removed.map(file => ({ file, status: 'removed' }))
+    ];
+
+    for (const { file, status } of changed) {
+      const template = templateFiles.get(file.path);
+
+      // A removed file could have come from any layer
+      const repoPaths = template
+        ? [toRepoPath(template.source)]
+        : layers.map(layer => toRepoPath(path.join(layer.root, path.relative(path.relative('.claude', layer.destination), file.path))));
+
+      const entry = {
+        path: file.path,
+        status,
+        version: null,
+        notes: [],
+        commits: commits
+          .filter(commit => commit.files.some(changedPath => repoPaths.includes(changedPath)))
+          .map(({ commit, date, subject }) => ({ commit, date, subject }))
+      };
+
+      if (file.path.endsWith('.md')) {
+        const projectFile = path.join(projectPath, '.claude', file.path);
+        const installedContent = this.readBase(projectPath, file.path) ||
+          (fs.existsSync(projectFile) ? fs.readFileSync(projectFile, 'utf8') : '');
+        const before = this.manifestReader.parseFrontmatter(installedContent);
+        const after = template ? this.manifestReader.parseFrontmatter(fs.readFileSync(template.source, 'utf8')) : {};
+
+        if ((before.version || after.version) && before.version !== after.version) {
+          entry.version = { from: before.version || null, to: after.version || null };
         }
+
+        const notes = value => (Array.isArray(value) ? value : (value ? [value] : []));
+        const seen = notes(before.changelog);
+        entry.notes = notes(after.changelog).filter(note => !seen.includes(note));
+      }
+
+      if (entry.version || entry.notes.length > 0 || entry.commits.length > 0) {
+        changelog.files.push(entry);
       }
     }
+
+    return changelog;
   }
 
   /**
-   * Find custom files in project that aren't in template
+   * Classify a change by which side moved since the file was installed
+   * Hashes are null for a missing file; returns upstream (only the template
+   * changed), local (only the project's copy), both, or unknown when nothing
+   * records what was installed.
    */
-  findCustomFiles(projectDir, templateDir, relativePath, analysis) {
-    if (!fs.existsSync(projectDir)) return;
+  classifyChange(installedHash, projectHash, templateHash) {
+    if (!installedHash) return 'unknown';
 
-    const entries = fs.readdirSync(projectDir, { withFileTypes: true });
+    const local = projectHash !== installedHash;
+    const upstream = templateHash !== installedHash;
+    if (local && upstream) return 'both';
+    return local ? 'local' : 'upstream';
+  }
 
-    for (const entry of entries) {
-      const projectPath = path.join(projectDir, entry.name);
-      const templatePath = path.join(templateDir, entry.name);
-      const relPath = path.join(relativePath, entry.name);
+  /**
+   * The template version this manager installs - { commit, describe }
+   */
+  getTemplateVersion() {
+    return this.templateVersion || LockFile.templateVersion(this.templatesRoot);
+  }
 
-      if (entry.isDirectory()) {
-        // Recurse into subdirectory
-        this.findCustomFiles(
-          projectPath,
-          templatePath,
-          relPath,
-          analysis
-        );
-      } else if (entry.isFile()) {
-        // Use manifest to check if this is a file we should track
-        if (this.manifestReader.shouldTrackFile(entry.name)) {
-          // Check if file exists in template
-          if (!fs.existsSync(templatePath)) {
-            analysis.changes.custom.push({
-              path: relPath,
-              type: 'file'
-            });
-          }
-        }
+  /**
+   * Set the update channels: { name: ref or "tag:<pattern>" }
+   */
+  setChannels(channels = {}) {
+    this.templateRepository.channels = { ...TemplateRepository.defaultChannels, ...channels };
+  }
+
+  /**
+   * The update manager and template version for a project's pin or channel
+   * Returns { manager, target } - see TemplateRepository.resolveTarget
+   */
+  forProject(project = {}) {
+    const target = this.templateRepository.resolveTarget({ pin: project.pin, channel: project.channel });
+    return { manager: this.forTarget(target), target };
+  }
+
+  /**
+   * The update manager for a template version
+   * The working tree is this manager. Other versions are extracted from git once
+   * and get their own manager, which shares this one's backups and events.
+   */
+  forTarget(target) {
+    if (!target || target.kind === 'workingTree') {
+      return this;
+    }
+
+    if (!this.versionManagers.has(target.commit)) {
+      const root = this.templateRepository.extract(target.commit);
+
+      // The version's own manifest, if it has one in the repository
+      const manifestRelPath = path.relative(this.templatesRoot, this.manifestReader.manifestPath);
+      const versionManifest = path.join(root, manifestRelPath);
+      const manifestPath = !manifestRelPath.startsWith('..') && fs.existsSync(versionManifest)
+        ? versionManifest
+        : this.manifestReader.manifestPath;
+
+      // Older manifests lack the helpers newer code calls - those come from the working tree's
+      let manifestReader;
+      let problems;
+      try {
+        manifestReader = new ManifestReader(manifestPath, { helpers: this.manifestReader });
+        problems = manifestReader.validateConsistency();
+      } catch (error) {
+        throw new Error(`Template version ${target.describe} has an unreadable manifest: ${error.message}`);
+      }
+      if (problems.length > 0) {
+        throw new Error(`Template version ${target.describe} has an inconsistent manifest: ${problems.join('; ')}`);
       }
+
+      const manager = new UpdateManager(path.join(root, path.relative(this.templatesRoot, this.templatePath)), manifestPath, {
+        backupDir: this.backupDir,
+        backupStore: this.backupStore,
+        templateRepository: this.templateRepository,
+        templateVersion: { commit: target.commit, describe: target.describe },
+        manifestReader,
+        parent: this
+      });
+      this.versionManagers.set(target.commit, manager);
     }
+
+    return this.versionManagers.get(target.commit);
   }
 
   /**
-   * Find removed files - files in project that no longer exist in template
-   * Only tracks CADI-managed files (in /cadi/ directories or template scripts)
+   * Read the project's lock file
+   * Returns { lock, summary } - summary is what analysis reports (null without a lock)
    */
-  findRemovedFiles(projectDir, templateDir, relativePath, analysis) {
-    if (!fs.existsSync(projectDir)) return;
+  readLock(projectPath) {
+    const lockFile = new LockFile(projectPath);
 
-    const entries = fs.readdirSync(projectDir, { withFileTypes: true });
+    let lock;
+    try {
+      lock = lockFile.read();
+    } catch (error) {
+      return { lock: null, summary: { present: true, error: error.message } };
+    }
 
-    for (const entry of entries) {
-      const projectPath = path.join(projectDir, entry.name);
-      const templatePath = path.join(templateDir, entry.name);
-      const relPath = path.join(relativePath, entry.name);
+    if (!lock) {
+      return { lock: null, summary: null };
+    }
 
-      if (entry.isDirectory()) {
-        // Recurse into subdirectory
-        this.findRemovedFiles(
-          projectPath,
-          templatePath,
-          relPath,
-          analysis
-        );
-      } else if (entry.isFile()) {
-        // Use manifest to check if this is a file we should track
-        if (this.manifestReader.shouldTrackFile(entry.name)) {
-          // Check if file exists in template
-          if (!fs.existsSync(templatePath)) {
-            // File doesn't exist in template - check if it's CADI-managed using manifest
-            const isCadiManaged = this.manifestReader.isCadiManaged(relPath);
-
-            // Only mark for removal if it's a CADI-managed path
-            // Custom files should be preserved
-            if (isCadiManaged) {
-              // Double-check it's not already marked as custom
-              const isCustom = analysis.changes.custom.some(c => c.path === relPath);
-              if (!isCustom) {
-                analysis.changes.removed.push({
-                  path: relPath,
-                  type: 'file'
-                });
-              }
-            }
-          }
-        }
+    const current = this.getTemplateVersion();
+    const installed = lock.template || {};
+    const behind = Boolean(installed.commit && current.commit && installed.commit !== current.commit);
+
+    return {
+      lock,
+      summary: {
+        present: true,
+        installedAt: lock.installedAt,
+        template: installed,
+        currentTemplate: current,
+        behind,
+        commitsBehind: behind ? this.templateRepository.countCommits(installed.commit, current.commit) : 0,
+        schemaVersion: lock.schemaVersion,
+        overlays: lock.overlays || [],
+        files: Object.keys(lock.files || {}).length,
+        partial: lock.partial || null
       }
-    }
+    };
   }
 
   /**
-   * Create a backup of the project's .claude directory
+   * Write .claude/cadi-lock.json after an update
+   * Every managed template file is hashed as installed; untouched paths (locally
+   * owned, or left out of the update) keep whatever entry they had. With a
+   * transaction the lock is staged with the rest of the update.
+   * deferred are the changes left out of this update: while there are any the
+   * lock stays on the template it was on, so the project still shows as behind.
    */
-  async createBackup(projectPath) {
-    const claudeDir = path.join(projectPath, '.claude');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  writeLock(projectPath, overlays, templateFiles, schemaVersion, untouched = new Set(), transaction = null, deferred = []) {
+    const lockFile = new LockFile(projectPath);
+    const { lock: previous } = this.readLock(projectPath);
+    const previousFiles = (previous && previous.files) || {};
+    const files = {};
+
+    for (const [relPath, { layer, source }] of templateFiles) {
+      if (untouched.has(relPath) || this.manifestReader.categorize(relPath).category === 'ignored') {
+        continue;
+      }
 
-    // Get project name from path (last directory name)
-    const projectName = path.basename(projectPath);
+      files[relPath] = { hash: LockFile.hashFile(source), source: layer };
+    }
 
-    // Store backups organized by project name in claude-templates/backups
-    const projectBackupDir = path.join(this.backupDir, projectName);
-    const backupName = `backup-${timestamp}`;
-    const backupDestination = path.join(projectBackupDir, backupName);
+    for (const relPath of untouched) {
+      if (previousFiles[relPath]) {
+        files[relPath] = previousFiles[relPath];
+      }
+    }
 
-    try {
-      // Create backup directory if it doesn't exist
-      if (!fs.existsSync(projectBackupDir)) {
-        fs.mkdirSync(projectBackupDir, { recursive: true });
+    const data = {
+      template: this.getTemplateVersion(),
+      schemaVersion,
+      overlays,
+      files
+    };
+
+    if (deferred.length > 0) {
+      data.partial = { template: data.template, deferred };
+      data.template = previous && previous.template ? previous.template : {};
+    }
+
+    if (!transaction) {
+      return lockFile.write(data);
+    }
+
+    const lock = lockFile.build(data);
+    transaction.write(path.relative(path.join(projectPath, '.claude'), lockFile.path), LockFile.serialize(lock));
+    return lock;
+  }
+
+  /**
+   * Diff a project file against what an update would write there
+   * Returns null for paths the update doesn't cover (custom or ignored files).
+   * Added files diff from empty, removed ones to empty, merges against the
+   * merged result; owned and unchanged files diff against the template (applies: false).
+   */
+  async diffFile(projectPath, relPath, options = {}) {
+    const analysis = await this.analyzeUpdates(projectPath, { overlays: options.overlays });
+    if (!analysis.safe) {
+      throw new Error(analysis.errors.join(', '));
+    }
+
+    let status = null;
+    let item = null;
+    for (const candidate of ['added', 'modified', 'removed', 'unchanged', 'owned']) {
+      item = analysis.changes[candidate].find(change => change.path === relPath);
+      if (item) {
+        status = candidate;
+        break;
       }
+    }
 
-      // Copy .claude directory to backup
-      this.copyDirectory(claudeDir, backupDestination);
+    if (!item) {
+      return null;
+    }
 
-      // Keep only last 5 backups for this project
-      this.cleanOldBackups(projectBackupDir, 5);
+    const projectFilePath = path.join(projectPath, '.claude', relPath);
+    const template = this.collectTemplateFiles(analysis.overlays).get(relPath);
+    const projectContent = fs.existsSync(projectFilePath) ? fs.readFileSync(projectFilePath, 'utf8') : '';
+    const templateContent = template ? fs.readFileSync(template.source, 'utf8') : '';
+
+    let newContent = templateContent;
+    if (item.strategy === 'json' && (item.merge === 'clean' || item.merge === 'conflict')) {
+      newContent = JsonMerge.mergeText(this.readBase(projectPath, relPath), projectContent, templateContent).content;
+    } else if (item.merge === 'clean' || item.merge === 'conflict') {
+      newContent = TextDiff.merge3(this.readBase(projectPath, relPath), projectContent, templateContent, {
+        baseLabel: 'installed template',
+        remoteLabel: `template (${item.source})`
+      }).content;
+    }
 
-      this.emit('backupCreated', {
-        projectPath,
-        backupPath: backupDestination,
-        timestamp
-      });
+    const diff = TextDiff.unified(projectContent, newContent, {
+      oldLabel: `project/.claude/${relPath}`,
+      newLabel: item.merge === 'clean' || item.merge === 'conflict'
+        ? `merged/.claude/${relPath}`
+        : `template/.claude/${relPath}`
+    });
 
-      return backupDestination;
+    return {
+      path: relPath,
+      status,
+      applies: ['added', 'modified', 'removed'].includes(status),
+      source: item.source || null,
+      merge: item.merge || null,
+      conflicts: item.conflicts || 0,
+      change: item.change || null,
+      reason: item.reason,
+      language: this.detectLanguage(relPath),
+      ...diff
+    };
+  }
+
+  /**
+   * Language of a file for syntax highlighting in diffs
+   */
+  detectLanguage(relPath) {
+    const languages = { '.md': 'markdown', '.js': 'javascript', '.json': 'json', '.sh': 'shell', '.py': 'python' };
+    return languages[path.extname(relPath)] || 'text';
+  }
+
+  /**
+   * Decide how to update a file that differs from the template
+   * Compares against the template version recorded when the file was installed:
+   * replace (no local edits, or nothing recorded), keep (only local edits),
+   * clean or conflict (both changed - the result of a three-way merge).
+   */
+  planMerge(projectPath, relPath, projectContent, templateContent) {
+    const baseContent = this.readBase(projectPath, relPath);
+
+    if (baseContent !== null && baseContent === projectContent) {
+      return { merge: 'replace', hasBase: true };
+    }
+
+    if (baseContent !== null && baseContent === templateContent) {
+      return { merge: 'keep', hasBase: true };
+    }
+
+    // Settings merge key by key, even without a recorded base
+    if (JsonMerge.appliesTo(relPath)) {
+      const plan = this.planJsonMerge(baseContent, projectContent, templateContent);
+      if (plan) return plan;
+    }
+
+    if (baseContent === null) {
+      return { merge: 'replace', hasBase: false };
+    }
+
+    const merged = TextDiff.merge3(baseContent, projectContent, templateContent);
+    return merged.clean
+      ? { merge: 'clean', hasBase: true }
+      : { merge: 'conflict', hasBase: true, conflicts: merged.conflicts };
+  }
+
+  /**
+   * Plan a structural merge of a JSON settings file (null if a side isn't valid JSON)
+   * keep when the project already has everything the template adds, replace when
+   * the merge comes out as the template, otherwise clean or conflict with the
+   * conflicting keys in jsonConflicts.
+   */
+  planJsonMerge(baseContent, projectContent, templateContent) {
+    let merged;
+    try {
+      merged = JsonMerge.mergeText(baseContent, projectContent, templateContent);
     } catch (error) {
-      this.emit('backupFailed', {
-        projectPath,
-        error: error.message
-      });
-      throw error;
+      return null;
+    }
+
+    const plan = { strategy: 'json', hasBase: baseContent !== null };
+
+    if (!merged.clean) {
+      return { ...plan, merge: 'conflict', conflicts: merged.conflicts.length, jsonConflicts: merged.conflicts };
     }
+
+    if (JsonMerge.equal(merged.value, JSON.parse(projectContent))) {
+      return { ...plan, merge: 'keep' };
+    }
+
+    if (JsonMerge.equal(merged.value, JSON.parse(templateContent))) {
+      return { ...plan, merge: 'replace' };
+    }
+
+    return { ...plan, merge: 'clean' };
   }
 
   /**
-   * Copy directory recursively
+   * Format JSON merge conflicts as a .rej file - the merged file kept the project's values
    */
-  copyDirectory(src, dest) {
-    if (!fs.existsSync(dest)) {
-      fs.mkdirSync(dest, { recursive: true });
+  formatJsonRejects(relPath, conflicts) {
+    const show = value => (value === undefined ? '(not set)' : JSON.stringify(value, null, 2));
+    const lines = [
+      `# ${relPath}: ${conflicts.length} setting(s) were changed both locally and in the template.`,
+      '# The rest of the template changes were merged and your values were kept for these.',
+      '# Apply the template values by hand if you want them, then delete this file.',
+      ''
+    ];
+
+    for (const conflict of conflicts) {
+      lines.push(
+        `@@ ${conflict.key} @@`,
+        '<<<<<<< local',
+        show(conflict.local),
+        '||||||| installed template',
+        show(conflict.base),
+        '=======',
+        show(conflict.template),
+        '>>>>>>> template',
+        ''
+      );
     }
 
-    const entries = fs.readdirSync(src, { withFileTypes: true });
+    return lines.join('\n');
+  }
 
-    for (const entry of entries) {
-      const srcPath = path.join(src, entry.name);
-      const destPath = path.join(dest, entry.name);
+  /**
+   * Format unmerged hunks as a .rej file next to the untouched local file
+   */
+  formatRejects(relPath, hunks) {
+    const lines = [
+      `# ${relPath}: ${hunks.length} template change(s) could not be merged with your local edits.`,
+      '# The file was left as it was. Apply these by hand, then delete this file.',
+      ''
+    ];
+
+    for (const hunk of hunks) {
+      lines.push(
+        `@@ near line ${hunk.line} @@`,
+        '<<<<<<< local',
+        ...hunk.local,
+        '||||||| installed template',
+        ...hunk.base,
+        '=======',
+        ...hunk.remote,
+        '>>>>>>> template',
+        ''
+      );
+    }
 
-      if (entry.isDirectory()) {
-        this.copyDirectory(srcPath, destPath);
-      } else {
-        fs.copyFileSync(srcPath, destPath);
-      }
+    return lines.join('\n');
+  }
+
+  /**
+   * Path of the recorded template version of a file (.claude/.cadi-base/<path>)
+   * Kept inside .claude so backups and rollbacks restore it with the files.
+   */
+  getBasePath(projectPath, relPath) {
+    return path.join(projectPath, '.claude', '.cadi-base', relPath);
+  }
+
+  /**
+   * Read the template version a file was installed from (null if not recorded)
+   */
+  readBase(projectPath, relPath) {
+    const basePath = this.getBasePath(projectPath, relPath);
+    return fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+  }
+
+  /**
+   * Record the template version a file was installed from
+   * With a transaction the write is staged instead of made directly.
+   */
+  writeBase(projectPath, relPath, content, transaction = null) {
+    if (transaction) {
+      transaction.write(path.join('.cadi-base', relPath), content);
+      return;
+    }
+
+    const basePath = this.getBasePath(projectPath, relPath);
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+    fs.writeFileSync(basePath, content);
+  }
+
+  /**
+   * Forget the recorded template version of a removed file
+   */
+  removeBase(projectPath, relPath, transaction = null) {
+    const basePath = this.getBasePath(projectPath, relPath);
+    if (!fs.existsSync(basePath)) {
+      return;
+    }
+
+    if (transaction) {
+      transaction.remove(path.join('.cadi-base', relPath));
+    } else {
+      fs.unlinkSync(basePath);
+    }
+  }
+
+  /**
+   * Read the project's .claude/cadi.json overrides
+   * { "locallyOwned": ["agents/cadi/planning/plan-feature.md", "scripts/*.sh"] }
+   */
+  readProjectConfig(projectPath) {
+    const configPath = path.join(projectPath, '.claude', 'cadi.json');
+    const defaults = { locallyOwned: [] };
+
+    if (!fs.existsSync(configPath)) {
+      return defaults;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid .claude/cadi.json: ${error.message}`);
     }
+
+    if (config.locallyOwned !== undefined && !Array.isArray(config.locallyOwned)) {
+      throw new Error('Invalid .claude/cadi.json: locallyOwned must be an array of paths or globs');
+    }
+
+    return { ...defaults, ...config };
   }
 
   /**
-   * Clean old backups, keeping only the most recent N
+   * Collect the template files for base-claude plus the given overlays
+   * Returns a Map of .claude-relative path -> { layer, source } (see ManifestReader)
    */
-  cleanOldBackups(backupPath, keepCount) {
-    if (!fs.existsSync(backupPath)) return;
+  collectTemplateFiles(overlays, conflicts = []) {
+    return this.manifestReader.collectTemplateFiles(this.templatesRoot, overlays, conflicts);
+  }
 
-    const backups = fs.readdirSync(backupPath, { withFileTypes: true })
-      .filter(entry => entry.isDirectory() && entry.name.startsWith('backup-'))
-      .map(entry => ({
-        name: entry.name,
-        path: path.join(backupPath, entry.name),
-        time: fs.statSync(path.join(backupPath, entry.name)).mtime
-      }))
-      .sort((a, b) => b.time - a.time);
+  /**
+   * Detect which overlays a project uses from the overlay files it already has
+   */
+  detectOverlays(projectPath) {
+    const projectClaudeDir = path.join(projectPath, '.claude');
+
+    return Object.keys(this.manifestReader.getOverlays()).filter(id => {
+      const layer = this.manifestReader.getSourceLayers(this.templatesRoot, [id]).pop();
+      const prefix = path.relative('.claude', layer.destination);
 
-    // Remove old backups
-    backups.slice(keepCount).forEach(backup => {
-      this.removeDirectory(backup.path);
+      return this.manifestReader.listFiles(layer.root).some(file =>
+        this.manifestReader.matchesAny(file, layer.include) &&
+        fs.existsSync(path.join(projectClaudeDir, prefix, file))
+      );
     });
   }
 
+  /**
+   * Set how many backups are kept: { keep, maxAgeDays, maxSizeMB }
+   */
+  setBackupRetention(retention = {}) {
+    this.backupStore.retention = { ...BackupStore.defaultRetention, ...retention };
+  }
+
+  /**
+   * Create a backup of the project's .claude directory
+   * Unchanged files are shared with earlier backups; older backups are pruned
+   * by the store's retention policy afterwards. Returns the backup's path.
+   */
+  async createBackup(projectPath) {
+    const claudeDir = path.join(projectPath, '.claude');
+
+    try {
+      const backup = this.backupStore.create(projectPath, claudeDir);
+      const pruned = this.backupStore.prune(backup.project);
+
+      this.emit('backupCreated', {
+        projectPath,
+        backupPath: backup.path,
+        name: backup.name,
+        timestamp: backup.createdAt,
+        files: Object.keys(backup.files).length,
+        addedSize: backup.addedSize,
+        pruned: pruned.removed
+      });
+
+      return backup.path;
+    } catch (error) {
+      this.emit('backupFailed', {
+        projectPath,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Remove directory recursively
    */
@@ -436,119 +893,243 @@ class UpdateManager extends EventEmitter {
 
   /**
    * Apply updates to a project
+   * options.include / options.exclude are globs (relative to .claude) that limit
+   * which added, modified and removed files are applied; options.skipSchema
+   * leaves the database unmigrated.
+   *
+   * Every file is staged first and swapped in at once. If the migration, a
+   * postUpdate hook or anything else fails after that, the files and database
+   * are put back automatically and result.reverted says what was restored.
+   * A project takes one update at a time; a second apply fails while one is running.
    */
   async applyUpdates(projectPath, options = {}) {
     const {
       dryRun = false,
       skipBackup = false,
-      preserveCustom = true
+      preserveCustom = true,
+      overlays,
+      conflictStyle = 'markers',
+      include,
+      exclude,
+      skipSchema = false
     } = options;
 
     const result = {
       projectPath,
       success: false,
       backupPath: null,
+      overlays: [],
       applied: {
         added: [],
         modified: [],
         removed: [],
-        skipped: []
+        skipped: [],
+        owned: [],
+        merged: [],     // Locally edited files the template changes merged into cleanly
+        conflicted: [], // { path, conflicts, style, rejPath, keys } - merges that need a human
+        excluded: []    // Changes left out by options.include / options.exclude
       },
       schemaMigration: null,
+      lock: null,
+      hooks: [],
+      recovered: null,  // An earlier update that was interrupted and undone first
+      rolledBack: false,
+      reverted: null,   // { files: [{ path, action }], database, backupPath } after a failed update
       errors: []
     };
 
+    // One update per project at a time - a second one would recover the first's staging as a crash
+    const lockKey = path.resolve(projectPath);
+    if (!dryRun) {
+      if (updatesInProgress.has(lockKey)) {
+        result.errors.push(`An update is already in progress for ${projectPath}`);
+        return result;
+      }
+      updatesInProgress.add(lockKey);
+    }
+
+    let transaction = null;
+
     try {
+      // An update interrupted by a crash is undone before anything else
+      if (!dryRun) {
+        result.recovered = await this.recoverInterruptedUpdate(projectPath);
+      }
+
       // Analyze what needs to be updated
-      const analysis = await this.analyzeUpdates(projectPath);
+      const analysis = await this.analyzeUpdates(projectPath, { overlays });
 
       if (!analysis.safe) {
         result.errors = analysis.errors;
         return result;
       }
 
+      result.overlays = analysis.overlays;
+      const templateFiles = this.collectTemplateFiles(analysis.overlays);
+
+      // Only apply the chosen files - everything else stays as it is
+      if (include || exclude) {
+        const selected = item =>
+          (!include || this.manifestReader.matchesAny(item.path, include)) &&
+          !(exclude && this.manifestReader.matchesAny(item.path, exclude));
+
+        for (const status of ['added', 'modified', 'removed']) {
+          result.applied.excluded.push(...analysis.changes[status].filter(item => !selected(item)).map(item => item.path));
+          analysis.changes[status] = analysis.changes[status].filter(selected);
+        }
+      }
+
       // Create backup unless skipped
       if (!skipBackup && !dryRun) {
         result.backupPath = await this.createBackup(projectPath);
       }
 
-      // Apply changes
+      const hookContext = {
+        projectPath,
+        projectName: path.basename(projectPath),
+        templatePath: this.templatePath,
+        oldVersion: analysis.schema ? analysis.schema.currentVersion : null,
+        newVersion: skipSchema && analysis.schema ? analysis.schema.currentVersion : this.schemaManager.schemaVersion,
+        changes: {
+          added: analysis.changes.added.map(item => item.path),
+          modified: analysis.changes.modified.map(item => item.path),
+          removed: analysis.changes.removed.map(item => item.path)
+        }
+      };
+
+      // preCommit hooks can veto the update before anything is written
+      if (!dryRun && !(await this.runHooks('preCommit', hookContext, result))) {
+        this.emit('updateFailed', {
+          projectPath,
+          error: result.errors[result.errors.length - 1]
+        });
+        return result;
+      }
+
+      // Stage changes - nothing in the project changes until the commit below
       const projectClaudeDir = path.join(projectPath, '.claude');
 
+      if (!dryRun) {
+        // Only assigned once begun - a transaction that couldn't start has nothing to revert
+        const staging = new FileTransaction(projectClaudeDir);
+        staging.begin({ backupPath: result.backupPath });
+        transaction = staging;
+      }
+
       // Add new files
       for (const item of analysis.changes.added) {
-        // Scripts and settings.json are in base-claude/.claude
-        const isScript = item.path.startsWith('scripts');
-        const isSettings = item.path === 'settings.json';
-        const templateFilePath = isScript || isSettings
-          ? path.join(this.templatePath, '.claude', item.path)
-          : path.join(this.templatePath, item.path);
-        const projectFilePath = path.join(projectClaudeDir, item.path);
+        const templateFilePath = templateFiles.get(item.path).source;
 
         if (!dryRun) {
-          // Create directory if needed
-          const dir = path.dirname(projectFilePath);
-          if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-          }
-
-          fs.copyFileSync(templateFilePath, projectFilePath);
+          transaction.copy(item.path, templateFilePath);
+          this.writeBase(projectPath, item.path, fs.readFileSync(templateFilePath, 'utf8'), transaction);
         }
 
         result.applied.added.push(item.path);
 
         this.emit('fileAdded', {
           projectPath,
-          file: item.path
+          file: item.path,
+          source: item.source
         });
       }
 
       // Update modified files
       for (const item of analysis.changes.modified) {
-        // Scripts and settings.json are in base-claude/.claude
-        const isScript = item.path.startsWith('scripts');
-        const isSettings = item.path === 'settings.json';
-        const templateFilePath = isScript || isSettings
-          ? path.join(this.templatePath, '.claude', item.path)
-          : path.join(this.templatePath, item.path);
+        const templateFilePath = templateFiles.get(item.path).source;
         const projectFilePath = path.join(projectClaudeDir, item.path);
 
-        if (!dryRun) {
-          fs.copyFileSync(templateFilePath, projectFilePath);
+        if (item.strategy === 'json' && (item.merge === 'clean' || item.merge === 'conflict')) {
+          // Settings merge key by key; conflicting keys keep the project's value and are listed in a .rej
+          const templateContent = fs.readFileSync(templateFilePath, 'utf8');
+          const merged = JsonMerge.mergeText(
+            this.readBase(projectPath, item.path),
+            fs.readFileSync(projectFilePath, 'utf8'),
+            templateContent
+          );
+
+          if (!dryRun) transaction.write(item.path, merged.content);
+
+          if (merged.clean) {
+            result.applied.merged.push(item.path);
+          } else {
+            const rejPath = `${item.path}.rej`;
+            if (!dryRun) {
+              transaction.write(rejPath, this.formatJsonRejects(item.path, merged.conflicts));
+            }
+            result.applied.conflicted.push({
+              path: item.path,
+              conflicts: merged.conflicts.length,
+              style: 'json',
+              rejPath,
+              keys: merged.conflicts.map(conflict => conflict.key)
+            });
+          }
+
+          if (!dryRun) this.writeBase(projectPath, item.path, templateContent, transaction);
+        } else if (item.merge === 'clean' || item.merge === 'conflict') {
+          const templateContent = fs.readFileSync(templateFilePath, 'utf8');
+          const merged = TextDiff.merge3(
+            this.readBase(projectPath, item.path),
+            fs.readFileSync(projectFilePath, 'utf8'),
+            templateContent,
+            { baseLabel: 'installed template', remoteLabel: `template (${item.source})` }
+          );
+
+          if (merged.clean) {
+            if (!dryRun) transaction.write(item.path, merged.content);
+            result.applied.merged.push(item.path);
+          } else {
+            // Conflict markers would break JSON, so those always get a .rej file
+            const style = item.path.endsWith('.json') ? 'rej' : conflictStyle;
+            const rejPath = style === 'rej' ? `${item.path}.rej` : null;
+
+            if (!dryRun) {
+              if (style === 'rej') {
+                transaction.write(rejPath, this.formatRejects(item.path, merged.hunks));
+              } else {
+                transaction.write(item.path, merged.content);
+              }
+            }
+            result.applied.conflicted.push({ path: item.path, conflicts: merged.conflicts, style, rejPath });
+          }
+
+          // The new template is the base for the next merge, even if this one needs resolving
+          if (!dryRun) this.writeBase(projectPath, item.path, templateContent, transaction);
+        } else if (!dryRun) {
+          transaction.copy(item.path, templateFilePath);
+          this.writeBase(projectPath, item.path, fs.readFileSync(templateFilePath, 'utf8'), transaction);
         }
 
         result.applied.modified.push(item.path);
 
         this.emit('fileModified', {
           projectPath,
-          file: item.path
+          file: item.path,
+          source: item.source,
+          merge: item.merge
         });
       }
 
+      // Record the installed version of identical files that predate the base store
+      if (!dryRun) {
+        for (const item of analysis.changes.unchanged) {
+          if (!item.merge && this.readBase(projectPath, item.path) === null) {
+            this.writeBase(projectPath, item.path, fs.readFileSync(templateFiles.get(item.path).source, 'utf8'), transaction);
+          }
+        }
+      }
+
       // Remove obsolete CADI-managed files
       for (const item of analysis.changes.removed) {
         const projectFilePath = path.join(projectClaudeDir, item.path);
 
+        // Emptied parent directories are removed when the transaction commits
         if (!dryRun) {
+          this.removeBase(projectPath, item.path, transaction);
+
           if (fs.existsSync(projectFilePath)) {
-            fs.unlinkSync(projectFilePath);
-
-            // Remove empty parent directories
-            let dir = path.dirname(projectFilePath);
-            while (dir !== projectClaudeDir) {
-              try {
-                const entries = fs.readdirSync(dir);
-                if (entries.length === 0) {
-                  fs.rmdirSync(dir);
-                  dir = path.dirname(dir);
-                } else {
-                  break;
-                }
-              } catch (error) {
-                // Directory not empty or doesn't exist, stop cleanup
-                break;
-              }
-            }
+            transaction.remove(item.path);
           }
         }
 
@@ -565,8 +1146,44 @@ class UpdateManager extends EventEmitter {
         result.applied.skipped = analysis.changes.custom.map(item => item.path);
       }
 
+      // Locally owned files are never touched either
+      result.applied.owned = analysis.changes.owned.map(item => item.path);
+
+      if (!dryRun) {
+        // Record what is being installed - a failed migration reverts the lock with everything else
+        let schemaVersion = null;
+        if (analysis.schema && analysis.schema.needsMigration && !skipSchema) {
+          schemaVersion = analysis.schema.expectedVersion;
+        } else if (analysis.schema && analysis.schema.currentVersion !== undefined) {
+          schemaVersion = analysis.schema.currentVersion;
+        }
+
+        const untouched = new Set([...result.applied.owned, ...result.applied.excluded]);
+        const lock = this.writeLock(projectPath, analysis.overlays, templateFiles, schemaVersion, untouched, transaction, result.applied.excluded);
+        result.lock = {
+          template: lock.template,
+          schemaVersion: lock.schemaVersion,
+          files: Object.keys(lock.files).length,
+          partial: lock.partial || null
+        };
+
+        // Swap every staged file into place
+        const committed = transaction.commit();
+        this.emit('filesCommitted', {
+          projectPath,
+          written: committed.written.length,
+          removed: committed.removed.length
+        });
+      }
+
       // Apply database schema migrations if needed
-      if (analysis.schema && analysis.schema.needsMigration) {
+      if (analysis.schema && analysis.schema.needsMigration && skipSchema) {
+        result.schemaMigration = {
+          skipped: true,
+          currentVersion: analysis.schema.currentVersion,
+          targetVersion: analysis.schema.expectedVersion
+        };
+      } else if (analysis.schema && analysis.schema.needsMigration) {
         const dbPath = path.join(projectClaudeDir, 'project.db');
 
         this.emit('schemaMigrationStarted', {
@@ -576,7 +1193,9 @@ class UpdateManager extends EventEmitter {
         });
 
         if (!dryRun) {
-          result.schemaMigration = await this.schemaManager.migrateSchema(dbPath);
+          result.schemaMigration = await this.schemaManager.migrateSchema(dbPath, {
+            snapshotDir: path.join(this.backupDir, path.basename(projectPath), 'db-snapshots')
+          });
 
           if (!result.schemaMigration.success) {
             result.errors.push(...result.schemaMigration.errors.map(e => e.error || e));
@@ -584,15 +1203,30 @@ class UpdateManager extends EventEmitter {
 
             this.emit('schemaMigrationFailed', {
               projectPath,
-              errors: result.schemaMigration.errors
+              errors: result.schemaMigration.errors,
+              restored: result.schemaMigration.restored
             });
 
+            await this.revertUpdate(projectPath, result, transaction);
+
+            this.emit('updateFailed', {
+              projectPath,
+              error: result.errors[0],
+              rolledBack: result.rolledBack,
+              reverted: result.reverted
+            });
             return result;
           }
 
+          // A crash from here on must also put the database back
+          if (result.schemaMigration.snapshot) {
+            transaction.setState('migrated', { snapshot: result.schemaMigration.snapshot.path });
+          }
+
           this.emit('schemaMigrationComplete', {
             projectPath,
-            migrations: result.schemaMigration.appliedMigrations
+            migrations: result.schemaMigration.appliedMigrations,
+            snapshot: result.schemaMigration.snapshot
           });
         } else {
           // For dry run, just report what would be done
@@ -604,6 +1238,24 @@ class UpdateManager extends EventEmitter {
         }
       }
 
+      // postUpdate hooks see what was applied; a failure undoes the update
+      if (!dryRun && !(await this.runHooks('postUpdate', { ...hookContext, changes: result.applied }, result))) {
+        await this.revertUpdate(projectPath, result, transaction);
+
+        this.emit('updateFailed', {
+          projectPath,
+          error: result.errors[0],
+          rolledBack: result.rolledBack,
+          reverted: result.reverted
+        });
+        return result;
+      }
+
+      // The update is complete - drop the originals kept for a revert
+      if (transaction) {
+        transaction.finish();
+      }
+
       result.success = true;
 
       this.emit('updateComplete', {
@@ -614,60 +1266,164 @@ class UpdateManager extends EventEmitter {
     } catch (error) {
       result.errors.push(error.message);
 
+      if (transaction && transaction.state === 'staging') {
+        // Nothing was swapped in yet - just discard what was staged
+        transaction.finish();
+      } else if (transaction && transaction.state !== 'finished' && !result.reverted) {
+        await this.revertUpdate(projectPath, result, transaction);
+      }
+
       this.emit('updateFailed', {
         projectPath,
-        error: error.message
+        error: error.message,
+        rolledBack: result.rolledBack,
+        reverted: result.reverted
       });
+    } finally {
+      if (!dryRun) {
+        updatesInProgress.delete(lockKey);
+      }
     }
 
     return result;
   }
 
   /**
-   * Rollback a project to a backup
+   * Run the manifest hooks for a stage, recording their output in the result
+   * Returns false (with the failure added to result.errors) if a hook failed
    */
-  async rollback(projectPath, backupPath = null) {
-    try {
-      const claudeDir = path.join(projectPath, '.claude');
-      let actualBackupPath = backupPath;
+  async runHooks(stage, context, result) {
+    const { success, results } = await this.hookRunner.run(stage, context, {
+      onHook: (hook) => {
+        const event = { running: 'hookStarted', passed: 'hookCompleted', failed: 'hookFailed' }[hook.status];
+        this.emit(event, { projectPath: context.projectPath, ...hook });
+      }
+    });
 
-      // If no backup path specified, use most recent
-      if (!actualBackupPath) {
-        const projectName = path.basename(projectPath);
-        const projectBackupDir = path.join(this.backupDir, projectName);
+    result.hooks.push(...results);
 
-        if (!fs.existsSync(projectBackupDir)) {
-          throw new Error('No backups found for this project');
-        }
+    if (!success) {
+      const failed = results[results.length - 1];
+      result.errors.push(`${stage} hook "${failed.name}" failed: ${failed.error}`);
+    }
 
-        const backups = fs.readdirSync(projectBackupDir, { withFileTypes: true })
-          .filter(entry => entry.isDirectory() && entry.name.startsWith('backup-'))
-          .map(entry => ({
-            name: entry.name,
-            path: path.join(projectBackupDir, entry.name),
-            time: fs.statSync(path.join(projectBackupDir, entry.name)).mtime
-          }))
-          .sort((a, b) => b.time - a.time);
-
-        if (backups.length === 0) {
-          throw new Error('No backups found');
-        }
+    return success;
+  }
 
-        actualBackupPath = backups[0].path;
+  /**
+   * Undo an update that was already written
+   * The transaction puts back exactly the files it replaced and the migration
+   * snapshot restores the database; the full backup is the fallback when there
+   * is no transaction or reverting it fails. Fills in result.reverted.
+   */
+  async revertUpdate(projectPath, result, transaction = null) {
+    const reverted = { files: [], database: null, backupPath: null };
+    let filesReverted = false;
+
+    if (transaction) {
+      try {
+        reverted.files = transaction.rollback();
+        transaction.finish();
+        filesReverted = true;
+      } catch (error) {
+        result.errors.push(`Reverting staged files failed: ${error.message}`);
+      }
+    }
+
+    if (!filesReverted) {
+      if (!result.backupPath) {
+        result.errors.push('No backup available to roll back to (backup was skipped)');
+        return;
+      }
+
+      const rollback = await this.rollback(projectPath, result.backupPath);
+      if (!rollback.success) {
+        result.errors.push(`Rollback failed: ${rollback.error}`);
+        return;
       }
 
+      reverted.backupPath = result.backupPath;
+      reverted.files = (transaction ? transaction.ops : []).map(op => ({
+        path: op.path,
+        action: this.backupStore.has(result.backupPath, op.path) ? 'restored' : 'deleted'
+      }));
+    }
+
+    // A failed migration has already left the database as it was; a successful
+    // one is undone from its snapshot (also when the backup may have caught
+    // project.db mid-write)
+    const migration = result.schemaMigration;
+    const snapshot = migration && migration.snapshot;
+    if (snapshot) {
+      const restore = migration.success || reverted.backupPath;
+      if (restore) {
+        await this.schemaManager.restoreSnapshot(snapshot.path, path.join(projectPath, '.claude', 'project.db'));
+      }
+
+      reverted.database = {
+        snapshot: snapshot.path,
+        version: snapshot.version,
+        restored: Boolean(restore || migration.restored)
+      };
+    }
+
+    result.reverted = reverted;
+    result.rolledBack = true;
+
+    this.emit('updateReverted', {
+      projectPath,
+      reverted
+    });
+  }
+
+  /**
+   * Undo an update that was interrupted (e.g. the process died mid-apply)
+   * Returns null if there was none, otherwise { state, files, database }
+   */
+  async recoverInterruptedUpdate(projectPath) {
+    const recovery = FileTransaction.recover(path.join(projectPath, '.claude'));
+    if (!recovery) {
+      return null;
+    }
+
+    let database = null;
+    if (recovery.meta.snapshot && fs.existsSync(recovery.meta.snapshot)) {
+      await this.schemaManager.restoreSnapshot(recovery.meta.snapshot, path.join(projectPath, '.claude', 'project.db'));
+      database = { snapshot: recovery.meta.snapshot, restored: true };
+    }
+
+    const recovered = { state: recovery.state, files: recovery.reverted, database };
+
+    this.emit('updateRecovered', {
+      projectPath,
+      ...recovered
+    });
+
+    return recovered;
+  }
+
+  /**
+   * Rollback a project to a backup
+   * backup is a backup name or path (the most recent one if omitted)
+   */
+  async rollback(projectPath, backup = null) {
+    try {
+      const claudeDir = path.join(projectPath, '.claude');
+      const selected = this.findBackup(projectPath, backup);
+
       // Remove current .claude directory
       this.removeDirectory(claudeDir);
 
       // Restore from backup
-      this.copyDirectory(actualBackupPath, claudeDir);
+      fs.mkdirSync(claudeDir, { recursive: true });
+      this.backupStore.restore(selected.path, claudeDir);
 
       this.emit('rollbackComplete', {
         projectPath,
-        backupPath: actualBackupPath
+        backupPath: selected.path
       });
 
-      return { success: true, backupPath: actualBackupPath };
+      return { success: true, backupPath: selected.path };
     } catch (error) {
       this.emit('rollbackFailed', {
         projectPath,
@@ -679,68 +1435,101 @@ class UpdateManager extends EventEmitter {
   }
 
   /**
-   * List available backups for a project
+   * Restore one file or directory (relative to .claude) from a backup
+   * Files that aren't in the backup are left alone. Returns { success, restored }.
    */
-  listBackups(projectPath) {
-    const projectName = path.basename(projectPath);
-    const projectBackupDir = path.join(this.backupDir, projectName);
+  async restoreFromBackup(projectPath, backup, relPath) {
+    try {
+      const selected = this.findBackup(projectPath, backup);
+      const restored = this.backupStore.restore(selected.path, path.join(projectPath, '.claude'), relPath);
 
-    if (!fs.existsSync(projectBackupDir)) {
-      return [];
-    }
+      if (restored.length === 0) {
+        throw new Error(`${relPath} is not in ${selected.name}`);
+      }
 
-    return fs.readdirSync(projectBackupDir, { withFileTypes: true })
-      .filter(entry => entry.isDirectory() && entry.name.startsWith('backup-'))
-      .map(entry => {
-        const backupPath = path.join(projectBackupDir, entry.name);
-        const stats = fs.statSync(backupPath);
+      this.emit('backupRestored', {
+        projectPath,
+        backupPath: selected.path,
+        path: relPath,
+        restored
+      });
 
-        return {
-          name: entry.name,
-          path: backupPath,
-          timestamp: stats.mtime,
-          size: this.getDirectorySize(backupPath)
-        };
-      })
-      .sort((a, b) => b.timestamp - a.timestamp);
+      return { success: true, backupPath: selected.path, restored };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Get total size of a directory in bytes
+   * Find one of a project's backups by name or path - the most recent if omitted
    */
-  getDirectorySize(dir) {
-    let size = 0;
-
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
+  findBackup(projectPath, backup = null) {
+    const projectName = path.basename(projectPath);
 
-      if (entry.isDirectory()) {
-        size += this.getDirectorySize(fullPath);
-      } else {
-        size += fs.statSync(fullPath).size;
+    if (!backup) {
+      const [latest] = this.backupStore.list(projectName);
+      if (!latest) {
+        throw new Error('No backups found for this project');
       }
+      return latest;
+    }
+
+    const found = this.backupStore.find(projectName, backup);
+    if (!found) {
+      throw new Error(`Backup not found: ${backup}`);
     }
+    return found;
+  }
+
+  /**
+   * List available backups for a project
+   */
+  listBackups(projectPath) {
+    return this.backupStore.list(path.basename(projectPath));
+  }
+
+  /**
+   * List the files in a backup and how each compares to the project's copy
+   * Returns { backup, files: [{ path, size, status: 'unchanged' | 'modified' | 'missing' }] }
+   */
+  listBackupFiles(projectPath, backup) {
+    const selected = this.findBackup(projectPath, backup);
+    const files = this.backupStore.getFiles(selected.path);
 
-    return size;
+    return {
+      backup: selected,
+      files: Object.entries(files).map(([relPath, entry]) => {
+        const projectFile = path.join(projectPath, '.claude', relPath);
+        let status = 'missing';
+        if (fs.existsSync(projectFile)) {
+          status = BackupStore.hash(fs.readFileSync(projectFile)) === entry.hash ? 'unchanged' : 'modified';
+        }
+        return { path: relPath, size: entry.size, status };
+      })
+    };
   }
 
   /**
    * Get manifest data for UI display
    */
   getManifestData() {
+    const categorization = this.manifestReader.getCategorization();
+
     return {
       schemaVersion: this.manifest.schemaVersion,
       schema: this.manifest.schema,
       directories: this.manifest.directories,
       fileStructure: this.manifest.files,
       categorization: {
-        trackedExtensions: this.manifest.categorization.trackedExtensions,
-        cadiManagedPaths: this.manifest.categorization.cadiManagedPaths,
-        customFilePaths: this.manifest.categorization.customFilePaths
+        trackedExtensions: categorization.trackedExtensions,
+        cadiManagedPaths: categorization.cadiManagedPaths,
+        customFilePaths: categorization.customFilePaths,
+        ignoredPaths: categorization.ignoredPaths
       },
       hooks: this.manifest.hooks,
+      overlays: this.manifestReader.getOverlays(),
+      agents: this.manifestReader.getAgents(),
+      commands: this.manifestReader.getCommands(),
       summary: this.manifestReader.getSummary()
     };
   }
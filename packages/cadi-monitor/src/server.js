@@ -5,6 +5,13 @@ const path = require('path');
 const ProjectMonitor = require('./ProjectMonitor');
 const ConfigManager = require('./ConfigManager');
 const UpdateManager = require('./UpdateManager');
+const UpdateChecker = require('./UpdateChecker');
+const EventLog = require('./EventLog');
+const EventStream = require('./EventStream');
+const Subscription = require('./Subscription');
+const ActivityStore = require('./ActivityStore');
+const ManifestReader = require('./ManifestReader');
+const SchemaManager = require('./SchemaManager');
 
 /**
  * CADI Monitor Server
@@ -14,8 +21,17 @@ class MonitorServer {
   constructor(configPath = null, templatePath = null) {
     this.configManager = new ConfigManager(configPath);
     this.updateManager = templatePath ? new UpdateManager(templatePath) : null;
+    this.updateChecker = this.updateManager
+      ? new UpdateChecker(this.updateManager, () => this.getCheckableProjects())
+      : null;
+    this.manifestReader = this.updateManager ? this.updateManager.manifestReader : new ManifestReader();
+    this.schemaManager = this.updateManager ? this.updateManager.schemaManager : new SchemaManager(this.manifestReader);
     this.projects = new Map(); // Map<projectId, ProjectMonitor>
     this.activeFeatureProcesses = new Map(); // Map<`${projectId}:${featureName}`, processInfo>
+    this.eventLog = new EventLog();
+    this.eventStreams = new Set(); // Dashboards following /api/events
+    this.eventPollers = new Set(); // Long polls waiting on /api/events/poll
+    this.activityStore = new ActivityStore(path.join(this.configManager.configDir, 'activity.db'));
     this.app = express();
     this.server = http.createServer(this.app);
     this.wss = new WebSocket.Server({ server: this.server });
@@ -27,6 +43,7 @@ class MonitorServer {
     // Setup update manager event listeners
     if (this.updateManager) {
       this.setupUpdateManagerEvents();
+      this.setupUpdateCheckerEvents();
     }
   }
 
@@ -94,7 +111,8 @@ class MonitorServer {
         color: monitor.color,
         enabled: monitor.enabled,
         stats: monitor.getStats(),
-        health: monitor.getHealth()
+        health: monitor.getHealth(),
+        recentActivity: monitor.getRecentActivity()
       });
     });
 
@@ -130,7 +148,7 @@ class MonitorServer {
         }
 
         const { status } = req.body;
-        const validStatuses = ['planning', 'ready', 'in_progress', 'testing', 'completed'];
+        const validStatuses = this.manifestReader.getCheckValues('features', 'status');
 
         if (!validStatuses.includes(status)) {
           return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
@@ -223,6 +241,141 @@ class MonitorServer {
       res.json({ loads, stats });
     });
 
+    // Get a project's activity history (newest first)
+    this.app.get('/api/projects/:id/activity', (req, res) => {
+      if (!this.projects.has(req.params.id) && !this.configManager.getProject(req.params.id)) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      let options;
+      try {
+        options = this.parseActivityQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        res.json(this.activityStore.list({ ...options, projectIds: [req.params.id] }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get activity history across projects (newest first)
+    this.app.get('/api/activity', (req, res) => {
+      let options;
+      try {
+        options = this.parseActivityQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      try {
+        res.json(this.activityStore.list(options));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Live events over Server-Sent Events - for networks that block WebSockets
+    this.app.get('/api/events', (req, res) => {
+      let request;
+      let subscription;
+      let stream = null;
+      try {
+        request = this.parseEventsRequest(req);
+        subscription = this.createSubscription(message => stream.send(message), request.filters);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { resume } = request;
+      const resumable = resume && resume.epoch === this.eventLog.epoch;
+
+      stream = new EventStream(res, {
+        epoch: this.eventLog.epoch,
+        cursors: resumable ? resume.cursors : this.eventLog.cursors()
+      });
+      stream.subscription = subscription;
+      stream.open();
+      this.eventStreams.add(stream);
+
+      stream.send(this.getConnectedMessage({ resuming: Boolean(resume) }));
+      if (this.updateChecker && this.updateChecker.summary) {
+        stream.send({ type: 'updatesAvailable', ...this.updateChecker.summary });
+      }
+      if (resume) {
+        this.resumeClient(stream, resume);
+      }
+
+      req.on('close', () => {
+        this.eventStreams.delete(stream);
+        subscription.close();
+        stream.close();
+      });
+    });
+
+    // Live events by long polling - the last resort when neither WebSockets nor SSE get through
+    this.app.get('/api/events/poll', (req, res) => {
+      let request;
+      const client = {};
+      try {
+        request = this.parseEventsRequest(req);
+        client.subscription = this.createSubscription(null, request.filters);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { resume } = request;
+
+      // First poll - the client starts from the current cursors
+      if (!resume) {
+        const messages = [this.getConnectedMessage()];
+        if (this.updateChecker && this.updateChecker.summary) {
+          messages.push({ type: 'updatesAvailable', ...this.updateChecker.summary });
+        }
+        return res.json({ messages });
+      }
+
+      const { events, reply } = this.getMissedEvents(client, resume);
+      if (reply.reset || reply.gaps.length > 0) {
+        return res.json({ messages: [...events, reply] });
+      }
+      if (events.length > 0) {
+        return res.json({ messages: events });
+      }
+
+      // Nothing yet - hold the request until a subscribed event arrives or it times out
+      const timeoutSeconds = Math.min(Math.max(parseInt(req.query.timeout) || 25, 1), 55);
+      const finish = (messages) => {
+        this.eventPollers.delete(client);
+        clearTimeout(client.timer);
+        clearTimeout(client.batchTimer);
+        if (!res.headersSent) {
+          res.json({ messages });
+        }
+      };
+      const respond = () => finish(this.getMissedEvents(client, resume).events);
+
+      // A high-frequency event waits out the throttle, so its followers come in the same response
+      client.wake = (envelope) => {
+        const { throttleMs } = client.subscription;
+        if (envelope && Subscription.coalescedTypes[envelope.type] && throttleMs > 0) {
+          client.batchTimer = client.batchTimer || setTimeout(respond, throttleMs);
+        } else {
+          respond();
+        }
+      };
+      client.timer = setTimeout(() => finish([]), timeoutSeconds * 1000);
+      this.eventPollers.add(client);
+
+      req.on('close', () => {
+        this.eventPollers.delete(client);
+        clearTimeout(client.timer);
+        clearTimeout(client.batchTimer);
+      });
+    });
+
     // Get agent invocations for a project
     this.app.get('/api/projects/:id/agent-invocations', (req, res) => {
       const monitor = this.projects.get(req.params.id);
@@ -541,6 +694,49 @@ class MonitorServer {
       }
     });
 
+    // Compare project database structure with the manifest
+    this.app.get('/api/projects/:id/schema/drift', (req, res) => {
+      try {
+        const monitor = this.projects.get(req.params.id);
+        if (!monitor) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const dbPath = `${monitor.path}/.claude/project.db`;
+        res.json(this.schemaManager.detectDrift(dbPath));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Migrate project database up or down to a schema version
+    this.app.post('/api/projects/:id/schema/migrate', async (req, res) => {
+      try {
+        const monitor = this.projects.get(req.params.id);
+        if (!monitor) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const { to } = req.body;
+        const targetVersion = to === undefined ? this.schemaManager.schemaVersion : parseInt(to, 10);
+
+        const dbPath = `${monitor.path}/.claude/project.db`;
+        const result = await this.schemaManager.migrateTo(dbPath, targetVersion, {
+          onStep: (step) => {
+            this.broadcast({
+              type: 'schemaMigrationStep',
+              projectId: req.params.id,
+              ...step
+            });
+          }
+        });
+
+        res.status(result.success ? 200 : 500).json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Configuration endpoints
     this.app.get('/api/config', (req, res) => {
       const config = this.configManager.get();
@@ -563,16 +759,21 @@ class MonitorServer {
 
     this.app.post('/api/config/projects', async (req, res) => {
       try {
-        const { id, name, path, color, enabled } = req.body;
+        const { id, name, path, color, enabled, overlays } = req.body;
 
         if (!id || !name || !path) {
           return res.status(400).json({ error: 'Missing required fields: id, name, path' });
         }
 
-        this.configManager.addProject({ id, name, path, color, enabled });
+        if (overlays && this.updateManager) {
+          this.updateManager.manifestReader.getSourceLayers(this.updateManager.templatesRoot, overlays);
+        }
+
+        this.configManager.addProject({ id, name, path, color, enabled, overlays });
 
         // Initialize the new project monitor
         await this.loadProject({ id, name, path, color, enabled });
+        this.scheduleUpdateCheck();
 
         res.json({ success: true, project: this.configManager.getProject(id) });
       } catch (error) {
@@ -593,6 +794,7 @@ class MonitorServer {
 
         // Remove from config
         this.configManager.removeProject(projectId);
+        this.scheduleUpdateCheck();
 
         res.json({ success: true });
       } catch (error) {
@@ -610,13 +812,117 @@ class MonitorServer {
             return res.status(404).json({ error: 'Project not found' });
           }
 
-          const analysis = await this.updateManager.analyzeUpdates(monitor.path);
+          const { manager, target } = this.getProjectUpdater(req.params.id);
+          const analysis = await manager.analyzeUpdates(monitor.path, {
+            overlays: this.getProjectOverlays(req.params.id)
+          });
+          analysis.target = target;
           res.json(analysis);
         } catch (error) {
           res.status(500).json({ error: error.message });
         }
       });
 
+      // Unified diff of one file between the project and what the update would write
+      this.app.get('/api/updates/:id/diff', async (req, res) => {
+        try {
+          const monitor = this.projects.get(req.params.id);
+          if (!monitor) {
+            return res.status(404).json({ error: 'Project not found' });
+          }
+
+          if (!req.query.path) {
+            return res.status(400).json({ error: 'path query parameter is required' });
+          }
+
+          const { manager } = this.getProjectUpdater(req.params.id);
+          const diff = await manager.diffFile(monitor.path, req.query.path, {
+            overlays: this.getProjectOverlays(req.params.id)
+          });
+
+          if (!diff) {
+            return res.status(404).json({ error: `${req.query.path} is not part of the update` });
+          }
+
+          res.json(diff);
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // Set the stack overlays a project uses (null clears them back to auto-detection)
+      this.app.put('/api/config/projects/:id/overlays', (req, res) => {
+        try {
+          const { overlays } = req.body;
+
+          if (overlays !== null && !Array.isArray(overlays)) {
+            return res.status(400).json({ error: 'overlays must be an array of overlay ids or null' });
+          }
+
+          if (overlays) {
+            // Throws for unknown overlay ids
+            this.updateManager.manifestReader.getSourceLayers(this.updateManager.templatesRoot, overlays);
+          }
+
+          this.configManager.updateProject(req.params.id, { overlays });
+          this.scheduleUpdateCheck();
+
+          res.json({ success: true, project: this.configManager.getProject(req.params.id) });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      // Update channels and the template version each one points at
+      this.app.get('/api/updates/channels', (req, res) => {
+        try {
+          const repository = this.updateManager.templateRepository;
+          const channels = Object.entries(repository.channels).map(([name, spec]) => {
+            try {
+              return { name, spec, ...repository.resolveTarget({ channel: name }) };
+            } catch (error) {
+              return { name, spec, error: error.message };
+            }
+          });
+
+          res.json({ channels, workingTree: this.updateManager.getTemplateVersion() });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // Set the template version a project follows - a channel, a pinned ref, or
+      // neither (null clears) for the templates' working tree
+      this.app.put('/api/config/projects/:id/template', (req, res) => {
+        try {
+          const { channel, pin } = req.body;
+
+          for (const [key, value] of Object.entries({ channel, pin })) {
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+              return res.status(400).json({ error: `${key} must be a string or null` });
+            }
+          }
+
+          const project = this.configManager.getProject(req.params.id);
+          if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+          }
+
+          // Throws for unknown channels and refs
+          const target = this.updateManager.templateRepository.resolveTarget({
+            channel: channel === undefined ? project.channel : channel,
+            pin: pin === undefined ? project.pin : pin
+          });
+
+          this.configManager.updateProject(req.params.id, { channel, pin });
+          this.scheduleUpdateCheck();
+
+          res.json({ success: true, project: this.configManager.getProject(req.params.id), target });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
       // Apply updates
       this.app.post('/api/updates/:id/apply', async (req, res) => {
         try {
@@ -625,13 +931,16 @@ class MonitorServer {
             return res.status(404).json({ error: 'Project not found' });
           }
 
-          const options = {
-            dryRun: req.body.dryRun || false,
-            skipBackup: req.body.skipBackup || false,
-            preserveCustom: req.body.preserveCustom !== false
-          };
+          const { options, error } = this.getApplyOptions(req.body);
+          if (error) {
+            return res.status(400).json({ error });
+          }
 
-          const result = await this.updateManager.applyUpdates(monitor.path, options);
+          const { manager } = this.getProjectUpdater(req.params.id);
+          const result = await manager.applyUpdates(monitor.path, {
+            ...options,
+            overlays: this.getProjectOverlays(req.params.id)
+          });
           res.json(result);
         } catch (error) {
           res.status(500).json({ error: error.message });
@@ -647,7 +956,44 @@ class MonitorServer {
           }
 
           const backups = this.updateManager.listBackups(monitor.path);
-          res.json({ backups });
+          res.json({ backups, retention: this.updateManager.backupStore.retention });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // Browse the files in a backup
+      this.app.get('/api/updates/:id/backups/:backup/files', (req, res) => {
+        try {
+          const monitor = this.projects.get(req.params.id);
+          if (!monitor) {
+            return res.status(404).json({ error: 'Project not found' });
+          }
+
+          if (!this.updateManager.backupStore.find(path.basename(monitor.path), req.params.backup)) {
+            return res.status(404).json({ error: 'Backup not found' });
+          }
+
+          res.json(this.updateManager.listBackupFiles(monitor.path, req.params.backup));
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+
+      // Restore one file or directory from a backup
+      this.app.post('/api/updates/:id/backups/:backup/restore', async (req, res) => {
+        try {
+          const monitor = this.projects.get(req.params.id);
+          if (!monitor) {
+            return res.status(404).json({ error: 'Project not found' });
+          }
+
+          if (typeof req.body.path !== 'string' || req.body.path === '') {
+            return res.status(400).json({ error: 'path is required (a file or directory relative to .claude)' });
+          }
+
+          const result = await this.updateManager.restoreFromBackup(monitor.path, req.params.backup, req.body.path);
+          res.json(result);
         } catch (error) {
           res.status(500).json({ error: error.message });
         }
@@ -669,20 +1015,27 @@ class MonitorServer {
         }
       });
 
-      // Batch analyze multiple projects
+      // Batch analyze multiple projects, grouped by the template version they follow
       this.app.post('/api/updates/batch/analyze', async (req, res) => {
         try {
           const projectIds = req.body.projects || [];
-          const results = {};
+          const results = await this.updateChecker.analyze(this.getCheckableProjects(projectIds));
+          res.json(results);
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
 
-          for (const projectId of projectIds) {
-            const monitor = this.projects.get(projectId);
-            if (monitor) {
-              results[projectId] = await this.updateManager.analyzeUpdates(monitor.path);
-            }
-          }
+      // Latest background update check (summary is null until the first one finishes)
+      this.app.get('/api/updates/status', (req, res) => {
+        res.json({ summary: this.updateChecker.summary, ...this.updateChecker.results });
+      });
 
-          res.json(results);
+      // Run the background update check now
+      this.app.post('/api/updates/check', async (req, res) => {
+        try {
+          await this.updateChecker.check('manual');
+          res.json({ summary: this.updateChecker.summary, ...this.updateChecker.results });
         } catch (error) {
           res.status(500).json({ error: error.message });
         }
@@ -692,18 +1045,28 @@ class MonitorServer {
       this.app.post('/api/updates/batch/apply', async (req, res) => {
         try {
           const projectIds = req.body.projects || [];
-          const options = {
-            dryRun: req.body.dryRun || false,
-            skipBackup: req.body.skipBackup || false,
-            preserveCustom: req.body.preserveCustom !== false
-          };
+          const { options, error } = this.getApplyOptions(req.body);
+          if (error) {
+            return res.status(400).json({ error });
+          }
 
           const results = {};
 
           for (const projectId of projectIds) {
             const monitor = this.projects.get(projectId);
             if (monitor) {
-              results[projectId] = await this.updateManager.applyUpdates(monitor.path, options);
+              let manager;
+              try {
+                ({ manager } = this.getProjectUpdater(projectId));
+              } catch (error) {
+                results[projectId] = { success: false, errors: [error.message] };
+                continue;
+              }
+
+              results[projectId] = await manager.applyUpdates(monitor.path, {
+                ...options,
+                overlays: this.getProjectOverlays(projectId)
+              });
             }
           }
 
@@ -720,6 +1083,60 @@ class MonitorServer {
     });
   }
 
+  /**
+   * Read applyUpdates options from an apply request body
+   * Returns { options } or { error } when include/exclude aren't lists of globs
+   */
+  getApplyOptions(body) {
+    for (const key of ['include', 'exclude']) {
+      const value = body[key];
+      if (value !== undefined && value !== null &&
+          !(Array.isArray(value) && value.every(pattern => typeof pattern === 'string'))) {
+        return { error: `${key} must be an array of paths or globs` };
+      }
+    }
+
+    return {
+      options: {
+        dryRun: body.dryRun || false,
+        skipBackup: body.skipBackup || false,
+        preserveCustom: body.preserveCustom !== false,
+        conflictStyle: body.conflictStyle === 'rej' ? 'rej' : 'markers',
+        include: body.include || undefined,
+        exclude: body.exclude || undefined,
+        skipSchema: body.skipSchema || false
+      }
+    };
+  }
+
+  /**
+   * Get the overlays recorded for a project (undefined means detect from its files)
+   */
+  getProjectOverlays(projectId) {
+    const project = this.configManager.getProject(projectId);
+    return project && project.overlays;
+  }
+
+  /**
+   * Monitored projects with their update settings, for update checks
+   * Returns [{ id, path, pin, channel, overlays }] - every loaded project, or those with the given ids
+   */
+  getCheckableProjects(projectIds = null) {
+    const ids = projectIds || [...this.projects.keys()];
+
+    return ids
+      .filter(id => this.projects.has(id))
+      .map(id => ({ ...this.configManager.getProject(id), id, path: this.projects.get(id).path }));
+  }
+
+  /**
+   * The update manager for the template version a project follows (its pin or channel)
+   * Returns { manager, target } - throws for unknown channels and refs
+   */
+  getProjectUpdater(projectId) {
+    return this.updateManager.forProject(this.configManager.getProject(projectId) || {});
+  }
+
   /**
    * Setup update manager event listeners
    */
@@ -749,6 +1166,20 @@ class MonitorServer {
       });
     });
 
+    for (const event of [
+      'filesCommitted',
+      'schemaMigrationStarted', 'schemaMigrationComplete', 'schemaMigrationFailed',
+      'hookStarted', 'hookCompleted', 'hookFailed'
+    ]) {
+      this.updateManager.on(event, (data) => {
+        this.broadcast({
+          type: 'updateEvent',
+          event,
+          ...data
+        });
+      });
+    }
+
     this.updateManager.on('updateComplete', (data) => {
       console.log(`✓ Update complete for ${data.projectPath}`);
       this.broadcast({
@@ -775,6 +1206,64 @@ class MonitorServer {
         ...data
       });
     });
+
+    this.updateManager.on('backupRestored', (data) => {
+      console.log(`✓ Restored ${data.restored.length} file(s) from backup for ${data.projectPath}`);
+      this.broadcast({
+        type: 'updateEvent',
+        event: 'backupRestored',
+        ...data
+      });
+    });
+
+    this.updateManager.on('updateReverted', (data) => {
+      console.log(`✓ Reverted ${data.reverted.files.length} file(s) for ${data.projectPath}`);
+      this.broadcast({
+        type: 'updateEvent',
+        event: 'updateReverted',
+        ...data
+      });
+    });
+
+    this.updateManager.on('updateRecovered', (data) => {
+      console.log(`✓ Undid an interrupted update for ${data.projectPath}`);
+      this.broadcast({
+        type: 'updateEvent',
+        event: 'updateRecovered',
+        ...data
+      });
+    });
+
+    // Projects changed by an update or restore are checked again
+    for (const event of ['updateComplete', 'updateReverted', 'rollbackComplete', 'backupRestored']) {
+      this.updateManager.on(event, () => this.updateChecker.schedule('projectUpdated'));
+    }
+  }
+
+  /**
+   * Check for updates again soon, e.g. after the project list or a project's settings changed
+   */
+  scheduleUpdateCheck() {
+    if (this.updateChecker) {
+      this.updateChecker.schedule('projectsChanged');
+    }
+  }
+
+  /**
+   * Push background update check results to the dashboard
+   */
+  setupUpdateCheckerEvents() {
+    this.updateChecker.on('checked', (summary) => {
+      console.log(`✓ Update check (${summary.reason}): ${summary.count} project(s) with updates`);
+      this.broadcast({
+        type: 'updatesAvailable',
+        ...summary
+      });
+    });
+
+    this.updateChecker.on('checkFailed', (data) => {
+      console.error(`✗ Update check (${data.reason}) failed: ${data.error}`);
+    });
   }
 
   /**
@@ -784,11 +1273,15 @@ class MonitorServer {
     this.wss.on('connection', (ws) => {
       console.log('WebSocket client connected');
 
-      // Send initial data
-      ws.send(JSON.stringify({
-        type: 'connected',
-        timestamp: new Date().toISOString()
-      }));
+      ws.subscription = this.createSubscription(message => this.sendTo(ws, message));
+
+      // Send initial data - a client resumes from these cursors after a drop
+      ws.send(JSON.stringify(this.getConnectedMessage()));
+
+      // Clients that connect later still get the latest update check
+      if (this.updateChecker && this.updateChecker.summary) {
+        ws.send(JSON.stringify({ type: 'updatesAvailable', ...this.updateChecker.summary }));
+      }
 
       // Handle client messages
       ws.on('message', (message) => {
@@ -802,6 +1295,7 @@ class MonitorServer {
 
       ws.on('close', () => {
         console.log('WebSocket client disconnected');
+        ws.subscription.close();
       });
     });
   }
@@ -812,9 +1306,19 @@ class MonitorServer {
   handleWebSocketMessage(ws, data) {
     switch (data.type) {
       case 'subscribe':
-        // Client wants to subscribe to specific project events
-        // Store subscription info on ws object
-        ws.subscribedProjects = data.projects || [];
+        // Client wants only some events - replaces its previous filters
+        // { projects, types, featureIds, severities, throttleMs }
+        try {
+          ws.subscription.update(data, this.getErrorSeverities());
+          this.sendTo(ws, { type: 'subscribed', subscription: ws.subscription });
+        } catch (error) {
+          this.sendTo(ws, { type: 'subscribeError', error: error.message });
+        }
+        break;
+
+      case 'resume':
+        // Client reconnected - send what it missed
+        this.resumeClient(ws, data);
         break;
 
       case 'ping':
@@ -827,20 +1331,223 @@ class MonitorServer {
   }
 
   /**
-   * Broadcast event to all connected WebSocket clients
+   * Activity filters and page from query parameters
+   * ?project=a,b&type=sectionCompleted,errorLogged&entity=section&entityId=3
+   * &since=2025-01-01&until=...&limit=50&offset=0 (or &before=<entry id>)
+   * Throws for unreadable dates.
+   */
+  parseActivityQuery(query) {
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+    const date = (name) => {
+      if (!query[name]) return null;
+      const parsed = new Date(query[name]);
+      if (isNaN(parsed.getTime())) {
+        throw new Error(`Invalid ${name} date "${query[name]}"`);
+      }
+      return parsed.toISOString();
+    };
+
+    return {
+      projectIds: list(query.project),
+      types: list(query.type),
+      entityType: query.entity || null,
+      entityId: query.entityId !== undefined ? query.entityId : null,
+      since: date('since'),
+      until: date('until'),
+      before: parseInt(query.before) || null,
+      limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 500),
+      offset: Math.max(parseInt(query.offset) || 0, 0)
+    };
+  }
+
+  /**
+   * The first message a client gets - it resumes from these cursors after a drop
+   */
+  getConnectedMessage(extra = {}) {
+    return {
+      type: 'connected',
+      v: EventLog.schemaVersion,
+      epoch: this.eventLog.epoch,
+      cursors: this.eventLog.cursors(),
+      timestamp: new Date().toISOString(),
+      ...extra
+    };
+  }
+
+  /**
+   * Subscription filters and resume point of an SSE or long-poll request
+   * ?projects=a,b&types=sectionCompleted,errorLogged&features=3,4&severity=high,critical
+   * &throttle=500&epoch=...&cursors={"a":12} - for SSE a Last-Event-ID header
+   * (sent by the browser when it reconnects on its own) takes precedence.
+   * Returns { filters, resume } - resume is null for a new client.
+   * Throws for unreadable cursors.
+   */
+  parseEventsRequest(req) {
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+    const filters = {
+      projects: list(req.query.projects),
+      types: list(req.query.types),
+      featureIds: list(req.query.features),
+      severities: list(req.query.severity),
+      throttleMs: req.query.throttle
+    };
+
+    const lastEventId = EventStream.parseLastEventId(req.get('Last-Event-ID'));
+    if (lastEventId) {
+      return { filters, resume: lastEventId };
+    }
+
+    if (!req.query.epoch) {
+      return { filters, resume: null };
+    }
+
+    let cursors = {};
+    if (req.query.cursors) {
+      try {
+        cursors = JSON.parse(req.query.cursors);
+      } catch (error) {
+        throw new Error('cursors must be a JSON object of { stream: seq }');
+      }
+      if (!cursors || typeof cursors !== 'object' || Array.isArray(cursors)) {
+        throw new Error('cursors must be a JSON object of { stream: seq }');
+      }
+    }
+
+    return { filters, resume: { epoch: String(req.query.epoch), cursors } };
+  }
+
+  /**
+   * A client's subscription - throws for invalid filters
+   */
+  createSubscription(send, filters = {}) {
+    const subscription = new Subscription(send);
+    subscription.update(filters, this.getErrorSeverities());
+    return subscription;
+  }
+
+  /**
+   * Error severities the manifest allows - what severity filters accept
+   */
+  getErrorSeverities() {
+    return this.manifestReader.getCheckValues('error_log', 'severity');
+  }
+
+  /**
+   * Send a message to a WebSocket or SSE client
+   */
+  sendTo(client, message) {
+    if (client instanceof EventStream) {
+      client.send(message);
+    } else if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Replay the events a reconnecting client missed, then confirm with 'resumed'
+   * Message: { type: 'resume', epoch, cursors: { stream: lastSeenSeq } }
+   * Reply: { type: 'resumed', reset, replayed, gaps, epoch, cursors } - reset
+   * (the server restarted) or gaps (missed events already dropped) mean the
+   * client has to reload its data.
+   */
+  resumeClient(client, data) {
+    const { events, reply } = this.getMissedEvents(client, data);
+
+    for (const event of events) {
+      this.sendTo(client, { ...event, replayed: true });
+    }
+    this.sendTo(client, reply);
+  }
+
+  /**
+   * The subscribed events after a client's cursors, and the 'resumed' reply for them
+   */
+  getMissedEvents(client, data) {
+    const reply = {
+      type: 'resumed',
+      reset: data.epoch !== this.eventLog.epoch,
+      replayed: 0,
+      gaps: [],
+      epoch: this.eventLog.epoch
+    };
+    let missed = [];
+
+    if (!reply.reset) {
+      const { events, gaps } = this.eventLog.since(data.cursors);
+
+      // Replays merge high-frequency events the same way live delivery does
+      missed = Subscription.coalesce(events.filter(event => client.subscription.matches(event)));
+      reply.replayed = missed.length;
+      reply.gaps = gaps.filter(stream => client.subscription.matchesStream(stream));
+    }
+
+    reply.cursors = this.eventLog.cursors();
+    return { events: missed, reply };
+  }
+
+  /**
+   * Broadcast event to all connected clients - WebSocket, SSE and waiting long polls
+   * The event is numbered and kept in the event log so it can be replayed.
    */
   broadcast(event) {
-    const message = JSON.stringify(event);
+    // Domain events are kept in the activity log - the entry goes out with the event
+    let activity = null;
+    try {
+      activity = this.activityStore.record(event);
+    } catch (error) {
+      console.error(`Failed to record activity: ${error.message}`);
+    }
 
-    this.wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        // Check if client is subscribed to this project
-        if (!client.subscribedProjects ||
-            client.subscribedProjects.length === 0 ||
-            client.subscribedProjects.includes(event.projectId)) {
-          client.send(message);
+    let envelope;
+    try {
+      envelope = this.eventLog.append(activity ? {
+        ...event,
+        activity: {
+          id: activity.id,
+          projectId: activity.projectId,
+          entityType: activity.entityType,
+          entityId: activity.entityId,
+          entityName: activity.entityName,
+          message: activity.message
         }
+      } : event);
+    } catch (error) {
+      console.error(`Not broadcasting event: ${error.message}`);
+      return;
+    }
+
+    // Each client's subscription filters the event and paces high-frequency ones
+    this.wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN && client.subscription) {
+        client.subscription.push(envelope);
+      }
+    });
+
+    for (const stream of this.eventStreams) {
+      stream.subscription.push(envelope);
+    }
+
+    for (const poller of this.eventPollers) {
+      if (poller.subscription.matches(envelope)) {
+        poller.wake(envelope);
       }
+    }
+  }
+
+  /**
+   * Broadcast a feature status change made by the server
+   * Databases with a change journal report it through the monitor's
+   * featureStatusChanged event instead, so it isn't sent twice.
+   */
+  broadcastFeatureStatus(monitor, featureName, oldStatus, newStatus) {
+    if (monitor.hasChangeLog) return;
+
+    this.broadcast({
+      type: 'featureStatusChanged',
+      projectId: monitor.id,
+      featureName,
+      oldStatus,
+      newStatus
     });
   }
 
@@ -874,14 +1581,7 @@ class MonitorServer {
         db.prepare('UPDATE features SET status = ? WHERE id = ?').run('in_progress', feature.id);
         console.log(`Auto-transitioned feature ${featureName} to in_progress (has ${sections.length} sections)`);
 
-        // Broadcast status change
-        this.broadcast({
-          type: 'featureStatusChanged',
-          projectId: monitor.id,
-          featureName: featureName,
-          oldStatus: feature.status,
-          newStatus: 'in_progress'
-        });
+        this.broadcastFeatureStatus(monitor, featureName, feature.status, 'in_progress');
       }
 
       // If feature is in_progress and all sections are completed, move to completed
@@ -891,14 +1591,7 @@ class MonitorServer {
           db.prepare('UPDATE features SET status = ? WHERE id = ?').run('completed', feature.id);
           console.log(`Auto-transitioned feature ${featureName} to completed (all ${sections.length} sections complete)`);
 
-          // Broadcast status change
-          this.broadcast({
-            type: 'featureStatusChanged',
-            projectId: monitor.id,
-            featureName: featureName,
-            oldStatus: 'in_progress',
-            newStatus: 'completed'
-          });
+          this.broadcastFeatureStatus(monitor, featureName, 'in_progress', 'completed');
         }
       }
 
@@ -948,14 +1641,7 @@ class MonitorServer {
           db.prepare('UPDATE features SET status = ? WHERE id = ?').run(newStatus, feature.id);
           console.log(`Reconciled feature ${feature.name}: ${feature.status} → ${newStatus} (${feature.completed_sections}/${feature.section_count} sections complete)`);
 
-          // Broadcast status change
-          this.broadcast({
-            type: 'featureStatusChanged',
-            projectId: monitor.id,
-            featureName: feature.name,
-            oldStatus: feature.status,
-            newStatus: newStatus
-          });
+          this.broadcastFeatureStatus(monitor, feature.name, feature.status, newStatus);
 
           updatedCount++;
         }
@@ -978,7 +1664,7 @@ class MonitorServer {
    * Load a project monitor
    */
   async loadProject(projectConfig) {
-    const monitor = new ProjectMonitor(projectConfig);
+    const monitor = new ProjectMonitor(projectConfig, { activityStore: this.activityStore });
 
     // Setup event listeners
     monitor.on('initialized', (data) => {
@@ -996,6 +1682,12 @@ class MonitorServer {
       this.broadcast({ type: 'statsChanged', ...data });
     });
 
+    // Rows changed in project.db - sent as their domain event (sectionCompleted,
+    // errorLogged, ...) or as rowChanged when they have none
+    monitor.on('rowChanged', (data) => {
+      this.broadcast({ type: data.event || 'rowChanged', ...data });
+    });
+
     monitor.on('closed', (data) => {
       console.log(`Closed monitor for ${data.projectId}`);
       this.broadcast({ type: 'projectClosed', ...data });
@@ -1040,11 +1732,27 @@ class MonitorServer {
     // Initialize config
     this.configManager.init();
 
+    // The dashboard works without history if the activity log can't be opened
+    try {
+      this.activityStore.open();
+    } catch (error) {
+      console.error(`Activity log unavailable (${this.activityStore.dbPath}): ${error.message}`);
+    }
+
     // Load projects
     await this.loadProjects();
 
     // Start HTTP server
     const config = this.configManager.get();
+
+    if (this.updateManager) {
+      this.updateManager.setBackupRetention(config.backups);
+      this.updateManager.setChannels(config.channels);
+
+      if (config.updateChecks.enabled !== false) {
+        this.updateChecker.start(config.updateChecks);
+      }
+    }
     const port = config.port || 3030;
     const host = config.host || 'localhost';
 
@@ -1066,15 +1774,29 @@ class MonitorServer {
   async stop() {
     console.log('Shutting down...');
 
+    if (this.updateChecker) {
+      this.updateChecker.stop();
+    }
+
     // Close all project monitors
     for (const monitor of this.projects.values()) {
       await monitor.close();
     }
 
-    // Close WebSocket connections
+    this.activityStore.close();
+
+    // Close WebSocket, SSE and long-poll connections
     this.wss.clients.forEach((client) => {
       client.close();
     });
+    for (const stream of this.eventStreams) {
+      stream.subscription.close();
+      stream.close();
+    }
+    this.eventStreams.clear();
+    for (const poller of this.eventPollers) {
+      poller.wake();
+    }
 
     // Close server
     this.server.close(() => {